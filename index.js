@@ -16,6 +16,8 @@ const itemRoute = require("./routes/item");
 const orderRoute = require("./routes/order");
 const investorRoute = require("./routes/investor");
 const partnerRoute = require("./routes/partner");
+const productRoute = require("./routes/product");
+const applianceRoute = require("./routes/appliance");
 const recommendationRoute = require("./routes/recommendationSystem");
 console.log("recommendationRoute type:", typeof recommendationRoute);
 console.log(
@@ -23,11 +25,22 @@ console.log(
   !!recommendationRoute.get
 );
 const ttsRoutes = require("./routes/tts");
+const {
+  getWorkerMode,
+  startWorker,
+} = require("./services/recommendationJobs");
 
 // connect our code to the database (MongoDB)
 mongoose
   .connect(process.env.MONGO_URL)
-  .then(() => console.log("DB Connection Established"))
+  .then(() => {
+    console.log("DB Connection Established");
+
+    // Run recommendation jobs in this process unless a standalone worker does
+    if (getWorkerMode() === "in-process") {
+      startWorker();
+    }
+  })
   .catch((err) => console.log(err));
 
 app.use(
@@ -59,6 +72,8 @@ app.use("/api/item", itemRoute);
 app.use("/api/order", orderRoute);
 app.use("/api/investor", investorRoute);
 app.use("/api/partner", partnerRoute);
+app.use("/api/products", productRoute);
+app.use("/api/appliances", applianceRoute);
 app.use("/api/recommendations", recommendationRoute);
 app.use("/api/tts", ttsRoutes);
 
@@ -278,6 +278,16 @@ const verifyTokenAndAdmin = (req, res, next) => {
   });
 };
 
+// Optional authentication - attaches req.user when a token is sent but lets
+// anonymous requests through
+const verifyTokenOptional = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+
+  verifyToken(req, res, next);
+};
+
 // Email verification middleware
 const requireEmailVerification = (req, res, next) => {
   if (!req.user.isVerified) {
@@ -298,6 +308,7 @@ const generateJWTToken = (userId) => {
 
 module.exports = {
   verifyToken,
+  verifyTokenOptional,
   verifyTraditionalToken,
   verifyClerkToken,
   verifyTokenAndAuthorization,
@@ -24,12 +24,27 @@ const AddressSchema = new mongoose.Schema({
 });
 
 const OrderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
   items: [{
+    // Orders placed from a recommendation hold catalog products instead
     itemId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Item",
-      required: true,
+      required: function () {
+        return !this.productId;
+      },
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
     },
+    sku: String,
+    name: String,
+    unitPrice: Number,
+    totalPrice: Number,
     quantity: {
       type: Number,
       default: 1,
@@ -71,7 +86,17 @@ const OrderSchema = new mongoose.Schema({
     type: String,
     enum: ['pending', 'confirmed', 'installing', 'completed', 'cancelled'],
     default: "pending",
-  }
+  },
+  // The saved recommendation (and package) the order was created from
+  recommendation: {
+    requestId: String,
+    tier: String,
+    quoteNumber: String,
+  },
+  // Prices were computed by the server and hold until this date
+  priceLockedUntil: Date,
 }, { timestamps: true });
 
+OrderSchema.index({ "recommendation.requestId": 1, userId: 1 });
+
 module.exports = mongoose.model("Order", OrderSchema);
\ No newline at end of file
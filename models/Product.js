@@ -0,0 +1,118 @@
+const mongoose = require("mongoose");
+
+const PRODUCT_CATEGORIES = [
+  "inverter",
+  "battery",
+  "solarPanel",
+  "chargeController",
+];
+
+const ProductSchema = new mongoose.Schema(
+  {
+    sku: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    brand: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    category: {
+      type: String,
+      required: true,
+      enum: PRODUCT_CATEGORIES,
+    },
+
+    // Quality grade used to match products to package tiers
+    grade: {
+      type: String,
+      enum: ["budget", "standard", "premium"],
+      default: "standard",
+    },
+
+    // Only the fields relevant to the product's category are expected
+    specifications: {
+      ratingKVA: Number, // inverter
+      surgeRatingKVA: Number, // inverter peak rating, when published
+      systemVoltage: Number, // inverter and charge controller DC bus voltage
+      capacityAh: Number, // battery
+      voltage: Number, // battery nominal voltage
+      chemistry: {
+        type: String,
+        enum: ["lead-acid", "lithium"],
+      },
+      wattage: Number, // solar panel
+      areaM2: Number, // solar panel footprint, when published
+      ratingAmps: Number, // charge controller
+      controllerType: {
+        type: String,
+        enum: ["MPPT", "PWM"],
+      },
+    },
+
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "NGN",
+    },
+    warrantyYears: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    stock: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    imageUrl: {
+      type: String,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+ProductSchema.index({ category: 1, isActive: 1, price: 1 });
+
+// Validation: Ensure the specs needed for sizing exist for each category
+ProductSchema.pre("validate", function (next) {
+  const specs = this.specifications || {};
+  const requiredSpecs = {
+    inverter: ["ratingKVA", "systemVoltage"],
+    battery: ["capacityAh", "voltage", "chemistry"],
+    solarPanel: ["wattage"],
+    chargeController: ["ratingAmps", "systemVoltage"],
+  };
+
+  (requiredSpecs[this.category] || []).forEach((field) => {
+    if (specs[field] === undefined || specs[field] === null) {
+      this.invalidate(
+        `specifications.${field}`,
+        `specifications.${field} is required for ${this.category} products`
+      );
+    }
+  });
+
+  next();
+});
+
+module.exports = mongoose.model("Product", ProductSchema);
+module.exports.PRODUCT_CATEGORIES = PRODUCT_CATEGORIES;
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// Cached recommendation pipeline output, used by the "mongo" cache backend
+const RecommendationCacheSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    locationBucket: String,
+    promptVersion: String,
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    hits: {
+      type: Number,
+      default: 0,
+    },
+    // MongoDB removes the entry once this date has passed
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model(
+  "RecommendationCache",
+  RecommendationCacheSchema
+);
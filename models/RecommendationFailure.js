@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// An AI run whose output still failed validation after every repair. No
+// recommendation is saved for it, so it is kept here for the prompt
+// experiment reports.
+const RecommendationFailureSchema = new mongoose.Schema(
+  {
+    // Null for anonymous requests
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    promptVersion: {
+      type: String,
+      required: true,
+    },
+    // Set while prompt versions are being A/B tested
+    promptExperiment: String,
+    aiAttempts: Number,
+    tokenUsage: {
+      inputTokens: Number,
+      outputTokens: Number,
+    },
+    validationErrors: [String],
+    processingTime: Number,
+
+    requestedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+RecommendationFailureSchema.index({ promptVersion: 1, requestedAt: -1 });
+
+module.exports = mongoose.model(
+  "RecommendationFailure",
+  RecommendationFailureSchema
+);
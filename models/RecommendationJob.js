@@ -0,0 +1,139 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const JOB_STATUSES = ["queued", "running", "succeeded", "failed"];
+
+const RecommendationJobSchema = new mongoose.Schema(
+  {
+    // Public, unguessable id returned to the client for polling
+    jobId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => crypto.randomUUID(),
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: "queued",
+    },
+
+    // Null for anonymous requests
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Snapshot of req.user so the worker can build customer info later
+    requester: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    // Request body as submitted
+    input: {
+      items: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+      },
+      location: mongoose.Schema.Types.Mixed,
+      tiers: [String],
+      generator: mongoose.Schema.Types.Mixed,
+      grid: mongoose.Schema.Types.Mixed,
+      budget: Number,
+      setupId: String,
+      roof: mongoose.Schema.Types.Mixed,
+      clientIp: String,
+    },
+
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    workerId: String,
+    startedAt: Date,
+    completedAt: Date,
+
+    // Set when the job succeeds
+    requestId: String,
+    result: mongoose.Schema.Types.Mixed,
+
+    // Set when the job fails
+    error: {
+      message: String,
+      statusCode: Number,
+      details: mongoose.Schema.Types.Mixed,
+    },
+  },
+  { timestamps: true }
+);
+
+RecommendationJobSchema.index({ status: 1, createdAt: 1 });
+
+// Atomically claim the oldest queued job for a worker
+RecommendationJobSchema.statics.claimNext = function (workerId) {
+  return this.findOneAndUpdate(
+    { status: "queued" },
+    {
+      $set: { status: "running", workerId, startedAt: new Date() },
+      $inc: { attempts: 1 },
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+// Requeue jobs left running by a worker that died, failing the ones that
+// already used up their attempts
+RecommendationJobSchema.statics.recoverStale = async function (
+  staleAfterMs,
+  maxAttempts
+) {
+  const staleBefore = new Date(Date.now() - staleAfterMs);
+
+  await this.updateMany(
+    {
+      status: "running",
+      startedAt: { $lt: staleBefore },
+      attempts: { $gte: maxAttempts },
+    },
+    {
+      $set: {
+        status: "failed",
+        completedAt: new Date(),
+        error: { message: "Job timed out", statusCode: 503 },
+      },
+    }
+  );
+
+  const requeued = await this.updateMany(
+    { status: "running", startedAt: { $lt: staleBefore } },
+    { $set: { status: "queued" }, $unset: { workerId: "", startedAt: "" } }
+  );
+
+  return requeued.modifiedCount;
+};
+
+// Shape returned to clients polling the job
+RecommendationJobSchema.methods.toStatus = function () {
+  const status = {
+    jobId: this.jobId,
+    status: this.status,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt || null,
+    completedAt: this.completedAt || null,
+  };
+
+  if (this.status === "succeeded") {
+    status.requestId = this.requestId;
+    status.result = this.result;
+  }
+
+  if (this.status === "failed") {
+    status.error = this.error;
+  }
+
+  return status;
+};
+
+module.exports = mongoose.model("RecommendationJob", RecommendationJobSchema);
+module.exports.JOB_STATUSES = JOB_STATUSES;
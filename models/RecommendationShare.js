@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// A share link for a saved recommendation. The link itself is a signed,
+// expiring token naming this record; revoking the record kills the link
+// before it expires.
+const RecommendationShareSchema = new mongoose.Schema(
+  {
+    shareId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => crypto.randomUUID(),
+    },
+    requestId: {
+      type: String,
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+
+    viewCount: {
+      type: Number,
+      default: 0,
+    },
+    lastViewedAt: Date,
+  },
+  { timestamps: true }
+);
+
+RecommendationShareSchema.index({ requestId: 1, createdAt: -1 });
+
+RecommendationShareSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Shape returned to the owner when listing links
+RecommendationShareSchema.methods.toSummary = function () {
+  return {
+    shareId: this.shareId,
+    requestId: this.requestId,
+    createdAt: this.createdAt,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    active: this.isActive(),
+    viewCount: this.viewCount,
+    lastViewedAt: this.lastViewedAt || null,
+  };
+};
+
+module.exports = mongoose.model(
+  "RecommendationShare",
+  RecommendationShareSchema
+);
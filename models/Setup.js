@@ -15,6 +15,19 @@ const SetupSchema = new mongoose.Schema(
             type: Number,
             required: true,
         },
+        // Used to check the panel array fits and to apply orientation losses
+        roof: {
+            usableAreaM2: Number,
+            orientation: {
+                type: String,
+                enum: ['south', 'south-east', 'south-west', 'east', 'west', 'north-east', 'north-west', 'north', 'flat'],
+            },
+            tiltDegrees: {
+                type: Number,
+                min: 0,
+                max: 90,
+            },
+        },
     },
     {timestamps: true}
 );
@@ -89,6 +89,8 @@ const UserSchema = new mongoose.Schema(
       type: Date,
     },
 
+    // Legacy - recommendations are now stored in the RecommendationRequest
+    // collection; kept so existing history remains readable
     recommendationHistory: [
       {
         requestId: { type: String, required: true },
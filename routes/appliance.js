@@ -0,0 +1,107 @@
+const express = require("express");
+const {
+  APPLIANCE_CATEGORIES,
+  getAppliance,
+  searchAppliances,
+} = require("../services/applianceLibrary");
+
+const router = express.Router();
+
+const AUTOCOMPLETE_DEFAULT_LIMIT = 8;
+const AUTOCOMPLETE_MAX_LIMIT = 20;
+
+// ?q=a&q=b arrives as an array
+const isValidQuery = (q) => q === undefined || typeof q === "string";
+
+// Search the appliance library (public). q matches names and aliases;
+// category limits the results to one category.
+router.get("/", async (req, res) => {
+  try {
+    const { q, category } = req.query;
+
+    if (!isValidQuery(q)) {
+      return res.status(400).json({
+        success: false,
+        message: "q must be a single search term",
+      });
+    }
+
+    if (category && !APPLIANCE_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `category must be one of: ${APPLIANCE_CATEGORIES.join(", ")}`,
+      });
+    }
+
+    const appliances = searchAppliances({ query: q, category });
+
+    res.status(200).json({
+      success: true,
+      appliances,
+      totalAppliances: appliances.length,
+      categories: APPLIANCE_CATEGORIES,
+    });
+  } catch (error) {
+    console.error("Search appliances error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to search appliances",
+      error: error.message,
+    });
+  }
+});
+
+// Lightweight suggestions for an appliance name input (public)
+router.get("/autocomplete", async (req, res) => {
+  try {
+    if (!isValidQuery(req.query.q)) {
+      return res.status(400).json({
+        success: false,
+        message: "q must be a single search term",
+      });
+    }
+
+    const q = (req.query.q || "").trim();
+    const limit = Math.min(
+      AUTOCOMPLETE_MAX_LIMIT,
+      Math.max(1, parseInt(req.query.limit) || AUTOCOMPLETE_DEFAULT_LIMIT)
+    );
+
+    if (!q) {
+      return res.status(200).json({ success: true, suggestions: [] });
+    }
+
+    const suggestions = searchAppliances({ query: q })
+      .slice(0, limit)
+      .map((appliance) => ({
+        id: appliance.id,
+        name: appliance.name,
+        category: appliance.category,
+        wattage: appliance.wattage,
+      }));
+
+    res.status(200).json({ success: true, suggestions });
+  } catch (error) {
+    console.error("Autocomplete appliances error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to autocomplete appliances",
+      error: error.message,
+    });
+  }
+});
+
+// Get one appliance by library id (public)
+router.get("/:id", async (req, res) => {
+  const appliance = getAppliance(req.params.id);
+  if (!appliance) {
+    return res.status(404).json({
+      success: false,
+      message: "Appliance not found",
+    });
+  }
+
+  res.status(200).json({ success: true, appliance });
+});
+
+module.exports = router;
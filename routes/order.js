@@ -9,6 +9,10 @@ const {
 } = require("../middleware/verifyToken");
 
 const Order = require("../models/Order");
+const {
+    createOrderFromRecommendation,
+    isPriceLockExpired,
+} = require("../services/recommendationOrders");
 
 // Create order
 router.post("/", verifyToken, async (req, res) => {
@@ -21,6 +25,44 @@ router.post("/", verifyToken, async (req, res) => {
     }
 });
 
+// Create an order from a saved recommendation. Items and prices are computed
+// on the server and locked until priceLockedUntil; the body only carries
+// tier (optional), address, paymentMethod and installationSchedule.
+router.post("/from-recommendation/:requestId", verifyToken, async (req, res) => {
+    try {
+        const { order, created } = await createOrderFromRecommendation({
+            requestId: req.params.requestId,
+            tier: req.body.tier,
+            address: req.body.address,
+            paymentMethod: req.body.paymentMethod,
+            installationSchedule: req.body.installationSchedule,
+            user: req.user,
+        });
+
+        res.status(created ? 201 : 200).json({
+            success: true,
+            message: created
+                ? "Order created from recommendation"
+                : "You already have a pending order for this package at a locked price",
+            order,
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                ...error.details,
+            });
+        }
+        console.error("Create order from recommendation error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to create order",
+            error: error.message,
+        });
+    }
+});
+
 // Update order
 router.put("/:id", verifyTokenAndAdmin, async (req, res) => {
     try {
@@ -85,6 +127,15 @@ router.post("/checkout", verifyToken, async (req, res) => {
             return res.status(404).json({ message: "Order not found" });
         }
 
+        // Recommendation orders must be paid while their price is locked
+        if (order.status === "pending" && isPriceLockExpired(order)) {
+            return res.status(409).json({
+                message:
+                    "The locked price for this order has expired. Create a new order from the recommendation to get current prices.",
+                priceLockedUntil: order.priceLockedUntil,
+            });
+        }
+
         // Update order status to "completed"
         order.status = "completed";
         await order.save();
@@ -0,0 +1,136 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const { verifyTokenAndAdmin } = require("../middleware/verifyToken");
+
+const router = express.Router();
+
+// Most products returned by one list request
+const MAX_PAGE_SIZE = 100;
+
+// Create product (admin only)
+router.post("/", verifyTokenAndAdmin, async (req, res) => {
+  try {
+    const product = new Product(req.body);
+    const savedProduct = await product.save();
+    res.status(201).json(savedProduct);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: "SKU already exists" });
+    }
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Update product by ID (admin only)
+router.put("/:id", verifyTokenAndAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate product ID
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid product ID" });
+    }
+
+    const product = await Product.findById(id);
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    // Save through the document so category spec validation runs.
+    // Specifications are merged field by field, so sending one spec keeps
+    // the others.
+    const { specifications, ...fields } = req.body;
+    product.set(fields);
+    if (
+      specifications &&
+      typeof specifications === "object" &&
+      !Array.isArray(specifications)
+    ) {
+      Object.entries(specifications).forEach(([field, value]) => {
+        product.set(`specifications.${field}`, value);
+      });
+    } else if (specifications !== undefined) {
+      product.set({ specifications });
+    }
+    const updatedProduct = await product.save();
+    res.status(200).json(updatedProduct);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Delete product by ID (admin only)
+router.delete("/:id", verifyTokenAndAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate product ID
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid product ID" });
+    }
+
+    const deletedProduct = await Product.findByIdAndDelete(id);
+    if (!deletedProduct) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+    res.status(200).json({ message: "Product deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get single product by ID
+router.get("/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate product ID
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid product ID" });
+    }
+
+    const product = await Product.findById(id);
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+    res.status(200).json(product);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get all products, optionally filtered by category, grade or stock
+router.get("/", async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, parseInt(req.query.limit) || 50)
+    );
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.category) filter.category = req.query.category;
+    if (req.query.grade) filter.grade = req.query.grade;
+    if (req.query.inStock === "true") filter.stock = { $gt: 0 };
+    if (req.query.includeInactive !== "true") filter.isActive = true;
+
+    const products = await Product.find(filter)
+      .sort({ category: 1, price: 1 })
+      .skip(skip)
+      .limit(limit);
+    const total = await Product.countDocuments(filter);
+
+    res.status(200).json({
+      products,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalProducts: total,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,556 +1,596 @@
 const express = require("express");
-const Anthropic = require("@anthropic-ai/sdk");
-const axios = require("axios");
 const {
   verifyToken,
+  verifyTokenOptional,
   requireEmailVerification,
   verifyTokenAndAdmin,
 } = require("../middleware/verifyToken");
-const User = require("../models/User");
+const RecommendationRequest = require("../models/RecommendationRequest");
+const RecommendationJob = require("../models/RecommendationJob");
+const llm = require("../services/llm");
+const {
+  generateRecommendation,
+  simulateSystemPerformance,
+  calculateSystemSavings,
+  compareSavedRecommendations,
+  validateRecommendationInput,
+} = require("../services/recommendationService");
+const { enqueueJob } = require("../services/recommendationJobs");
+const {
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  getSharedRecommendation,
+} = require("../services/recommendationSharing");
+const {
+  buildQuote,
+  renderQuotePdf,
+} = require("../services/recommendationQuote");
+const { submitFeedback } = require("../services/recommendationFeedback");
+const { purgeRecommendationCache } = require("../services/recommendationCache");
 
 const router = express.Router();
 
-// Initialize Anthropic (Claude)
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
+// Test route to verify the configured AI provider is working (protected by hybrid auth)
+router.get("/test", verifyToken, async (req, res) => {
+  try {
+    const completion = await llm.complete({
+      task: "healthCheck",
+      prompt: "Hello! Just say 'AI provider is working' if you can see this.",
+      maxTokens: 100,
+    });
+
+    res.json({
+      success: true,
+      message: `AI provider connection successful! (${completion.provider})`,
+      response: completion.text,
+      provider: completion.provider,
+      model: completion.model,
+      userInfo: {
+        id: req.user.id,
+        username: req.user.username,
+        email: req.user.email,
+        authMethod: req.user.authMethod,
+        tokenType: req.user.tokenType,
+        isVerified: req.user.isVerified,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      type: error.constructor.name,
+    });
+  }
 });
 
-// Helper function to analyze usage patterns
-const analyzeUsagePattern = (dayHours, nightHours) => {
-  const totalHours = dayHours + nightHours;
-  const dayPercentage = ((dayHours / totalHours) * 100).toFixed(1);
-  const nightPercentage = ((nightHours / totalHours) * 100).toFixed(1);
-
-  let pattern = "Balanced";
-  if (dayHours > nightHours * 1.5) pattern = "Day-heavy";
-  else if (nightHours > dayHours * 1.5) pattern = "Night-heavy";
-
-  return {
-    pattern,
-    dayUsage: `${dayPercentage}%`,
-    nightUsage: `${nightPercentage}%`,
-    totalHours,
-    recommendation:
-      pattern === "Day-heavy"
-        ? "Smaller battery capacity needed"
-        : pattern === "Night-heavy"
-        ? "Larger battery capacity recommended"
-        : "Standard battery configuration suitable",
-  };
+// Helper function to get the client IP for location lookup
+const getClientIp = (req) => req.ip || req.connection.remoteAddress;
+
+// Helper function to send pipeline errors with their status code
+const sendRecommendationError = (res, error) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...error.details,
+    });
+  }
+
+  console.error("AI recommendation error:", error);
+
+  return res.status(503).json({
+    success: false,
+    message: "Recommendation service is temporarily unavailable",
+    error: error.message,
+    suggestion:
+      "Please try again in a few moments. Our AI system will be back online shortly.",
+    canRetry: true,
+    supportContact: "If the issue persists, please contact our support team",
+  });
 };
 
-// Helper function to get climate optimizations
-const getClimateOptimizations = (location, solarData) => {
-  const optimizations = [];
+// AI-powered recommendation route - TIERED PACKAGES PRICED FROM THE PRODUCT CATALOG
+// budget or setupId (a saved Setup) limits the recommendation to what the
+// customer can afford, trimming loads when the full list doesn't fit.
+// roof ({ usableAreaM2, orientation, tiltDegrees }, or the setup's roof)
+// caps the panel count and applies orientation losses
+router.post("/", verifyTokenOptional, async (req, res) => {
+  try {
+    const result = await generateRecommendation({
+      items: req.body.items,
+      location: req.body.location,
+      clientIp: getClientIp(req),
+      tiers: req.body.tiers,
+      generator: req.body.generator,
+      grid: req.body.grid,
+      budget: req.body.budget,
+      setupId: req.body.setupId,
+      roof: req.body.roof,
+      user: req.user,
+    });
 
-  if (solarData.humidity > 80) {
-    optimizations.push("Anti-corrosion coating recommended for high humidity");
+    res.status(200).json(result);
+  } catch (error) {
+    return sendRecommendationError(res, error);
   }
+});
 
-  if (solarData.cloudCover > 60) {
-    optimizations.push("Consider additional panels for frequent cloud cover");
-  }
+// Same as POST / but streams progress as Server-Sent Events. Events:
+// "progress" ({ stage, ... }) for location_resolved, solar_data_fetched,
+// sizing_computed, ai_response_rejected and validation_passed (or
+// validation_failed, with each package's schemaErrors); "token" with the AI
+// text as it is generated; then "result" with the full response or "error".
+// Browsers read it with fetch() since EventSource only sends GET. If the
+// client disconnects, the AI call is cancelled so it isn't paid for.
+router.post("/stream", verifyTokenOptional, async (req, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+
+  // The response closes when the client goes away (or after res.end());
+  // req's own "close" fires as soon as the body has been read
+  let closed = false;
+  const abortController = new AbortController();
+  res.on("close", () => {
+    closed = true;
+    abortController.abort();
+  });
+
+  const sendEvent = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-  if (location.city === "Lagos") {
-    optimizations.push(
-      "Marine-grade components recommended for coastal location"
-    );
-  }
+  try {
+    const result = await generateRecommendation({
+      items: req.body.items,
+      location: req.body.location,
+      clientIp: getClientIp(req),
+      tiers: req.body.tiers,
+      generator: req.body.generator,
+      grid: req.body.grid,
+      budget: req.body.budget,
+      setupId: req.body.setupId,
+      roof: req.body.roof,
+      user: req.user,
+      onProgress: (stage, data) => sendEvent("progress", { stage, ...data }),
+      onToken: (text) => sendEvent("token", { text }),
+      signal: abortController.signal,
+    });
+
+    sendEvent("result", result);
+  } catch (error) {
+    if (closed) {
+      console.log("Recommendation stream closed by the client");
+      return;
+    }
+    if (!error.statusCode) {
+      console.error("AI recommendation stream error:", error);
+    }
 
-  if (solarData.averageSunlightHours < 6) {
-    optimizations.push("Enhanced battery storage for limited sunlight hours");
+    sendEvent("error", {
+      success: false,
+      statusCode: error.statusCode || 503,
+      message: error.statusCode
+        ? error.message
+        : "Recommendation service is temporarily unavailable",
+      ...(error.statusCode ? error.details : { error: error.message }),
+    });
   }
 
-  return optimizations.length > 0
-    ? optimizations
-    : ["Standard configuration suitable for location"];
-};
+  res.end();
+});
 
-// Get location data (you can use IP geolocation or user input)
-const getLocationData = async (req) => {
+// Queue a recommendation and return a job id to poll instead of waiting
+router.post("/jobs", verifyTokenOptional, async (req, res) => {
   try {
-    // Option 1: From user input
-    if (req.body.location) {
-      return req.body.location;
-    }
+    // Reject bad input now rather than in the worker
+    const items = validateRecommendationInput(req.body);
+
+    const job = await enqueueJob({
+      items,
+      location: req.body.location,
+      tiers: req.body.tiers,
+      generator: req.body.generator,
+      grid: req.body.grid,
+      budget: req.body.budget,
+      setupId: req.body.setupId,
+      roof: req.body.roof,
+      clientIp: getClientIp(req),
+      user: req.user,
+    });
 
-    // Option 2: IP-based geolocation
-    const ip = req.ip || req.connection.remoteAddress || "127.0.0.1";
-
-    // Skip IP lookup for localhost
-    if (ip === "127.0.0.1" || ip === "::1" || ip.includes("127.0.0.1")) {
-      return {
-        country: "Nigeria",
-        region: "Lagos",
-        city: "Lagos",
-        lat: 6.5244,
-        lon: 3.3792,
-        timezone: "Africa/Lagos",
-      };
+    res.status(202).json({
+      success: true,
+      jobId: job.jobId,
+      status: job.status,
+      statusUrl: `/api/recommendations/jobs/${job.jobId}`,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendRecommendationError(res, error);
     }
 
-    const locationAPI = `http://ip-api.com/json/${ip}`;
-    const response = await axios.get(locationAPI);
+    console.error("Queue recommendation job error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to queue recommendation",
+      error: error.message,
+    });
+  }
+});
 
-    return {
-      country: response.data.country,
-      region: response.data.regionName,
-      city: response.data.city,
-      lat: response.data.lat,
-      lon: response.data.lon,
-      timezone: response.data.timezone,
-    };
+// Simulate a typical year month by month: PV yield, battery state of
+// charge, unmet load and an autonomy score per month. Takes a requestId
+// (and optional tier) from a saved recommendation, or components
+// ({ arrayWatts, batteryKWh, batteryChemistry }) with items and location.
+// grid ({ band, supplyHours }) simulates a hybrid grid connection.
+router.post("/simulate", verifyTokenOptional, async (req, res) => {
+  try {
+    const simulation = await simulateSystemPerformance({
+      requestId: req.body.requestId,
+      tier: req.body.tier,
+      components: req.body.components,
+      items: req.body.items,
+      location: req.body.location,
+      clientIp: getClientIp(req),
+      grid: req.body.grid,
+      user: req.user,
+    });
+
+    res.status(200).json(simulation);
   } catch (error) {
-    console.error("Location detection failed:", error);
-    return {
-      country: "Nigeria",
-      region: "Lagos",
-      city: "Lagos",
-      lat: 6.5244,
-      lon: 3.3792,
-      timezone: "Africa/Lagos",
-    };
+    if (error.statusCode) {
+      return sendRecommendationError(res, error);
+    }
+    console.error("Simulate system error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to simulate system performance",
+      error: error.message,
+    });
   }
-};
+});
 
-// Get weather/solar data for the location
-const getSolarData = async (location) => {
+// Generator-versus-solar savings calculator: current generator fuel and
+// maintenance spend, monthly savings, payback and 5/10-year NPV. Takes a
+// requestId (and optional tier), or items with systemCost. generator
+// ({ fuelType, fuelPricePerLitre, sizeKVA, hoursPerDay }) is optional;
+// grid ({ band, supplyHours, tariffPerKWh }) compares against grid plus
+// generator.
+router.post("/savings", verifyTokenOptional, async (req, res) => {
   try {
-    // Option 1: Use WeatherAPI (more generous free tier)
-    if (process.env.WEATHER_API_KEY && location.lat && location.lon) {
-      const weatherAPI = `http://api.weatherapi.com/v1/current.json?key=${process.env.WEATHER_API_KEY}&q=${location.lat},${location.lon}`;
-      const response = await axios.get(weatherAPI);
-
-      return {
-        averageSunlightHours: calculateSunlightHours(location.lat),
-        cloudCover: response.data.current.cloud,
-        humidity: response.data.current.humidity,
-        temperature: response.data.current.temp_c,
-      };
+    const savings = await calculateSystemSavings({
+      requestId: req.body.requestId,
+      tier: req.body.tier,
+      items: req.body.items,
+      systemCost: req.body.systemCost,
+      batteryCost: req.body.batteryCost,
+      components: req.body.components,
+      location: req.body.location,
+      clientIp: getClientIp(req),
+      generator: req.body.generator,
+      grid: req.body.grid,
+      user: req.user,
+    });
+
+    res.status(200).json(savings);
+  } catch (error) {
+    if (error.statusCode) {
+      return sendRecommendationError(res, error);
     }
+    console.error("Calculate savings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to calculate savings",
+      error: error.message,
+    });
+  }
+});
 
-    // Option 2: Static mapping based on Nigerian cities
-    const cityWeatherData = {
-      Lagos: { averageSunlightHours: 5.5, cloudCover: 65, humidity: 85 },
-      Abuja: { averageSunlightHours: 6.5, cloudCover: 45, humidity: 70 },
-      Kano: { averageSunlightHours: 7.5, cloudCover: 25, humidity: 45 },
-      "Port Harcourt": {
-        averageSunlightHours: 5.0,
-        cloudCover: 75,
-        humidity: 90,
-      },
-      Ibadan: { averageSunlightHours: 6.0, cloudCover: 55, humidity: 75 },
-      Kaduna: { averageSunlightHours: 7.0, cloudCover: 35, humidity: 55 },
-      Jos: { averageSunlightHours: 6.8, cloudCover: 40, humidity: 60 },
-    };
+// Compare saved recommendations side by side, e.g.
+// /compare?ids=REQ_1,REQ_2. Later runs are diffed against the first:
+// component changes, cost and backup-hours deltas, and appliances added,
+// removed or changed. tier compares that package in every run.
+router.get("/compare", verifyTokenOptional, async (req, res) => {
+  try {
+    const comparison = await compareSavedRecommendations({
+      ids: req.query.ids,
+      tier: req.query.tier,
+      user: req.user,
+    });
 
-    const cityData = cityWeatherData[location.city] || cityWeatherData["Abuja"];
-    console.log(`Using static weather data for ${location.city}`);
-    return cityData;
+    res.status(200).json(comparison);
   } catch (error) {
-    console.log("Weather API failed, using defaults");
-    return { averageSunlightHours: 6.5, cloudCover: 30, humidity: 70 };
+    if (error.statusCode) {
+      return sendRecommendationError(res, error);
+    }
+    console.error("Compare recommendations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to compare recommendations",
+      error: error.message,
+    });
   }
-};
-
-// Helper function to calculate sunlight hours based on latitude
-const calculateSunlightHours = (latitude) => {
-  // Simple approximation for Nigeria (between 4°N and 14°N)
-  const baseHours = 6.5;
-  const latitudeFactor = (latitude - 9) * 0.1; // Adjust based on distance from center
-  return Math.max(5.0, Math.min(8.0, baseHours + latitudeFactor));
-};
+});
 
-// Test route to verify Claude API is working (protected by hybrid auth)
-router.get("/test", verifyToken, async (req, res) => {
+// Mint a read-only share link for a saved recommendation the caller owns
+// (admins may share any). expiresInDays defaults to 7 (at most 90).
+router.post("/:requestId/share", verifyToken, async (req, res) => {
   try {
-    const completion = await anthropic.messages.create({
-      model: "claude-3-5-sonnet-20241022",
-      max_tokens: 100,
-      messages: [
-        {
-          role: "user",
-          content:
-            "Hello! Just say 'Claude AI is working' if you can see this.",
-        },
-      ],
+    const share = await createShareLink({
+      requestId: req.params.requestId,
+      expiresInDays: req.body.expiresInDays,
+      user: req.user,
     });
 
-    res.json({
-      success: true,
-      message: "Claude AI connection successful!",
-      response: completion.content[0].text,
-      model: "claude-3-5-sonnet-20241022",
-      userInfo: {
-        id: req.user.id,
-        username: req.user.username,
-        email: req.user.email,
-        authMethod: req.user.authMethod,
-        tokenType: req.user.tokenType,
-        isVerified: req.user.isVerified,
-      },
+    res.status(201).json(share);
+  } catch (error) {
+    if (error.statusCode) {
+      return sendRecommendationError(res, error);
+    }
+    console.error("Create share link error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create share link",
+      error: error.message,
+    });
+  }
+});
+
+// List the share links created for a recommendation, revoked ones included
+router.get("/:requestId/shares", verifyToken, async (req, res) => {
+  try {
+    const shares = await listShareLinks({
+      requestId: req.params.requestId,
+      user: req.user,
     });
+
+    res.status(200).json(shares);
   } catch (error) {
+    if (error.statusCode) {
+      return sendRecommendationError(res, error);
+    }
+    console.error("List share links error:", error);
     res.status(500).json({
       success: false,
+      message: "Failed to retrieve share links",
       error: error.message,
-      type: error.constructor.name,
     });
   }
 });
 
-// AI-powered recommendation route - SINGLE OPTIMAL RECOMMENDATION WITH REAL PRODUCT IMAGES
-router.post("/", async (req, res) => {
-  const startTime = Date.now();
+// Revoke a share link before it expires
+router.delete("/shares/:shareId", verifyToken, async (req, res) => {
+  try {
+    const share = await revokeShareLink({
+      shareId: req.params.shareId,
+      user: req.user,
+    });
 
+    res.status(200).json(share);
+  } catch (error) {
+    if (error.statusCode) {
+      return sendRecommendationError(res, error);
+    }
+    console.error("Revoke share link error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke share link",
+      error: error.message,
+    });
+  }
+});
+
+// Public, read-only view of a shared recommendation without the owner's
+// email or account details. Expired and revoked links answer 410.
+router.get("/shared/:token", async (req, res) => {
   try {
-    let items = req.body.items;
+    const shared = await getSharedRecommendation(req.params.token);
 
-    // Validate input
-    if (!items || (Array.isArray(items) && items.length === 0)) {
-      return res.status(400).json({
-        success: false,
-        message: "Items are required",
-      });
+    res.status(200).json(shared);
+  } catch (error) {
+    if (error.statusCode) {
+      return sendRecommendationError(res, error);
     }
+    console.error("Get shared recommendation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve shared recommendation",
+      error: error.message,
+    });
+  }
+});
 
-    if (!Array.isArray(items)) {
-      items = [items];
+// Helper function to send a quote as a PDF, or as JSON with format=json.
+// input holds tier, format and the optional name, company, email, phone and
+// address to print instead of the account details.
+const sendQuote = async (req, res, input, issue) => {
+  try {
+    const quote = await buildQuote({
+      requestId: req.params.requestId,
+      tier: input.tier,
+      user: req.user,
+      customer: input,
+      issue,
+    });
+
+    if (input.format === "json") {
+      return res.status(200).json({ success: true, quote });
     }
 
-    // Validate each item
-    for (const item of items) {
-      if (
-        !item.nameOfItem ||
-        !item.quantity ||
-        !item.wattage ||
-        !item.dayHours ||
-        !item.nightHours
-      ) {
-        return res.status(400).json({
-          success: false,
-          message:
-            "Each item must have nameOfItem, quantity, wattage, dayHours, and nightHours",
-        });
-      }
+    const pdf = await renderQuotePdf(quote);
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${quote.quoteNumber}.pdf"`,
+      "Content-Length": pdf.length,
+    });
+    res.status(200).send(pdf);
+  } catch (error) {
+    if (error.statusCode) {
+      return sendRecommendationError(res, error);
     }
+    console.error("Generate quote error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate quote",
+      error: error.message,
+    });
+  }
+};
 
-    // Get location and solar data
-    const location = await getLocationData(req);
-    const solarData = await getSolarData(location);
-
-    // Calculate usage metrics
-    const totalWattage = items.reduce(
-      (sum, item) => sum + Number(item.wattage) * Number(item.quantity),
-      0
-    );
-    const totalDayHours = items.reduce(
-      (sum, item) => sum + Number(item.dayHours),
-      0
-    );
-    const totalNightHours = items.reduce(
-      (sum, item) => sum + Number(item.nightHours),
-      0
-    );
-    const dailyConsumption = (
-      (totalWattage * (totalDayHours + totalNightHours)) /
-      1000
-    ).toFixed(2);
-
-    // Create Claude AI prompt for SINGLE OPTIMAL recommendation with real product images
-    const prompt = `You are an expert solar energy consultant for Nigeria with deep knowledge of solar installations and current market products. Always return valid JSON.
-
-    Based on the following information, provide EXACTLY 1 OPTIMAL solar system recommendation with REAL product images:
-
-    LOCATION: ${location.city}, ${location.region}, ${location.country}
-    SOLAR CONDITIONS: ${
-      solarData.averageSunlightHours
-    } hours average sunlight, ${solarData.cloudCover}% cloud cover
-
-    POWER REQUIREMENTS:
-    - Total wattage needed: ${totalWattage}W
-    - Daily consumption: ${dailyConsumption} kWh
-    - Day usage hours: ${totalDayHours}
-    - Night usage hours: ${totalNightHours}
-
-    APPLIANCES:
-    ${items
-      .map(
-        (item) =>
-          `- ${item.nameOfItem}: ${item.quantity} units, ${item.wattage}W each, ${item.dayHours}h day + ${item.nightHours}h night`
-      )
-      .join("\n")}
-
-    REQUIREMENTS:
-    1. Recommend the SINGLE MOST OPTIMAL system (not multiple options)
-    2. Use SPECIFIC brand names and models available in Nigeria (e.g., "Luminous 5KVA Inverter", "Trojan 200Ah Battery", "Canadian Solar 450W Panel")
-    3. Include REAL product image URLs from manufacturer websites or trusted Nigerian retailers
-    4. Calculate accurate pricing for Nigerian market (2024/2025 prices)
-    5. Consider the climate conditions in ${location.city}
-
-    Return response in this EXACT JSON format:
-    {
-      "recommendation": {
-        "systemName": "Optimal Solar System for Your Needs",
-        "components": {
-          "inverter": {
-            "name": "Specific Brand Model (e.g., Luminous 5KVA Pure Sine Wave Inverter)",
-            "quantity": 1,
-            "warranty": "2 years warranty",
-            "imageUrl": "REAL_PRODUCT_IMAGE_URL_HERE"
-          },
-          "battery": {
-            "name": "Specific Brand Model (e.g., Trojan T-105 Deep Cycle Battery 225Ah)",
-            "quantity": 4,
-            "warranty": "5 years warranty", 
-            "imageUrl": "REAL_PRODUCT_IMAGE_URL_HERE"
-          },
-          "solarPanels": {
-            "name": "Specific Brand Model (e.g., Canadian Solar 450W Monocrystalline Panel)",
-            "quantity": 8,
-            "warranty": "25 years warranty",
-            "imageUrl": "REAL_PRODUCT_IMAGE_URL_HERE"
-          }
-        },
-        "pricing": {
-          "subtotal": 4500000,
-          "vat": 337500,
-          "totalAmount": 4837500,
-          "currency": "NGN"
-        },
-        "performance": {
-          "dailyConsumption": "${dailyConsumption} kWh",
-          "backupDuration": "12-16 hours",
-          "efficiency": "95%"
-        },
-        "suitability": {
-          "reason": "This system is optimal because it perfectly matches your ${dailyConsumption} kWh daily consumption with optimal component sizing",
-          "climateConsiderations": ["Suitable for ${
-            location.city
-          } humidity levels", "Handles ${
-      solarData.cloudCover
-    }% cloud cover efficiently"]
-        }
-      }
+// Issue a quote for a saved recommendation at today's catalog prices, or
+// return the package's quote while it is still valid. Body: tier (defaults
+// to the recommended package), format and the customer details above.
+router.post("/:requestId/quote", verifyToken, (req, res) =>
+  sendQuote(req, res, req.body || {}, true)
+);
+
+// Download the quote issued for a saved recommendation. Read-only: 404s
+// until the quote has been issued with POST, and again once it expires.
+// Query: tier, format and the customer details above.
+router.get("/:requestId/quote", verifyToken, (req, res) =>
+  sendQuote(req, res, req.query, false)
+);
+
+// Rate a saved recommendation and say what came of it. Body: rating (1-5),
+// outcome ("purchased", "too-expensive" or "not-suitable") and comment, any
+// of which can be sent on their own.
+router.put("/:requestId/feedback", verifyToken, async (req, res) => {
+  try {
+    const feedback = await submitFeedback({
+      requestId: req.params.requestId,
+      rating: req.body.rating,
+      outcome: req.body.outcome,
+      comment: req.body.comment,
+      user: req.user,
+    });
+
+    res.status(200).json(feedback);
+  } catch (error) {
+    if (error.statusCode) {
+      return sendRecommendationError(res, error);
     }
+    console.error("Submit feedback error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to save feedback",
+      error: error.message,
+    });
+  }
+});
 
-    IMPORTANT: 
-    - Find REAL product images from manufacturer websites or trusted Nigerian solar retailers
-    - Use current Nigerian market prices (not outdated prices)
-    - Ensure the system can handle the calculated ${dailyConsumption} kWh daily consumption
-    - Consider ${location.city}'s ${
-      solarData.cloudCover
-    }% cloud cover and humidity levels
-    - NO fallback options - this is the SINGLE best recommendation`;
-
-    console.log("ANTHROPIC_API_KEY exists:", !!process.env.ANTHROPIC_API_KEY);
-    console.log(
-      "API key starts with sk-ant:",
-      process.env.ANTHROPIC_API_KEY?.startsWith("sk-ant-")
-    );
-    console.log("API key length:", process.env.ANTHROPIC_API_KEY?.length);
-    console.log(
-      "First 20 chars:",
-      process.env.ANTHROPIC_API_KEY?.substring(0, 20)
-    );
-
-    // Get Claude AI recommendations
-    const completion = await anthropic.messages.create({
-      model: "claude-3-5-sonnet-20241022",
-      max_tokens: 2000,
-      temperature: 0.3, // Lower temperature for more consistent recommendations
-      messages: [
-        {
-          role: "user",
-          content: prompt,
-        },
-      ],
-    });
-
-    // Parse Claude response
-    let aiResponse;
-    try {
-      const responseText = completion.content[0].text;
-      console.log("Claude raw response:", responseText);
-
-      // Try to extract JSON if Claude added extra text
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      const jsonString = jsonMatch ? jsonMatch[0] : responseText;
-
-      aiResponse = JSON.parse(jsonString);
-
-      // Validate that we got the expected structure
-      if (!aiResponse.recommendation || !aiResponse.recommendation.components) {
-        throw new Error("Invalid AI response structure");
-      }
-    } catch (parseError) {
-      console.error("JSON parsing failed:", parseError);
-      console.error("Raw Claude response:", completion.content[0].text);
-
-      // Return error instead of fallback
-      return res.status(503).json({
+// Poll a recommendation job. Jobs created by a signed-in user are only
+// visible to that user and admins.
+router.get("/jobs/:jobId", verifyTokenOptional, async (req, res) => {
+  try {
+    const job = await RecommendationJob.findOne({ jobId: req.params.jobId });
+    if (!job) {
+      return res.status(404).json({
         success: false,
-        message: "Unable to generate recommendations at this time",
-        error: "AI service parsing error",
-        suggestion: "Please try again in a few moments",
-        canRetry: true,
+        message: "Job not found",
       });
     }
 
-    // Determine if user is authenticated (without requiring it)
-    const isAuthenticated = req.user && req.user.id;
-
-    // Build customer info based on authentication status
-    const customerInfo = isAuthenticated
-      ? {
-          userId: req.user.id,
-          username: req.user.username,
-          email: req.user.email,
-          authMethod: req.user.authMethod,
-          isVerified: req.user.isVerified,
-          requestId: `REQ_${Date.now()}_${req.user.id.toString().slice(-6)}`,
-        }
-      : {
-          userId: null,
-          username: "Anonymous User",
-          email: null,
-          authMethod: "none",
-          isVerified: false,
-          requestId: `REQ_${Date.now()}_ANON`,
-        };
-
-    // Build the final response
-    const result = {
-      success: true,
-      customerInfo,
-      locationProfile: {
-        location: location,
-        solarConditions: solarData,
-        climateOptimizations: getClimateOptimizations(location, solarData),
-      },
-      powerRequirements: {
-        totalWattage,
-        dailyConsumption: dailyConsumption + " kWh",
-        appliances: items,
-        usagePattern: analyzeUsagePattern(totalDayHours, totalNightHours),
-      },
-      recommendation: aiResponse.recommendation,
-      metadata: {
-        generatedAt: new Date(),
-        aiModel: "claude-3-5-sonnet",
-        confidence: "high",
-        tokenType: isAuthenticated ? req.user.tokenType : "anonymous",
-        processingTime: Date.now() - startTime,
-      },
-    };
-
-    // Save recommendation request to user's history (only if authenticated)
-    if (isAuthenticated) {
-      try {
-        await saveRecommendationToHistory(req.user.id, result);
-        console.log(`💾 Recommendation saved for user: ${req.user.username}`);
-      } catch (historyError) {
-        console.error("Failed to save recommendation history:", historyError);
-        // Don't fail the request if history saving fails
-      }
-    } else {
-      console.log("📝 Anonymous user - skipping history save");
+    if (
+      job.user &&
+      !(
+        req.user &&
+        (req.user.id.toString() === job.user.toString() || req.user.isAdmin)
+      )
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not allowed to view this job",
+      });
     }
 
-    res.status(200).json(result);
+    res.status(200).json({ success: true, ...job.toStatus() });
   } catch (error) {
-    console.error("AI recommendation error:", error);
-
-    return res.status(503).json({
+    console.error("Get recommendation job error:", error);
+    res.status(500).json({
       success: false,
-      message: "Recommendation service is temporarily unavailable",
+      message: "Failed to retrieve job",
       error: error.message,
-      suggestion:
-        "Please try again in a few moments. Our AI system will be back online shortly.",
-      canRetry: true,
-      supportContact: "If the issue persists, please contact our support team",
     });
   }
 });
 
-// Updated helper function to save recommendation to user history
-const saveRecommendationToHistory = async (userId, recommendationData) => {
-  if (!userId) {
-    console.log("📝 No userId provided - skipping history save");
-    return;
+// Get the authenticated user's recommendations (paginated, newest first)
+router.get("/mine", verifyToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const skip = (page - 1) * limit;
+
+    const filter = { user: req.user.id };
+    const recommendations = await RecommendationRequest.find(filter)
+      .select("-customerInfo")
+      .sort({ requestedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    const total = await RecommendationRequest.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      recommendations,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalRecommendations: total,
+    });
+  } catch (error) {
+    console.error("Get user recommendations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve recommendations",
+      error: error.message,
+    });
   }
+});
 
+// Purge cached recommendation results (admin only). city and promptVersion
+// optionally limit the purge, e.g. after prices change for one area.
+router.delete("/cache", verifyTokenAndAdmin, async (req, res) => {
   try {
-    const user = await User.findById(userId);
-    if (!user) {
-      console.log(`⚠️ User not found: ${userId}`);
-      return;
-    }
-
-    // Create history entry for single recommendation structure
-    const historyEntry = {
-      requestId: recommendationData.customerInfo.requestId,
-      totalWattage: recommendationData.powerRequirements.totalWattage,
-      dailyConsumption: recommendationData.powerRequirements.dailyConsumption,
-      appliances: recommendationData.powerRequirements.appliances,
-      location: {
-        city: recommendationData.locationProfile.location.city,
-        region: recommendationData.locationProfile.location.region,
-        country: recommendationData.locationProfile.location.country,
-      },
-      solarConditions: {
-        averageSunlightHours:
-          recommendationData.locationProfile.solarConditions
-            .averageSunlightHours,
-        cloudCover:
-          recommendationData.locationProfile.solarConditions.cloudCover,
-        humidity: recommendationData.locationProfile.solarConditions.humidity,
-      },
-      recommendedSystem: {
-        systemName: recommendationData.recommendation.systemName,
-        totalAmount: recommendationData.recommendation.pricing.totalAmount,
-        components: recommendationData.recommendation.components,
-        performance: recommendationData.recommendation.performance,
-      },
-      aiModel: recommendationData.metadata.aiModel,
-      processingTime: recommendationData.metadata.processingTime,
-      requestedAt: new Date(),
-    };
-
-    // Initialize recommendationHistory if it doesn't exist
-    if (!user.recommendationHistory) {
-      user.recommendationHistory = [];
-    }
-
-    // Add to user's recommendation history (keep last 10 recommendations)
-    user.recommendationHistory.push(historyEntry);
-    if (user.recommendationHistory.length > 10) {
-      user.recommendationHistory.shift(); // Remove oldest if more than 10
-    }
+    const { backend, purged } = await purgeRecommendationCache({
+      city: req.query.city,
+      promptVersion: req.query.promptVersion,
+    });
 
-    await user.save();
-    console.log(
-      `💾 Recommendation saved for user: ${user.username} (Total: ${user.recommendationHistory.length})`
-    );
+    res.status(200).json({
+      success: true,
+      message: `Purged ${purged} cached recommendations`,
+      backend,
+      purged,
+    });
   } catch (error) {
-    console.error("Failed to save recommendation history:", error);
-    // Don't throw error - this shouldn't break the main flow
-    throw error; // Re-throw so calling function can handle it
+    console.error("Purge recommendation cache error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to purge recommendation cache",
+      error: error.message,
+    });
   }
-};
+});
 
 router.get("/debug/recommendations", verifyTokenAndAdmin, async (req, res) => {
   try {
     // Check what's actually in the database
-    const users = await User.find({}).select("username recommendationHistory");
-
     const debug = {
-      totalUsers: await User.countDocuments(),
-      usersWithRecommendations: users.filter(
-        (u) => u.recommendationHistory && u.recommendationHistory.length > 0
-      ),
-      sampleUser: users[0],
-      recommendationHistoryLength: users[0]?.recommendationHistory?.length || 0,
+      totalRequests: await RecommendationRequest.countDocuments(),
+      anonymousRequests: await RecommendationRequest.countDocuments({
+        user: null,
+      }),
+      usersWithRecommendations: (
+        await RecommendationRequest.distinct("user", { user: { $ne: null } })
+      ).length,
+      latestRequest: await RecommendationRequest.findOne().sort({
+        requestedAt: -1,
+      }),
     };
 
     res.json(debug);
@@ -3,6 +3,8 @@ const router = express.Router();
 const { createClerkClient } = require("@clerk/backend");
 const User = require("../models/User");
 const RecommendationRequest = require("../models/RecommendationRequest");
+const { getFeedbackAnalytics } = require("../services/recommendationFeedback");
+const { comparePromptArms } = require("../services/promptExperiments");
 
 const {
   verifyTokenAndAdmin,
@@ -113,28 +115,27 @@ router.get("/analytics/appliances", verifyTokenAndAdmin, async (req, res) => {
     const skip = (page - 1) * limit;
 
     // Get popular appliances with user details
-    const popularAppliances = await User.aggregate([
-      { $match: { recommendationHistory: { $exists: true, $ne: [] } } },
-      { $unwind: "$recommendationHistory" },
-      { $unwind: "$recommendationHistory.appliances" },
+    const popularAppliances = await RecommendationRequest.aggregate([
+      { $match: { user: { $ne: null } } },
+      { $unwind: "$appliances" },
       {
         $group: {
-          _id: "$recommendationHistory.appliances.nameOfItem",
+          _id: "$appliances.nameOfItem",
           totalRequests: { $sum: 1 },
-          averageWattage: { $avg: "$recommendationHistory.appliances.wattage" },
-          totalQuantity: { $sum: "$recommendationHistory.appliances.quantity" },
-          maxWattage: { $max: "$recommendationHistory.appliances.wattage" },
-          minWattage: { $min: "$recommendationHistory.appliances.wattage" },
-          uniqueUsers: { $addToSet: "$_id" },
+          averageWattage: { $avg: "$appliances.wattage" },
+          totalQuantity: { $sum: "$appliances.quantity" },
+          maxWattage: { $max: "$appliances.wattage" },
+          minWattage: { $min: "$appliances.wattage" },
+          uniqueUsers: { $addToSet: "$user" },
           userDetails: {
             $push: {
-              userId: "$_id",
-              username: "$username",
-              email: "$email",
-              wattage: "$recommendationHistory.appliances.wattage",
-              quantity: "$recommendationHistory.appliances.quantity",
-              requestedAt: "$recommendationHistory.requestedAt",
-              requestId: "$recommendationHistory.requestId",
+              userId: "$user",
+              username: "$customerInfo.username",
+              email: "$customerInfo.email",
+              wattage: "$appliances.wattage",
+              quantity: "$appliances.quantity",
+              requestedAt: "$requestedAt",
+              requestId: "$requestId",
             },
           },
         },
@@ -157,20 +158,14 @@ router.get("/analytics/appliances", verifyTokenAndAdmin, async (req, res) => {
     ]);
 
     // Total appliances count in the entire system
-    const totalAppliancesInSystem = await User.aggregate([
-      { $match: { recommendationHistory: { $exists: true, $ne: [] } } },
-      { $unwind: "$recommendationHistory" },
-      { $unwind: "$recommendationHistory.appliances" },
+    const totalAppliancesInSystem = await RecommendationRequest.aggregate([
+      { $unwind: "$appliances" },
       {
         $group: {
           _id: null,
-          totalApplianceInstances: {
-            $sum: "$recommendationHistory.appliances.quantity",
-          },
+          totalApplianceInstances: { $sum: "$appliances.quantity" },
           totalApplianceSubmissions: { $sum: 1 },
-          uniqueApplianceTypes: {
-            $addToSet: "$recommendationHistory.appliances.nameOfItem",
-          },
+          uniqueApplianceTypes: { $addToSet: "$appliances.nameOfItem" },
         },
       },
       {
@@ -183,35 +178,27 @@ router.get("/analytics/appliances", verifyTokenAndAdmin, async (req, res) => {
     ]);
 
     // User-specific appliance summary
-    const userApplianceSummary = await User.aggregate([
-      { $match: { recommendationHistory: { $exists: true, $ne: [] } } },
-      { $unwind: "$recommendationHistory" },
-      { $unwind: "$recommendationHistory.appliances" },
+    const userApplianceSummary = await RecommendationRequest.aggregate([
+      { $match: { user: { $ne: null } } },
+      { $unwind: "$appliances" },
       {
         $group: {
-          _id: "$_id",
-          username: { $first: "$username" },
-          email: { $first: "$email" },
-          totalAppliancesSubmitted: {
-            $sum: "$recommendationHistory.appliances.quantity",
-          },
-          uniqueApplianceTypes: {
-            $addToSet: "$recommendationHistory.appliances.nameOfItem",
-          },
+          _id: "$user",
+          username: { $first: "$customerInfo.username" },
+          email: { $first: "$customerInfo.email" },
+          totalAppliancesSubmitted: { $sum: "$appliances.quantity" },
+          uniqueApplianceTypes: { $addToSet: "$appliances.nameOfItem" },
           totalWattageSubmitted: {
             $sum: {
-              $multiply: [
-                "$recommendationHistory.appliances.wattage",
-                "$recommendationHistory.appliances.quantity",
-              ],
+              $multiply: ["$appliances.wattage", "$appliances.quantity"],
             },
           },
           appliancesList: {
             $push: {
-              name: "$recommendationHistory.appliances.nameOfItem",
-              wattage: "$recommendationHistory.appliances.wattage",
-              quantity: "$recommendationHistory.appliances.quantity",
-              submittedAt: "$recommendationHistory.requestedAt",
+              name: "$appliances.nameOfItem",
+              wattage: "$appliances.wattage",
+              quantity: "$appliances.quantity",
+              submittedAt: "$requestedAt",
             },
           },
         },
@@ -278,34 +265,19 @@ router.get("/analytics/dashboard", verifyTokenAndAdmin, async (req, res) => {
       createdAt: { $gte: thirtyDaysAgo },
     });
 
-    // Total recommendation requests
-    const totalRecommendationRequests = await User.aggregate([
-      { $unwind: "$recommendationHistory" },
-      { $count: "total" },
-    ]);
+    // Total recommendation requests (anonymous ones included)
+    const totalRecommendationRequests =
+      await RecommendationRequest.countDocuments();
 
     // Recent recommendation requests (last 30 days)
-    const recentRecommendations = await User.aggregate([
-      { $unwind: "$recommendationHistory" },
-      {
-        $match: {
-          "recommendationHistory.requestedAt": { $gte: thirtyDaysAgo },
-        },
-      },
-      { $count: "total" },
-    ]);
+    const recentRecommendations = await RecommendationRequest.countDocuments({
+      requestedAt: { $gte: thirtyDaysAgo },
+    });
 
     // Total unique appliances requested
-    const totalAppliances = await User.aggregate([
-      { $unwind: "$recommendationHistory" },
-      { $unwind: "$recommendationHistory.appliances" },
-      {
-        $group: {
-          _id: "$recommendationHistory.appliances.nameOfItem",
-        },
-      },
-      { $count: "total" },
-    ]);
+    const totalAppliances = await RecommendationRequest.distinct(
+      "appliances.nameOfItem"
+    );
 
     res.status(200).json({
       success: true,
@@ -313,15 +285,15 @@ router.get("/analytics/dashboard", verifyTokenAndAdmin, async (req, res) => {
         totalUsers,
         verifiedUsers,
         activeUsers,
-        totalRecommendationRequests: totalRecommendationRequests[0]?.total || 0,
-        totalUniqueAppliances: totalAppliances[0]?.total || 0,
+        totalRecommendationRequests,
+        totalUniqueAppliances: totalAppliances.length,
         verificationRate:
           totalUsers > 0 ? ((verifiedUsers / totalUsers) * 100).toFixed(1) : 0,
       },
       authMethodDistribution: authMethodStats,
       recentActivity: {
         newUsersLast30Days: recentUsers,
-        recommendationRequestsLast30Days: recentRecommendations[0]?.total || 0,
+        recommendationRequestsLast30Days: recentRecommendations,
       },
       generatedAt: new Date(),
     });
@@ -342,34 +314,36 @@ router.get(
       const skip = (page - 1) * limit;
 
       // Get detailed recommendation data
-      const detailedRecommendations = await User.aggregate([
-        { $match: { recommendationHistory: { $exists: true, $ne: [] } } },
-        { $unwind: "$recommendationHistory" },
+      const detailedRecommendations = await RecommendationRequest.aggregate([
+        { $sort: { requestedAt: -1 } },
+        { $skip: skip },
+        { $limit: limit },
         {
           $project: {
-            userId: "$_id",
+            userId: "$user",
             userInfo: {
-              username: "$username",
-              email: "$email",
-              authMethod: "$authMethod",
-              isVerified: "$isVerified",
+              username: "$customerInfo.username",
+              email: "$customerInfo.email",
+              authMethod: "$customerInfo.authMethod",
             },
             recommendationDetails: {
-              requestId: "$recommendationHistory.requestId",
-              requestedAt: "$recommendationHistory.requestedAt",
-              totalWattage: "$recommendationHistory.totalWattage",
-              dailyConsumption: "$recommendationHistory.dailyConsumption",
-              processingTime: "$recommendationHistory.processingTime",
-              aiModel: "$recommendationHistory.aiModel",
+              requestId: "$requestId",
+              requestedAt: "$requestedAt",
+              totalWattage: "$totalWattage",
+              dailyConsumptionKWh: "$dailyConsumptionKWh",
+              recommendedTier: "$recommendedTier",
+              recommendedTotalAmount: "$recommendedTotalAmount",
+              processingTime: "$processingTime",
+              aiModel: "$aiModel",
             },
-            location: "$recommendationHistory.location",
-            solarConditions: "$recommendationHistory.solarConditions",
+            location: "$location",
+            solarConditions: "$solarConditions",
             triggeringAppliances: {
-              applianceCount: { $size: "$recommendationHistory.appliances" },
-              appliances: "$recommendationHistory.appliances",
+              applianceCount: { $size: "$appliances" },
+              appliances: "$appliances",
               totalApplianceWattage: {
                 $reduce: {
-                  input: "$recommendationHistory.appliances",
+                  input: "$appliances",
                   initialValue: 0,
                   in: {
                     $add: [
@@ -382,36 +356,29 @@ router.get(
             },
           },
         },
-        { $sort: { "recommendationDetails.requestedAt": -1 } },
-        { $skip: skip },
-        { $limit: limit },
       ]);
 
       // Recommendation statistics
-      const recommendationStats = await User.aggregate([
-        { $match: { recommendationHistory: { $exists: true, $ne: [] } } },
-        { $unwind: "$recommendationHistory" },
+      const recommendationStats = await RecommendationRequest.aggregate([
         {
           $group: {
             _id: null,
             totalRequests: { $sum: 1 },
-            averageWattage: { $avg: "$recommendationHistory.totalWattage" },
-            maxWattage: { $max: "$recommendationHistory.totalWattage" },
-            minWattage: { $min: "$recommendationHistory.totalWattage" },
-            averageProcessingTime: {
-              $avg: "$recommendationHistory.processingTime",
-            },
-            averageAppliancesPerRequest: {
-              $avg: { $size: "$recommendationHistory.appliances" },
-            },
-            totalAppliancesProcessed: {
-              $sum: { $size: "$recommendationHistory.appliances" },
+            anonymousRequests: {
+              $sum: { $cond: [{ $eq: ["$user", null] }, 1, 0] },
             },
+            averageWattage: { $avg: "$totalWattage" },
+            maxWattage: { $max: "$totalWattage" },
+            minWattage: { $min: "$totalWattage" },
+            averageProcessingTime: { $avg: "$processingTime" },
+            averageAppliancesPerRequest: { $avg: { $size: "$appliances" } },
+            totalAppliancesProcessed: { $sum: { $size: "$appliances" } },
           },
         },
         {
           $project: {
             totalRequests: 1,
+            anonymousRequests: 1,
             averageWattage: { $round: ["$averageWattage", 2] },
             maxWattage: 1,
             minWattage: 1,
@@ -425,19 +392,17 @@ router.get(
       ]);
 
       // Time-based analytics
-      const timeBasedAnalytics = await User.aggregate([
-        { $match: { recommendationHistory: { $exists: true, $ne: [] } } },
-        { $unwind: "$recommendationHistory" },
+      const timeBasedAnalytics = await RecommendationRequest.aggregate([
         {
           $group: {
             _id: {
-              year: { $year: "$recommendationHistory.requestedAt" },
-              month: { $month: "$recommendationHistory.requestedAt" },
-              day: { $dayOfMonth: "$recommendationHistory.requestedAt" },
+              year: { $year: "$requestedAt" },
+              month: { $month: "$requestedAt" },
+              day: { $dayOfMonth: "$requestedAt" },
             },
             requestsCount: { $sum: 1 },
-            averageWattage: { $avg: "$recommendationHistory.totalWattage" },
-            uniqueUsers: { $addToSet: "$_id" },
+            averageWattage: { $avg: "$totalWattage" },
+            uniqueUsers: { $addToSet: "$user" },
           },
         },
         {
@@ -453,22 +418,21 @@ router.get(
       ]);
 
       // Popular locations with request times
-      const locationAnalytics = await User.aggregate([
-        { $match: { recommendationHistory: { $exists: true, $ne: [] } } },
-        { $unwind: "$recommendationHistory" },
+      const locationAnalytics = await RecommendationRequest.aggregate([
+        { $sort: { requestedAt: 1 } },
         {
           $group: {
-            _id: "$recommendationHistory.location.city",
+            _id: "$location.city",
             requestCount: { $sum: 1 },
-            region: { $first: "$recommendationHistory.location.region" },
-            country: { $first: "$recommendationHistory.location.country" },
-            averageWattage: { $avg: "$recommendationHistory.totalWattage" },
-            uniqueUsers: { $addToSet: "$_id" },
+            region: { $first: "$location.region" },
+            country: { $first: "$location.country" },
+            averageWattage: { $avg: "$totalWattage" },
+            uniqueUsers: { $addToSet: "$user" },
             recentRequests: {
               $push: {
-                requestedAt: "$recommendationHistory.requestedAt",
-                username: "$username",
-                totalWattage: "$recommendationHistory.totalWattage",
+                requestedAt: "$requestedAt",
+                username: "$customerInfo.username",
+                totalWattage: "$totalWattage",
               },
             },
           },
@@ -488,11 +452,7 @@ router.get(
         { $limit: 10 },
       ]);
 
-      const totalRecommendations = await User.aggregate([
-        { $match: { recommendationHistory: { $exists: true, $ne: [] } } },
-        { $unwind: "$recommendationHistory" },
-        { $count: "total" },
-      ]);
+      const totalRecommendations = await RecommendationRequest.countDocuments();
 
       res.status(200).json({
         success: true,
@@ -504,8 +464,8 @@ router.get(
         },
         pagination: {
           currentPage: page,
-          totalPages: Math.ceil((totalRecommendations[0]?.total || 0) / limit),
-          totalRecommendations: totalRecommendations[0]?.total || 0,
+          totalPages: Math.ceil(totalRecommendations / limit),
+          totalRecommendations,
           recommendationsPerPage: limit,
         },
       });
@@ -518,6 +478,58 @@ router.get(
   }
 );
 
+// Recommendation acceptance from customer feedback, by city, load size and
+// prompt version. ?days=30 limits it to recent feedback.
+router.get("/analytics/feedback", verifyTokenAndAdmin, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days);
+    const since =
+      days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null;
+
+    const analytics = await getFeedbackAnalytics({ since });
+
+    res.status(200).json({
+      success: true,
+      ...analytics,
+      generatedAt: new Date(),
+    });
+  } catch (error) {
+    console.error("Get feedback analytics error:", error);
+    res.status(500).json({ error: "Unable to retrieve feedback analytics" });
+  }
+});
+
+// Compare recommendation prompt versions (A/B arms) by validation pass rate,
+// AI cost and customer feedback. ?experiment= limits it to one experiment and
+// ?days= to recent recommendations.
+router.get(
+  "/analytics/prompt-experiments",
+  verifyTokenAndAdmin,
+  async (req, res) => {
+    try {
+      const days = parseInt(req.query.days);
+      const since =
+        days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null;
+
+      const comparison = await comparePromptArms({
+        experiment: req.query.experiment,
+        since,
+      });
+
+      res.status(200).json({
+        success: true,
+        ...comparison,
+        generatedAt: new Date(),
+      });
+    } catch (error) {
+      console.error("Get prompt experiment analytics error:", error);
+      res
+        .status(500)
+        .json({ error: "Unable to retrieve prompt experiment analytics" });
+    }
+  }
+);
+
 // User activity analytics
 router.get(
   "/analytics/users-activity",
@@ -543,19 +555,35 @@ router.get(
       ]);
 
       // Most active users (by recommendation requests)
-      const mostActiveUsers = await User.aggregate([
+      const mostActiveUsers = await RecommendationRequest.aggregate([
+        { $match: { user: { $ne: null } } },
         {
-          $project: {
-            username: 1,
-            email: 1,
-            authMethod: 1,
-            recommendationCount: { $size: "$recommendationHistory" },
-            lastLogin: 1,
-            createdAt: 1,
+          $group: {
+            _id: "$user",
+            recommendationCount: { $sum: 1 },
           },
         },
         { $sort: { recommendationCount: -1 } },
         { $limit: 10 },
+        {
+          $lookup: {
+            from: "users",
+            localField: "_id",
+            foreignField: "_id",
+            as: "user",
+          },
+        },
+        { $unwind: "$user" },
+        {
+          $project: {
+            username: "$user.username",
+            email: "$user.email",
+            authMethod: "$user.authMethod",
+            recommendationCount: 1,
+            lastLogin: "$user.lastLogin",
+            createdAt: "$user.createdAt",
+          },
+        },
       ]);
 
       // Users by verification status
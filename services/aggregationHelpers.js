@@ -0,0 +1,30 @@
+// MongoDB aggregation expressions shared by the recommendation analytics
+// (feedback acceptance and prompt experiment reports).
+
+// Inside $group: how many documents meet condition
+const countWhere = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+// a / b as a percentage, or null when there is nothing to divide by
+const percentage = (a, b) => ({
+  $cond: [
+    { $gt: [b, 0] },
+    { $round: [{ $multiply: [{ $divide: [a, b] }, 100] }, 1] },
+    null,
+  ],
+});
+
+// True when a recommendation's feedback came from the customer it was made
+// for. Anonymous recommendations, and feedback saved before submitters were
+// checked, are left out of the analytics.
+const isOwnerFeedback = {
+  $and: [
+    { $ne: [{ $ifNull: ["$user", null] }, null] },
+    { $eq: ["$feedback.submittedBy", "$user"] },
+  ],
+};
+
+module.exports = {
+  countWhere,
+  percentage,
+  isOwnerFeedback,
+};
@@ -0,0 +1,568 @@
+// Curated library of common Nigerian household and small-business appliances.
+// wattage is the typical running power, surgeMultiplier the start-up draw as
+// a multiple of running power (motors and compressors), and dutyCycle the
+// share of the usage hours the appliance actually draws power (a fridge
+// compressor cycles on and off). Typical hours are used when a request only
+// gives an applianceId.
+const APPLIANCE_CATEGORIES = [
+  "lighting",
+  "cooling",
+  "refrigeration",
+  "entertainment",
+  "office",
+  "kitchen",
+  "laundry",
+  "water",
+  "security",
+  "personal-care",
+];
+
+const APPLIANCES = [
+  // Lighting
+  {
+    id: "led-bulb",
+    name: "LED Bulb",
+    category: "lighting",
+    aliases: ["light", "bulb", "lamp"],
+    wattage: 10,
+    surgeMultiplier: 1,
+    dutyCycle: 1,
+    typicalDayHours: 2,
+    typicalNightHours: 6,
+  },
+  {
+    id: "energy-saving-bulb",
+    name: "Energy Saving Bulb",
+    category: "lighting",
+    aliases: ["cfl", "light", "bulb"],
+    wattage: 20,
+    surgeMultiplier: 1,
+    dutyCycle: 1,
+    typicalDayHours: 2,
+    typicalNightHours: 6,
+  },
+  {
+    id: "fluorescent-tube",
+    name: "Fluorescent Tube (4ft)",
+    category: "lighting",
+    aliases: ["tube light", "florescent"],
+    wattage: 40,
+    surgeMultiplier: 1.2,
+    dutyCycle: 1,
+    typicalDayHours: 2,
+    typicalNightHours: 6,
+  },
+  {
+    id: "security-light",
+    name: "Outdoor Security Light",
+    category: "lighting",
+    aliases: ["flood light", "security lamp"],
+    wattage: 50,
+    surgeMultiplier: 1,
+    dutyCycle: 1,
+    typicalDayHours: 0,
+    typicalNightHours: 12,
+  },
+
+  // Cooling
+  {
+    id: "ceiling-fan",
+    name: "Ceiling Fan",
+    category: "cooling",
+    aliases: ["fan"],
+    wattage: 75,
+    surgeMultiplier: 1.5,
+    dutyCycle: 1,
+    typicalDayHours: 6,
+    typicalNightHours: 8,
+  },
+  {
+    id: "standing-fan",
+    name: "Standing Fan",
+    category: "cooling",
+    aliases: ["fan", "pedestal fan"],
+    wattage: 60,
+    surgeMultiplier: 1.5,
+    dutyCycle: 1,
+    typicalDayHours: 6,
+    typicalNightHours: 8,
+  },
+  {
+    id: "ac-1hp",
+    name: "Air Conditioner (1HP)",
+    category: "cooling",
+    aliases: ["ac", "aircon", "split unit", "air conditioner"],
+    wattage: 900,
+    surgeMultiplier: 3,
+    dutyCycle: 0.7,
+    typicalDayHours: 4,
+    typicalNightHours: 6,
+  },
+  {
+    id: "ac-1-5hp",
+    name: "Air Conditioner (1.5HP)",
+    category: "cooling",
+    aliases: ["ac", "aircon", "split unit", "air conditioner"],
+    wattage: 1200,
+    surgeMultiplier: 3,
+    dutyCycle: 0.7,
+    typicalDayHours: 4,
+    typicalNightHours: 6,
+  },
+  {
+    id: "ac-2hp",
+    name: "Air Conditioner (2HP)",
+    category: "cooling",
+    aliases: ["ac", "aircon", "split unit", "air conditioner"],
+    wattage: 1800,
+    surgeMultiplier: 3,
+    dutyCycle: 0.7,
+    typicalDayHours: 4,
+    typicalNightHours: 6,
+  },
+  {
+    id: "inverter-ac-1-5hp",
+    name: "Inverter Air Conditioner (1.5HP)",
+    category: "cooling",
+    aliases: ["ac", "aircon", "inverter ac", "air conditioner"],
+    wattage: 1000,
+    surgeMultiplier: 1.2,
+    dutyCycle: 0.6,
+    typicalDayHours: 4,
+    typicalNightHours: 6,
+  },
+
+  // Refrigeration
+  {
+    id: "fridge-small",
+    name: "Refrigerator (Table Top)",
+    category: "refrigeration",
+    aliases: ["fridge", "mini fridge", "bar fridge"],
+    wattage: 80,
+    surgeMultiplier: 5,
+    dutyCycle: 0.4,
+    typicalDayHours: 12,
+    typicalNightHours: 12,
+  },
+  {
+    id: "fridge-medium",
+    name: "Refrigerator (Double Door)",
+    category: "refrigeration",
+    aliases: ["fridge", "refrigerator"],
+    wattage: 150,
+    surgeMultiplier: 5,
+    dutyCycle: 0.4,
+    typicalDayHours: 12,
+    typicalNightHours: 12,
+  },
+  {
+    id: "fridge-large",
+    name: "Refrigerator (Side by Side)",
+    category: "refrigeration",
+    aliases: ["fridge", "refrigerator", "american fridge"],
+    wattage: 250,
+    surgeMultiplier: 5,
+    dutyCycle: 0.4,
+    typicalDayHours: 12,
+    typicalNightHours: 12,
+  },
+  {
+    id: "chest-freezer-medium",
+    name: "Chest Freezer (200L)",
+    category: "refrigeration",
+    aliases: ["freezer", "deep freezer"],
+    wattage: 150,
+    surgeMultiplier: 5,
+    dutyCycle: 0.5,
+    typicalDayHours: 12,
+    typicalNightHours: 12,
+  },
+  {
+    id: "chest-freezer-large",
+    name: "Chest Freezer (400L)",
+    category: "refrigeration",
+    aliases: ["freezer", "deep freezer"],
+    wattage: 250,
+    surgeMultiplier: 5,
+    dutyCycle: 0.5,
+    typicalDayHours: 12,
+    typicalNightHours: 12,
+  },
+  {
+    id: "water-dispenser",
+    name: "Water Dispenser (Hot & Cold)",
+    category: "refrigeration",
+    aliases: ["dispenser"],
+    wattage: 550,
+    surgeMultiplier: 2,
+    dutyCycle: 0.25,
+    typicalDayHours: 10,
+    typicalNightHours: 4,
+  },
+
+  // Entertainment
+  {
+    id: "tv-32-led",
+    name: 'LED TV (32")',
+    category: "entertainment",
+    aliases: ["tv", "television"],
+    wattage: 50,
+    surgeMultiplier: 1,
+    dutyCycle: 1,
+    typicalDayHours: 4,
+    typicalNightHours: 4,
+  },
+  {
+    id: "tv-43-led",
+    name: 'LED TV (43")',
+    category: "entertainment",
+    aliases: ["tv", "television"],
+    wattage: 80,
+    surgeMultiplier: 1,
+    dutyCycle: 1,
+    typicalDayHours: 4,
+    typicalNightHours: 4,
+  },
+  {
+    id: "tv-55-led",
+    name: 'LED TV (55")',
+    category: "entertainment",
+    aliases: ["tv", "television", "smart tv"],
+    wattage: 120,
+    surgeMultiplier: 1,
+    dutyCycle: 1,
+    typicalDayHours: 4,
+    typicalNightHours: 4,
+  },
+  {
+    id: "decoder",
+    name: "Satellite Decoder",
+    category: "entertainment",
+    aliases: ["dstv", "gotv", "startimes", "cable"],
+    wattage: 20,
+    surgeMultiplier: 1,
+    dutyCycle: 1,
+    typicalDayHours: 4,
+    typicalNightHours: 4,
+  },
+  {
+    id: "home-theatre",
+    name: "Home Theatre System",
+    category: "entertainment",
+    aliases: ["sound system", "speaker", "home theater"],
+    wattage: 100,
+    surgeMultiplier: 1.2,
+    dutyCycle: 1,
+    typicalDayHours: 2,
+    typicalNightHours: 3,
+  },
+  {
+    id: "gaming-console",
+    name: "Gaming Console",
+    category: "entertainment",
+    aliases: ["playstation", "ps5", "xbox"],
+    wattage: 150,
+    surgeMultiplier: 1,
+    dutyCycle: 1,
+    typicalDayHours: 2,
+    typicalNightHours: 2,
+  },
+
+  // Office
+  {
+    id: "laptop",
+    name: "Laptop",
+    category: "office",
+    aliases: ["computer", "notebook"],
+    wattage: 65,
+    surgeMultiplier: 1,
+    dutyCycle: 1,
+    typicalDayHours: 8,
+    typicalNightHours: 2,
+  },
+  {
+    id: "desktop-computer",
+    name: "Desktop Computer with Monitor",
+    category: "office",
+    aliases: ["computer", "pc", "desktop"],
+    wattage: 200,
+    surgeMultiplier: 1.2,
+    dutyCycle: 1,
+    typicalDayHours: 8,
+    typicalNightHours: 0,
+  },
+  {
+    id: "wifi-router",
+    name: "Wi-Fi Router",
+    category: "office",
+    aliases: ["router", "internet", "modem", "mifi"],
+    wattage: 10,
+    surgeMultiplier: 1,
+    dutyCycle: 1,
+    typicalDayHours: 12,
+    typicalNightHours: 12,
+  },
+  {
+    id: "phone-charger",
+    name: "Phone Charger",
+    category: "office",
+    aliases: ["charger", "phone"],
+    wattage: 10,
+    surgeMultiplier: 1,
+    dutyCycle: 1,
+    typicalDayHours: 2,
+    typicalNightHours: 2,
+  },
+  {
+    id: "laser-printer",
+    name: "Laser Printer",
+    category: "office",
+    aliases: ["printer"],
+    wattage: 400,
+    surgeMultiplier: 2,
+    dutyCycle: 0.2,
+    typicalDayHours: 4,
+    typicalNightHours: 0,
+  },
+
+  // Kitchen
+  {
+    id: "microwave",
+    name: "Microwave Oven",
+    category: "kitchen",
+    aliases: ["oven"],
+    wattage: 1200,
+    surgeMultiplier: 1.5,
+    dutyCycle: 1,
+    typicalDayHours: 0.25,
+    typicalNightHours: 0.25,
+  },
+  {
+    id: "electric-kettle",
+    name: "Electric Kettle",
+    category: "kitchen",
+    aliases: ["kettle"],
+    wattage: 1500,
+    surgeMultiplier: 1,
+    dutyCycle: 1,
+    typicalDayHours: 0.2,
+    typicalNightHours: 0.1,
+  },
+  {
+    id: "blender",
+    name: "Blender",
+    category: "kitchen",
+    aliases: ["grinder", "mixer"],
+    wattage: 400,
+    surgeMultiplier: 2,
+    dutyCycle: 1,
+    typicalDayHours: 0.2,
+    typicalNightHours: 0,
+  },
+
+  // Laundry
+  {
+    id: "washing-machine",
+    name: "Washing Machine",
+    category: "laundry",
+    aliases: ["washer"],
+    wattage: 500,
+    surgeMultiplier: 3,
+    dutyCycle: 0.5,
+    typicalDayHours: 1,
+    typicalNightHours: 0,
+  },
+  {
+    id: "pressing-iron",
+    name: "Pressing Iron",
+    category: "laundry",
+    aliases: ["iron", "electric iron"],
+    wattage: 1000,
+    surgeMultiplier: 1,
+    dutyCycle: 0.6,
+    typicalDayHours: 0.5,
+    typicalNightHours: 0,
+  },
+
+  // Water
+  {
+    id: "pumping-machine-0-5hp",
+    name: "Pumping Machine (0.5HP)",
+    category: "water",
+    aliases: ["pump", "pumping machine", "water pump", "borehole"],
+    wattage: 370,
+    surgeMultiplier: 3,
+    dutyCycle: 1,
+    typicalDayHours: 1,
+    typicalNightHours: 0,
+  },
+  {
+    id: "pumping-machine-1hp",
+    name: "Pumping Machine (1HP)",
+    category: "water",
+    aliases: ["pump", "pumping machine", "water pump", "borehole"],
+    wattage: 750,
+    surgeMultiplier: 3,
+    dutyCycle: 1,
+    typicalDayHours: 1,
+    typicalNightHours: 0,
+  },
+
+  // Security
+  {
+    id: "cctv-system",
+    name: "CCTV System (4 cameras)",
+    category: "security",
+    aliases: ["camera", "cctv", "dvr"],
+    wattage: 40,
+    surgeMultiplier: 1,
+    dutyCycle: 1,
+    typicalDayHours: 12,
+    typicalNightHours: 12,
+  },
+  {
+    id: "electric-fence",
+    name: "Electric Fence Energizer",
+    category: "security",
+    aliases: ["fence"],
+    wattage: 15,
+    surgeMultiplier: 1,
+    dutyCycle: 1,
+    typicalDayHours: 12,
+    typicalNightHours: 12,
+  },
+
+  // Personal care
+  {
+    id: "hair-dryer",
+    name: "Hair Dryer",
+    category: "personal-care",
+    aliases: ["dryer", "blow dryer"],
+    wattage: 1200,
+    surgeMultiplier: 1,
+    dutyCycle: 1,
+    typicalDayHours: 0.25,
+    typicalNightHours: 0,
+  },
+  {
+    id: "hair-clipper",
+    name: "Hair Clipper",
+    category: "personal-care",
+    aliases: ["clipper", "barbing"],
+    wattage: 15,
+    surgeMultiplier: 1,
+    dutyCycle: 1,
+    typicalDayHours: 1,
+    typicalNightHours: 0,
+  },
+];
+
+// A Map, so ids like "constructor" or "__proto__" don't resolve to
+// Object.prototype members
+const APPLIANCES_BY_ID = new Map(
+  APPLIANCES.map((appliance) => [appliance.id, appliance])
+);
+
+const getAppliance = (id) => APPLIANCES_BY_ID.get(id) || null;
+
+// Relevance of an appliance for a search term: name prefix beats a word
+// prefix, which beats a match anywhere in the name or aliases
+const scoreAppliance = (appliance, term) => {
+  const name = appliance.name.toLowerCase();
+  if (name.startsWith(term)) return 4;
+  if (name.split(/[\s(]+/).some((word) => word.startsWith(term))) return 3;
+  if (appliance.aliases.some((alias) => alias.startsWith(term))) return 2;
+  if (
+    name.includes(term) ||
+    appliance.id.includes(term) ||
+    appliance.aliases.some((alias) => alias.includes(term))
+  ) {
+    return 1;
+  }
+  return 0;
+};
+
+// Search by name or alias, optionally within one category; best matches first
+const searchAppliances = ({ query, category } = {}) => {
+  const term = (query || "").trim().toLowerCase();
+  const inCategory = APPLIANCES.filter(
+    (appliance) => !category || appliance.category === category
+  );
+  if (!term) return inCategory;
+
+  return inCategory
+    .map((appliance) => ({
+      appliance,
+      score: scoreAppliance(appliance, term),
+    }))
+    .filter((match) => match.score > 0)
+    .sort(
+      (a, b) =>
+        b.score - a.score || a.appliance.name.localeCompare(b.appliance.name)
+    )
+    .map((match) => match.appliance);
+};
+
+// Find the library appliance a free-text item name refers to, e.g.
+// "Samsung fridge" -> a refrigerator. The longest alias found as whole words
+// in the name wins, so "Inverter AC" matches the inverter AC, not plain "ac".
+const guessAppliance = (nameOfItem) => {
+  const name = ` ${String(nameOfItem || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")} `;
+
+  let best = null;
+  let bestLength = 0;
+  APPLIANCES.forEach((appliance) => {
+    appliance.aliases.forEach((alias) => {
+      if (alias.length > bestLength && name.includes(` ${alias} `)) {
+        best = appliance;
+        bestLength = alias.length;
+      }
+    });
+  });
+  return best;
+};
+
+// Fill in a recommendation item from the library when it has an applianceId.
+// Anything set on the item overrides the library defaults. Free-text items
+// only borrow the surge multiplier of the appliance their name refers to, so
+// motor loads are never sized as if they had no starting surge.
+const resolveApplianceItem = (item) => {
+  if (!item.applianceId) {
+    if (item.surgeMultiplier) return item;
+    const guess = guessAppliance(item.nameOfItem);
+    return guess && guess.surgeMultiplier > 1
+      ? { ...item, surgeMultiplier: guess.surgeMultiplier }
+      : item;
+  }
+
+  const appliance = getAppliance(item.applianceId);
+  const pick = (value, fallback) =>
+    value === undefined || value === null || value === "" ? fallback : value;
+
+  return {
+    ...item,
+    applianceId: appliance.id,
+    nameOfItem: pick(item.nameOfItem, appliance.name),
+    quantity: pick(item.quantity, 1),
+    wattage: pick(item.wattage, appliance.wattage),
+    // Typical hours only apply when the item has no schedule of its own
+    ...(item.schedule === undefined &&
+      item.timeWindows === undefined && {
+        dayHours: pick(item.dayHours, appliance.typicalDayHours),
+        nightHours: pick(item.nightHours, appliance.typicalNightHours),
+      }),
+    surgeMultiplier: pick(item.surgeMultiplier, appliance.surgeMultiplier),
+    dutyCycle: pick(item.dutyCycle, appliance.dutyCycle),
+  };
+};
+
+module.exports = {
+  APPLIANCE_CATEGORIES,
+  APPLIANCES,
+  getAppliance,
+  guessAppliance,
+  searchAppliances,
+  resolveApplianceItem,
+};
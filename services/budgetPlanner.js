@@ -0,0 +1,106 @@
+// Trims an appliance list until a system for it fits the customer's budget.
+// Non-essential loads go before essential ones, and daily energy drives
+// battery and panel counts, so the biggest consumers are removed first; essential and
+// then smaller units are added back wherever the budget still allows.
+const { calculateLoad } = require("./solarSizing");
+
+// A load without a priority is essential, as it is for sizing
+const describeUnit = (item) => {
+  const load = calculateLoad([{ ...item, quantity: 1 }]);
+  return {
+    dailyEnergyWh: load.dailyEnergyWh,
+    peakSurgeW: load.peakSurgeW,
+    essential: item.priority !== "non-essential",
+  };
+};
+
+// items are validated appliance items. priceItems(items) returns the total
+// amount of the cheapest system for a list, or null when it can't be built.
+// Returns null when not even the smallest single appliance fits.
+const fitLoadToBudget = ({ items, budget, priceItems }) => {
+  const entries = items.map((item, index) => ({
+    index,
+    item,
+    quantity: Number(item.quantity),
+    ...describeUnit(item),
+  }));
+
+  const currentItems = () =>
+    entries
+      .filter((entry) => entry.quantity > 0)
+      .map((entry) => ({ ...entry.item, quantity: entry.quantity }));
+
+  const fits = () => {
+    const kept = currentItems();
+    if (kept.length === 0) return false;
+    const totalAmount = priceItems(kept);
+    return totalAmount !== null && totalAmount <= budget;
+  };
+
+  // Set entry to the largest quantity between low (which must fit) and high
+  // that fits with the other entries as they stand. The price only grows with
+  // quantity, so a binary search keeps the pricing runs to a handful even for
+  // large quantities.
+  const keepLargestFitting = (entry, low, high) => {
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      entry.quantity = middle;
+      if (fits()) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    entry.quantity = low;
+  };
+
+  const bySize = (a, b) =>
+    a.essential - b.essential ||
+    b.dailyEnergyWh - a.dailyEnergyWh ||
+    b.peakSurgeW - a.peakSurgeW;
+  const removalOrder = [...entries].sort(bySize);
+
+  // Remove units, non-essential and largest first, until it fits: whole
+  // appliances while that is not enough, then as few units of the next one
+  // as will do
+  for (const entry of removalOrder) {
+    if (fits()) break;
+    const quantity = entry.quantity;
+    // The last appliance left keeps at least one unit
+    const othersKept = entries.some(
+      (other) => other !== entry && other.quantity > 0
+    );
+    entry.quantity = othersKept ? 0 : 1;
+    if (fits()) {
+      keepLargestFitting(entry, entry.quantity, quantity - 1);
+    } else {
+      entry.quantity = 0;
+    }
+  }
+  if (!fits()) return null;
+
+  // Add back whatever still fits, essential and smallest consumers first
+  [...removalOrder].reverse().forEach((entry) => {
+    keepLargestFitting(entry, entry.quantity, Number(entry.item.quantity));
+  });
+
+  const excludedLoads = entries
+    .filter((entry) => entry.quantity < Number(entry.item.quantity))
+    .map((entry) => {
+      const removedQuantity = Number(entry.item.quantity) - entry.quantity;
+      return {
+        nameOfItem: entry.item.nameOfItem,
+        applianceId: entry.item.applianceId,
+        priority: entry.essential ? "essential" : "non-essential",
+        wattage: Number(entry.item.wattage),
+        quantity: Number(entry.item.quantity),
+        removedQuantity,
+        dailyEnergyKWh:
+          Math.round((entry.dailyEnergyWh * removedQuantity) / 10) / 100,
+      };
+    });
+
+  return { items: currentItems(), excludedLoads };
+};
+
+module.exports = { fitLoadToBudget };
@@ -0,0 +1,284 @@
+// Product catalog selection for recommendation packages.
+// Components and prices come only from the admin-managed Product collection,
+// so quotes never depend on AI-invented products or prices.
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const { sizeSystem, calculateSurgeCapacityW } = require("./solarSizing");
+
+const INSTALLATION_RATE = 0.15; // Installation & accessories share of equipment
+const VAT_RATE = 0.075;
+
+// Active, in-stock products sorted cheapest first
+const loadCatalog = async () => {
+  return Product.find({ isActive: true, stock: { $gt: 0 } })
+    .sort({ price: 1 })
+    .lean();
+};
+
+// Fingerprint of a loaded catalog that changes whenever a product is added,
+// edited, restocked or withdrawn
+const getCatalogVersion = (products) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      products
+        .map(
+          (product) =>
+            `${product._id}:${
+              product.updatedAt ? new Date(product.updatedAt).getTime() : 0
+            }`
+        )
+        .sort()
+        .join(",")
+    )
+    .digest("hex")
+    .slice(0, 16);
+
+// Candidates in a category, the tier's grade first and cheapest first within
+// each grade (the catalog arrives sorted by price)
+const rankCandidates = (products, category, grade, predicate) => {
+  const matches = products.filter(
+    (product) =>
+      product.category === category &&
+      predicate(product.specifications || {}, product)
+  );
+
+  return [
+    ...matches.filter((product) => product.grade === grade),
+    ...matches.filter((product) => product.grade !== grade),
+  ];
+};
+
+const toComponent = (product, quantity, specifications) => ({
+  productId: product._id,
+  sku: product.sku,
+  name: product.name,
+  brand: product.brand,
+  quantity,
+  unitPrice: product.price,
+  totalPrice: product.price * quantity,
+  warranty: `${product.warrantyYears} years warranty`,
+  imageUrl: product.imageUrl || null,
+  specifications,
+});
+
+// Price a component set: equipment + installation, then 7.5% VAT
+const calculatePricing = (components) => {
+  const equipmentCost = Object.values(components).reduce(
+    (sum, component) => sum + component.totalPrice,
+    0
+  );
+  const installationCost = Math.round(equipmentCost * INSTALLATION_RATE);
+  const subtotal = equipmentCost + installationCost;
+  const vat = Math.round(subtotal * VAT_RATE);
+
+  return {
+    equipmentCost,
+    installationCost,
+    subtotal,
+    vat,
+    totalAmount: subtotal + vat,
+    currency: "NGN",
+  };
+};
+
+// Pick catalog products for one sized package and re-size it around the
+// chosen battery and panel ratings. Returns { sizing, components, pricing },
+// or { missing } listing the categories the catalog could not supply.
+const buildCatalogPackage = (pkg, items, products) => {
+  const systemVoltage = pkg.sizing.inverter.systemVoltage;
+
+  const batteries = rankCandidates(
+    products,
+    "battery",
+    pkg.productGrade,
+    (specs) =>
+      specs.chemistry === pkg.batteryType &&
+      specs.voltage > 0 &&
+      systemVoltage % specs.voltage === 0
+  );
+  const panels = rankCandidates(
+    products,
+    "solarPanel",
+    pkg.productGrade,
+    (specs) => specs.wattage > 0
+  );
+
+  // The battery only changes the battery bank and the panel only the array
+  // and charge controller, so each is sized once on its own: the first
+  // battery with enough stock for its bank, and the first panel with enough
+  // stock for its array. When the roof is too small for the array, the panel
+  // that fits the most watts on it is used instead.
+  const sizeWith = (options) =>
+    sizeSystem(items, { ...pkg.sizingOptions, ...options });
+  const battery = batteries.find(
+    (candidate) =>
+      candidate.stock >=
+      sizeWith({
+        batteryUnitAh: candidate.specifications.capacityAh,
+        batteryUnitVoltage: candidate.specifications.voltage,
+      }).batteryBank.quantity
+  );
+  let panel = null;
+  let panelArray = null;
+  for (const candidate of panels) {
+    const { solarArray } = sizeWith({
+      panelWattage: candidate.specifications.wattage,
+      panelAreaM2: candidate.specifications.areaM2,
+    });
+    if (
+      candidate.stock >= solarArray.panelCount &&
+      (!panelArray || solarArray.arrayWatts > panelArray.arrayWatts)
+    ) {
+      panel = candidate;
+      panelArray = solarArray;
+      if (!solarArray.areaLimited) break;
+    }
+  }
+
+  if (!battery || !panel) {
+    const missing = [];
+    if (batteries.length === 0) missing.push("battery");
+    if (panels.length === 0) missing.push("solarPanel");
+    // Matching products exist, just not enough stock for this load
+    return {
+      missing: missing.length > 0 ? missing : ["battery", "solarPanel"],
+    };
+  }
+
+  const sizing = sizeWith({
+    batteryUnitAh: battery.specifications.capacityAh,
+    batteryUnitVoltage: battery.specifications.voltage,
+    panelWattage: panel.specifications.wattage,
+    panelAreaM2: panel.specifications.areaM2,
+  });
+
+  // Loads above the largest inverter rating run on identical units in
+  // parallel, which share the starting surge
+  const inverterCount = sizing.inverter.quantity;
+  const inverter = rankCandidates(
+    products,
+    "inverter",
+    pkg.productGrade,
+    (specs, product) =>
+      specs.ratingKVA >= sizing.inverter.ratingKVA &&
+      specs.systemVoltage === sizing.inverter.systemVoltage &&
+      calculateSurgeCapacityW(
+        specs.ratingKVA,
+        sizing.assumptions,
+        specs.surgeRatingKVA
+      ) *
+        inverterCount >=
+        sizing.inverter.peakSurgeW &&
+      product.stock >= inverterCount
+  )[0];
+  const chargeController = rankCandidates(
+    products,
+    "chargeController",
+    pkg.productGrade,
+    (specs, product) =>
+      specs.ratingAmps >= sizing.chargeController.ratingAmps &&
+      specs.systemVoltage === sizing.chargeController.systemVoltage &&
+      product.stock >= sizing.chargeController.quantity
+  )[0];
+
+  const missing = [];
+  if (!inverter) missing.push("inverter");
+  if (!chargeController) missing.push("chargeController");
+  if (missing.length > 0) {
+    return { missing };
+  }
+
+  const components = {
+    inverter: toComponent(inverter, inverterCount, {
+      ratingKVA: inverter.specifications.ratingKVA,
+      systemVoltage: inverter.specifications.systemVoltage,
+      surgeCapacityW: calculateSurgeCapacityW(
+        inverter.specifications.ratingKVA,
+        sizing.assumptions,
+        inverter.specifications.surgeRatingKVA
+      ),
+    }),
+    battery: toComponent(battery, sizing.batteryBank.quantity, {
+      unitAh: sizing.batteryBank.unitAh,
+      unitVoltage: sizing.batteryBank.unitVoltage,
+      chemistry: battery.specifications.chemistry,
+    }),
+    solarPanels: toComponent(panel, sizing.solarArray.panelCount, {
+      panelWattage: sizing.solarArray.panelWattage,
+    }),
+    chargeController: toComponent(
+      chargeController,
+      sizing.chargeController.quantity,
+      {
+        type: chargeController.specifications.controllerType || "MPPT",
+        ratingAmps: chargeController.specifications.ratingAmps,
+        systemVoltage: chargeController.specifications.systemVoltage,
+      }
+    ),
+  };
+
+  return {
+    sizing,
+    components,
+    pricing: calculatePricing(components),
+  };
+};
+
+// Re-price a saved component set at today's catalog prices. Returns
+// { components, pricing }, or { unavailable } listing the components whose
+// product has been withdrawn or sold out since the recommendation was made.
+const repriceComponents = async (components) => {
+  const entries = Object.entries(components).filter(
+    ([, component]) => component
+  );
+  const ids = entries
+    .map(([, component]) => component.productId)
+    .filter((id) => mongoose.isValidObjectId(id));
+  const products = await Product.find({
+    _id: { $in: ids },
+    isActive: true,
+    stock: { $gt: 0 },
+  }).lean();
+  const productsById = new Map(
+    products.map((product) => [product._id.toString(), product])
+  );
+
+  const unavailable = entries
+    .filter(
+      ([, component]) =>
+        !component.productId ||
+        !productsById.has(component.productId.toString())
+    )
+    .map(([key, component]) => ({
+      component: key,
+      sku: component.sku,
+      name: component.name,
+    }));
+  if (unavailable.length > 0) {
+    return { unavailable };
+  }
+
+  const repriced = entries.reduce((result, [key, component]) => {
+    const product = productsById.get(component.productId.toString());
+    result[key] = {
+      ...component,
+      unitPrice: product.price,
+      totalPrice: product.price * component.quantity,
+    };
+    return result;
+  }, {});
+
+  return { components: repriced, pricing: calculatePricing(repriced) };
+};
+
+module.exports = {
+  INSTALLATION_RATE,
+  VAT_RATE,
+  loadCatalog,
+  getCatalogVersion,
+  calculatePricing,
+  buildCatalogPackage,
+  repriceComponents,
+};
@@ -0,0 +1,399 @@
+// Bundled climate table for solar sizing: long-term monthly averages for
+// every state capital and the FCT, so location lookups work offline.
+// Arrays run January to December. peakSunHours is daily irradiation on a
+// horizontal surface in kWh/m² (equivalent hours at 1 kW/m²), temperature is
+// the mean air temperature in °C, humidity and cloudCover are percentages.
+// Values are rounded regional climatology, fine for sizing but not a
+// substitute for a site survey.
+const STATE_CLIMATE = [
+  {
+    state: "Abia",
+    city: "Umuahia",
+    lat: 5.532,
+    lon: 7.486,
+    peakSunHours: [5, 5.2, 5.1, 4.9, 4.6, 4, 3.8, 3.9, 4, 4.4, 4.8, 4.9],
+    temperature: [27.5, 28.5, 28.5, 28, 27.5, 26, 25, 25, 25.5, 26.5, 27.5, 27],
+    humidity: [75, 74, 77, 80, 83, 86, 87, 86, 86, 84, 81, 77],
+    cloudCover: [42, 44, 54, 64, 69, 79, 84, 80, 79, 74, 57, 47],
+  },
+  {
+    state: "Adamawa",
+    city: "Yola",
+    lat: 9.2035,
+    lon: 12.4954,
+    peakSunHours: [5.7, 6, 6.1, 5.9, 5.6, 5.1, 4.6, 4.5, 4.9, 5.4, 5.8, 5.7],
+    temperature: [26, 28.5, 30.5, 30, 28.5, 26.5, 25, 24.5, 25, 26.5, 27, 25.5],
+    humidity: [38, 38, 49, 62, 72, 78, 83, 84, 82, 74, 55, 43],
+    cloudCover: [24, 28, 38, 53, 58, 68, 77, 79, 71, 57, 33, 24],
+  },
+  {
+    state: "Akwa Ibom",
+    city: "Uyo",
+    lat: 5.0377,
+    lon: 7.9128,
+    peakSunHours: [4.9, 5.1, 5, 4.8, 4.5, 3.9, 3.7, 3.8, 3.9, 4.3, 4.7, 4.8],
+    temperature: [
+      27.5, 28.5, 28.5, 28, 27.5, 26.5, 25.5, 25.5, 26, 26.5, 27.5, 27.5,
+    ],
+    humidity: [78, 77, 79, 81, 83, 86, 87, 86, 86, 85, 82, 80],
+    cloudCover: [45, 45, 55, 65, 70, 80, 85, 80, 80, 75, 60, 50],
+  },
+  {
+    state: "Anambra",
+    city: "Awka",
+    aliases: ["Onitsha"],
+    lat: 6.2104,
+    lon: 7.0741,
+    peakSunHours: [5.1, 5.3, 5.2, 5, 4.7, 4.1, 3.9, 4, 4.1, 4.5, 4.9, 5],
+    temperature: [27, 28.5, 28.5, 28, 27, 26, 25, 25, 25.5, 26, 27, 27],
+    humidity: [70, 70, 75, 79, 82, 85, 86, 86, 85, 84, 79, 74],
+    cloudCover: [39, 42, 52, 62, 67, 77, 82, 80, 77, 72, 54, 44],
+  },
+  {
+    state: "Bauchi",
+    city: "Bauchi",
+    lat: 10.3158,
+    lon: 9.8442,
+    peakSunHours: [5.9, 6.3, 6.3, 6.2, 6, 5.6, 5, 4.8, 5.3, 5.8, 6.1, 5.8],
+    temperature: [24, 26.5, 29.5, 31, 30, 27.5, 26, 25, 26, 27, 26, 24],
+    humidity: [30, 28, 34, 47, 60, 69, 78, 82, 76, 60, 40, 34],
+    cloudCover: [18, 20, 27, 42, 50, 60, 73, 77, 64, 44, 22, 18],
+  },
+  {
+    state: "Bayelsa",
+    city: "Yenagoa",
+    lat: 4.9267,
+    lon: 6.2676,
+    peakSunHours: [4.9, 5.1, 5, 4.8, 4.5, 3.9, 3.7, 3.8, 3.9, 4.3, 4.7, 4.8],
+    temperature: [
+      27.5, 28.5, 28.5, 28, 27.5, 26.5, 25.5, 25.5, 26, 26.5, 27.5, 27.5,
+    ],
+    humidity: [78, 77, 79, 81, 83, 86, 87, 86, 86, 85, 82, 80],
+    cloudCover: [45, 45, 55, 65, 70, 80, 85, 80, 80, 75, 60, 50],
+  },
+  {
+    state: "Benue",
+    city: "Makurdi",
+    lat: 7.7337,
+    lon: 8.5214,
+    peakSunHours: [5.4, 5.7, 5.6, 5.4, 5.1, 4.6, 4.2, 4.2, 4.5, 4.9, 5.4, 5.3],
+    temperature: [27, 28.5, 29, 28.5, 27.5, 25.5, 24.5, 24.5, 25, 26, 27, 26.5],
+    humidity: [56, 56, 65, 73, 79, 83, 85, 86, 84, 80, 70, 61],
+    cloudCover: [31, 36, 46, 58, 63, 73, 79, 80, 74, 66, 44, 34],
+  },
+  {
+    state: "Borno",
+    city: "Maiduguri",
+    lat: 11.8311,
+    lon: 13.151,
+    peakSunHours: [6, 6.5, 6.6, 6.6, 6.4, 6.1, 5.5, 5.2, 5.7, 6.1, 6.2, 5.9],
+    temperature: [23, 26, 30, 32.5, 32, 29.5, 27.5, 26, 27.5, 28.5, 26.5, 23.5],
+    humidity: [24, 21, 23, 34, 47, 59, 71, 78, 70, 48, 28, 26],
+    cloudCover: [14, 14, 18, 31, 41, 51, 67, 73, 58, 32, 14, 14],
+  },
+  {
+    state: "Cross River",
+    city: "Calabar",
+    lat: 4.9757,
+    lon: 8.3417,
+    peakSunHours: [4.9, 5.1, 5, 4.8, 4.5, 3.9, 3.7, 3.8, 3.9, 4.3, 4.7, 4.8],
+    temperature: [
+      27.5, 28.5, 28.5, 28, 27.5, 26.5, 25.5, 25.5, 26, 26.5, 27.5, 27.5,
+    ],
+    humidity: [78, 77, 79, 81, 83, 86, 87, 86, 86, 85, 82, 80],
+    cloudCover: [45, 45, 55, 65, 70, 80, 85, 80, 80, 75, 60, 50],
+  },
+  {
+    state: "Delta",
+    city: "Asaba",
+    aliases: ["Warri"],
+    lat: 6.1985,
+    lon: 6.7319,
+    peakSunHours: [5.1, 5.3, 5.2, 5, 4.7, 4.1, 3.9, 4, 4.1, 4.5, 4.9, 5],
+    temperature: [27, 28.5, 28.5, 28, 27, 26, 25, 25, 25.5, 26, 27, 27],
+    humidity: [70, 70, 75, 79, 82, 85, 86, 86, 85, 84, 79, 74],
+    cloudCover: [39, 42, 52, 62, 67, 77, 82, 80, 77, 72, 54, 44],
+  },
+  {
+    state: "Ebonyi",
+    city: "Abakaliki",
+    lat: 6.3249,
+    lon: 8.1137,
+    peakSunHours: [5.1, 5.4, 5.3, 5.1, 4.8, 4.2, 3.9, 4, 4.2, 4.6, 5, 5],
+    temperature: [27, 28.5, 28.5, 28, 27, 26, 25, 25, 25.5, 26, 27, 27],
+    humidity: [69, 69, 74, 79, 82, 85, 86, 86, 85, 84, 79, 73],
+    cloudCover: [38, 42, 52, 62, 67, 77, 82, 80, 77, 72, 53, 43],
+  },
+  {
+    state: "Edo",
+    city: "Benin City",
+    aliases: ["Benin"],
+    lat: 6.335,
+    lon: 5.6037,
+    peakSunHours: [5.1, 5.4, 5.3, 5.1, 4.8, 4.2, 3.9, 4, 4.2, 4.6, 5, 5],
+    temperature: [27, 28.5, 28.5, 28, 27, 26, 25, 25, 25.5, 26, 27, 27],
+    humidity: [69, 69, 74, 79, 82, 85, 86, 86, 85, 84, 79, 73],
+    cloudCover: [38, 42, 52, 62, 67, 77, 82, 80, 77, 72, 53, 43],
+  },
+  {
+    state: "Ekiti",
+    city: "Ado-Ekiti",
+    lat: 7.6211,
+    lon: 5.2214,
+    peakSunHours: [5.4, 5.7, 5.6, 5.4, 5.1, 4.5, 4.2, 4.2, 4.5, 4.9, 5.3, 5.3],
+    temperature: [27, 28.5, 29, 28.5, 27.5, 25.5, 24.5, 24.5, 25, 26, 27, 26.5],
+    humidity: [57, 57, 66, 74, 80, 83, 85, 86, 84, 81, 71, 62],
+    cloudCover: [32, 37, 47, 58, 63, 73, 79, 80, 74, 67, 45, 35],
+  },
+  {
+    state: "Enugu",
+    city: "Enugu",
+    lat: 6.4584,
+    lon: 7.5464,
+    peakSunHours: [5.1, 5.4, 5.3, 5.1, 4.8, 4.2, 3.9, 4, 4.2, 4.6, 5, 5],
+    temperature: [27, 28.5, 28.5, 28, 27, 26, 25, 25, 25.5, 26, 27, 27],
+    humidity: [69, 68, 74, 79, 82, 85, 86, 86, 85, 84, 78, 73],
+    cloudCover: [38, 41, 51, 61, 66, 76, 81, 80, 76, 71, 53, 43],
+  },
+  {
+    state: "FCT",
+    city: "Abuja",
+    aliases: ["Federal Capital Territory"],
+    lat: 9.0765,
+    lon: 7.3986,
+    peakSunHours: [5.7, 6, 6, 5.8, 5.5, 5, 4.5, 4.4, 4.8, 5.3, 5.8, 5.7],
+    temperature: [26.5, 29, 30.5, 30, 28, 26, 25, 24.5, 25, 26.5, 27, 26],
+    humidity: [39, 39, 51, 64, 73, 79, 84, 85, 83, 75, 57, 44],
+    cloudCover: [25, 29, 39, 54, 59, 69, 78, 80, 72, 59, 34, 25],
+  },
+  {
+    state: "Gombe",
+    city: "Gombe",
+    lat: 10.2897,
+    lon: 11.1673,
+    peakSunHours: [5.9, 6.3, 6.3, 6.2, 6, 5.6, 5, 4.8, 5.3, 5.8, 6.1, 5.8],
+    temperature: [24, 26.5, 29.5, 31, 30, 27.5, 26, 25, 26, 27, 26, 24],
+    humidity: [30, 28, 35, 48, 60, 70, 78, 82, 77, 61, 40, 34],
+    cloudCover: [19, 20, 27, 42, 50, 60, 73, 77, 64, 44, 22, 19],
+  },
+  {
+    state: "Imo",
+    city: "Owerri",
+    lat: 5.485,
+    lon: 7.035,
+    peakSunHours: [5, 5.2, 5.1, 4.9, 4.6, 4, 3.8, 3.9, 4, 4.4, 4.8, 4.9],
+    temperature: [
+      27.5, 28.5, 28.5, 28, 27.5, 26.5, 25.5, 25.5, 26, 26.5, 27.5, 27.5,
+    ],
+    humidity: [75, 74, 77, 80, 83, 86, 87, 86, 86, 85, 81, 78],
+    cloudCover: [43, 44, 54, 64, 69, 79, 84, 80, 79, 74, 58, 48],
+  },
+  {
+    state: "Jigawa",
+    city: "Dutse",
+    lat: 11.7562,
+    lon: 9.3388,
+    peakSunHours: [6, 6.5, 6.6, 6.6, 6.4, 6.1, 5.5, 5.2, 5.7, 6.1, 6.2, 5.9],
+    temperature: [23, 26, 30, 32.5, 32, 29.5, 27.5, 26, 27.5, 28.5, 26.5, 23.5],
+    humidity: [24, 21, 23, 34, 47, 59, 72, 78, 70, 48, 28, 26],
+    cloudCover: [14, 14, 18, 31, 41, 51, 67, 73, 58, 32, 14, 14],
+  },
+  {
+    state: "Kaduna",
+    city: "Kaduna",
+    aliases: ["Zaria"],
+    lat: 10.5105,
+    lon: 7.4165,
+    peakSunHours: [5.9, 6.3, 6.4, 6.3, 6, 5.7, 5.1, 4.9, 5.3, 5.8, 6.1, 5.9],
+    temperature: [23.5, 26.5, 29.5, 31, 30.5, 28, 26, 25.5, 26, 27.5, 26, 23.5],
+    humidity: [29, 26, 32, 45, 57, 68, 77, 81, 75, 58, 37, 32],
+    cloudCover: [17, 19, 25, 40, 49, 59, 72, 76, 63, 41, 20, 17],
+  },
+  {
+    state: "Kano",
+    city: "Kano",
+    lat: 12.0022,
+    lon: 8.592,
+    peakSunHours: [6.1, 6.5, 6.7, 6.6, 6.5, 6.2, 5.6, 5.2, 5.7, 6.2, 6.3, 6],
+    temperature: [23.5, 26.5, 30, 33, 32.5, 30, 27.5, 26.5, 27.5, 29, 26.5, 24],
+    humidity: [23, 20, 22, 33, 46, 58, 70, 77, 69, 47, 27, 26],
+    cloudCover: [13, 13, 17, 30, 40, 50, 66, 72, 57, 31, 13, 13],
+  },
+  {
+    state: "Katsina",
+    city: "Katsina",
+    lat: 12.9908,
+    lon: 7.6018,
+    peakSunHours: [6.1, 6.6, 6.8, 6.8, 6.7, 6.4, 5.8, 5.4, 5.9, 6.3, 6.3, 6],
+    temperature: [24, 27, 31, 34, 34, 31.5, 28.5, 27, 28.5, 30, 27.5, 24.5],
+    humidity: [22, 19, 20, 28, 40, 52, 66, 74, 66, 42, 25, 24],
+    cloudCover: [12, 12, 15, 25, 35, 45, 62, 70, 55, 28, 12, 12],
+  },
+  {
+    state: "Kebbi",
+    city: "Birnin Kebbi",
+    lat: 12.4539,
+    lon: 4.1975,
+    peakSunHours: [6.1, 6.5, 6.7, 6.7, 6.6, 6.3, 5.7, 5.3, 5.8, 6.2, 6.3, 6],
+    temperature: [23.5, 26.5, 30.5, 33.5, 33, 30.5, 28, 26.5, 28, 29.5, 27, 24],
+    humidity: [23, 20, 21, 31, 43, 55, 68, 76, 68, 45, 26, 25],
+    cloudCover: [13, 13, 16, 28, 38, 48, 64, 71, 56, 30, 13, 13],
+  },
+  {
+    state: "Kogi",
+    city: "Lokoja",
+    lat: 7.8023,
+    lon: 6.7333,
+    peakSunHours: [5.4, 5.7, 5.6, 5.4, 5.1, 4.6, 4.2, 4.2, 4.5, 4.9, 5.4, 5.3],
+    temperature: [27, 28.5, 29.5, 29, 27.5, 25.5, 24.5, 24.5, 25, 26, 27, 26.5],
+    humidity: [55, 55, 64, 73, 79, 83, 85, 86, 84, 80, 69, 60],
+    cloudCover: [31, 36, 46, 58, 63, 73, 79, 80, 74, 66, 44, 34],
+  },
+  {
+    state: "Kwara",
+    city: "Ilorin",
+    lat: 8.4966,
+    lon: 4.5421,
+    peakSunHours: [5.6, 5.9, 5.8, 5.6, 5.3, 4.8, 4.4, 4.3, 4.7, 5.1, 5.6, 5.5],
+    temperature: [26.5, 29, 30, 29.5, 27.5, 26, 25, 24.5, 25, 26.5, 27, 26],
+    humidity: [46, 46, 57, 68, 76, 81, 85, 85, 84, 78, 63, 51],
+    cloudCover: [28, 33, 43, 56, 61, 71, 79, 80, 73, 63, 39, 29],
+  },
+  {
+    state: "Lagos",
+    city: "Ikeja",
+    aliases: ["Lagos", "Lekki", "Victoria Island"],
+    lat: 6.6018,
+    lon: 3.3515,
+    peakSunHours: [5.1, 5.4, 5.3, 5.1, 4.8, 4.2, 3.9, 4, 4.2, 4.6, 5, 5],
+    temperature: [27, 28.5, 28.5, 28, 27, 25.5, 24.5, 24.5, 25, 26, 27, 26.5],
+    humidity: [68, 67, 73, 79, 82, 85, 86, 86, 85, 83, 78, 72],
+    cloudCover: [37, 41, 51, 61, 66, 76, 81, 80, 76, 71, 52, 42],
+  },
+  {
+    state: "Nasarawa",
+    city: "Lafia",
+    lat: 8.4939,
+    lon: 8.5153,
+    peakSunHours: [5.6, 5.9, 5.8, 5.6, 5.3, 4.8, 4.4, 4.3, 4.7, 5.1, 5.6, 5.5],
+    temperature: [26.5, 29, 30, 29.5, 27.5, 26, 25, 24.5, 25, 26.5, 27, 26],
+    humidity: [46, 46, 57, 68, 76, 81, 85, 85, 84, 78, 63, 51],
+    cloudCover: [28, 33, 43, 56, 61, 71, 79, 80, 73, 63, 39, 29],
+  },
+  {
+    state: "Niger",
+    city: "Minna",
+    lat: 9.5836,
+    lon: 6.5463,
+    peakSunHours: [5.8, 6.1, 6.1, 6, 5.7, 5.3, 4.7, 4.6, 5, 5.5, 5.9, 5.8],
+    temperature: [25.5, 28, 30, 30.5, 29, 26.5, 25.5, 25, 25.5, 27, 26.5, 25],
+    humidity: [36, 35, 44, 57, 68, 75, 81, 84, 80, 69, 50, 40],
+    cloudCover: [22, 26, 34, 49, 56, 66, 76, 79, 68, 53, 29, 22],
+  },
+  {
+    state: "Ogun",
+    city: "Abeokuta",
+    lat: 7.1475,
+    lon: 3.3619,
+    peakSunHours: [5.2, 5.5, 5.4, 5.2, 4.9, 4.4, 4, 4.1, 4.3, 4.7, 5.2, 5.1],
+    temperature: [27, 28.5, 28.5, 28, 27, 25.5, 24.5, 24.5, 25, 26, 27, 26.5],
+    humidity: [63, 63, 71, 77, 81, 85, 86, 86, 85, 82, 76, 68],
+    cloudCover: [34, 39, 49, 60, 65, 75, 80, 80, 75, 69, 49, 39],
+  },
+  {
+    state: "Ondo",
+    city: "Akure",
+    lat: 7.2571,
+    lon: 5.2058,
+    peakSunHours: [5.3, 5.6, 5.5, 5.3, 5, 4.4, 4.1, 4.1, 4.4, 4.8, 5.2, 5.2],
+    temperature: [27, 28.5, 29, 28.5, 27, 25.5, 24.5, 24.5, 25, 26, 27, 26.5],
+    humidity: [62, 62, 69, 76, 81, 84, 86, 86, 85, 82, 75, 67],
+    cloudCover: [34, 39, 49, 59, 64, 74, 80, 80, 75, 69, 48, 38],
+  },
+  {
+    state: "Osun",
+    city: "Osogbo",
+    lat: 7.7827,
+    lon: 4.5418,
+    peakSunHours: [5.4, 5.7, 5.6, 5.4, 5.1, 4.6, 4.2, 4.2, 4.5, 4.9, 5.4, 5.3],
+    temperature: [27, 28.5, 29.5, 29, 27.5, 25.5, 24.5, 24.5, 25, 26, 27, 26.5],
+    humidity: [55, 55, 64, 73, 79, 83, 85, 86, 84, 80, 70, 60],
+    cloudCover: [31, 36, 46, 58, 63, 73, 79, 80, 74, 66, 44, 34],
+  },
+  {
+    state: "Oyo",
+    city: "Ibadan",
+    lat: 7.3775,
+    lon: 3.947,
+    peakSunHours: [5.3, 5.6, 5.5, 5.3, 5, 4.4, 4.1, 4.2, 4.4, 4.8, 5.2, 5.2],
+    temperature: [27, 28.5, 29, 28.5, 27, 25.5, 24.5, 24.5, 25, 26, 27, 26.5],
+    humidity: [60, 60, 68, 76, 80, 84, 86, 86, 85, 82, 73, 65],
+    cloudCover: [33, 38, 48, 59, 64, 74, 80, 80, 74, 68, 47, 37],
+  },
+  {
+    state: "Plateau",
+    city: "Jos",
+    lat: 9.8965,
+    lon: 8.8583,
+    peakSunHours: [5.8, 6.2, 6.2, 6.1, 5.8, 5.4, 4.9, 4.7, 5.1, 5.6, 6, 5.8],
+    temperature: [
+      19.5, 22.5, 25, 25.5, 24.5, 22, 20.5, 20, 20.5, 22, 21.5, 19.5,
+    ],
+    humidity: [30, 29, 37, 50, 61, 70, 77, 80, 76, 62, 42, 34],
+    cloudCover: [21, 23, 31, 46, 53, 63, 74, 78, 67, 49, 26, 21],
+  },
+  {
+    state: "Rivers",
+    city: "Port Harcourt",
+    lat: 4.8156,
+    lon: 7.0498,
+    peakSunHours: [4.9, 5.1, 5, 4.8, 4.5, 3.9, 3.7, 3.8, 3.9, 4.3, 4.7, 4.8],
+    temperature: [
+      27.5, 28.5, 28.5, 28, 27.5, 26.5, 25.5, 25.5, 26, 26.5, 27.5, 27.5,
+    ],
+    humidity: [78, 77, 79, 81, 83, 86, 87, 86, 86, 85, 82, 80],
+    cloudCover: [45, 45, 55, 65, 70, 80, 85, 80, 80, 75, 60, 50],
+  },
+  {
+    state: "Sokoto",
+    city: "Sokoto",
+    lat: 13.0059,
+    lon: 5.2476,
+    peakSunHours: [6.1, 6.6, 6.8, 6.8, 6.7, 6.4, 5.8, 5.4, 5.9, 6.3, 6.3, 6],
+    temperature: [24, 27, 31, 34, 34, 31.5, 28.5, 27, 28.5, 30, 27.5, 24.5],
+    humidity: [22, 19, 20, 28, 40, 52, 66, 74, 66, 42, 25, 24],
+    cloudCover: [12, 12, 15, 25, 35, 45, 62, 70, 55, 28, 12, 12],
+  },
+  {
+    state: "Taraba",
+    city: "Jalingo",
+    lat: 8.8937,
+    lon: 11.3596,
+    peakSunHours: [5.7, 6, 6, 5.8, 5.5, 5, 4.5, 4.4, 4.8, 5.3, 5.8, 5.7],
+    temperature: [26.5, 29, 30.5, 30, 28, 26, 25, 24.5, 25, 26.5, 27, 26],
+    humidity: [41, 41, 53, 66, 74, 80, 84, 85, 83, 76, 59, 46],
+    cloudCover: [26, 31, 41, 55, 60, 70, 78, 80, 72, 61, 36, 26],
+  },
+  {
+    state: "Yobe",
+    city: "Damaturu",
+    lat: 11.747,
+    lon: 11.9608,
+    peakSunHours: [6, 6.5, 6.6, 6.5, 6.4, 6.1, 5.5, 5.1, 5.6, 6.1, 6.2, 5.9],
+    temperature: [23, 26, 29.5, 32.5, 32, 29.5, 27, 26, 27, 28.5, 26, 23.5],
+    humidity: [24, 21, 23, 34, 48, 60, 72, 78, 70, 48, 28, 27],
+    cloudCover: [14, 14, 18, 31, 41, 51, 67, 73, 58, 32, 14, 14],
+  },
+  {
+    state: "Zamfara",
+    city: "Gusau",
+    lat: 12.1704,
+    lon: 6.6641,
+    peakSunHours: [6.1, 6.5, 6.7, 6.6, 6.5, 6.2, 5.6, 5.2, 5.7, 6.2, 6.3, 6],
+    temperature: [23.5, 26.5, 30, 33, 33, 30.5, 27.5, 26.5, 27.5, 29, 26.5, 24],
+    humidity: [23, 20, 22, 32, 45, 57, 70, 76, 69, 46, 27, 26],
+    cloudCover: [13, 13, 17, 29, 39, 49, 65, 72, 57, 31, 13, 13],
+  },
+];
+
+module.exports = { STATE_CLIMATE };
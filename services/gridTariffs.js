@@ -0,0 +1,46 @@
+// NERC electricity tariff bands for grid-connected (hybrid) customers.
+// Each band guarantees a minimum number of supply hours a day; tariffs are
+// approximate residential rates in naira per kWh and can be overridden per
+// request or with GRID_TARIFF_BAND_<band> (e.g. GRID_TARIFF_BAND_A).
+const GRID_BANDS = {
+  A: { minimumSupplyHours: 20, tariffPerKWh: 209.5 },
+  B: { minimumSupplyHours: 16, tariffPerKWh: 63 },
+  C: { minimumSupplyHours: 12, tariffPerKWh: 50 },
+  D: { minimumSupplyHours: 8, tariffPerKWh: 43 },
+  E: { minimumSupplyHours: 4, tariffPerKWh: 40 },
+};
+
+const GRID_BAND_NAMES = Object.keys(GRID_BANDS);
+
+const getBandTariff = (band) => {
+  const value = parseFloat(process.env[`GRID_TARIFF_BAND_${band}`]);
+  return Number.isFinite(value) && value > 0
+    ? value
+    : GRID_BANDS[band].tariffPerKWh;
+};
+
+// Fill in supply hours and tariff from the band. Input is
+// { band, supplyHours, tariffPerKWh } as validated by the caller; returns
+// null for off-grid customers.
+const resolveGridConnection = (grid) => {
+  if (!grid || !grid.band) return null;
+
+  const band = String(grid.band).toUpperCase();
+  const supplyHours =
+    grid.supplyHours !== undefined
+      ? Number(grid.supplyHours)
+      : GRID_BANDS[band].minimumSupplyHours;
+
+  return {
+    band,
+    supplyHours,
+    outageHours: 24 - supplyHours,
+    tariffPerKWh: Number(grid.tariffPerKWh) || getBandTariff(band),
+  };
+};
+
+module.exports = {
+  GRID_BANDS,
+  GRID_BAND_NAMES,
+  resolveGridConnection,
+};
@@ -0,0 +1,52 @@
+const Anthropic = require("@anthropic-ai/sdk");
+
+// Anthropic (Claude) provider
+const createAnthropicProvider = (config) => {
+  const client = new Anthropic({
+    apiKey: config.apiKey,
+    timeout: config.timeoutMs,
+  });
+
+  const toResponse = (completion) => ({
+    text: completion.content[0].text,
+    model: completion.model || config.model,
+    usage: {
+      inputTokens: completion.usage?.input_tokens || 0,
+      outputTokens: completion.usage?.output_tokens || 0,
+    },
+  });
+
+  // onToken, when given, streams the response and receives each text delta.
+  // signal, an AbortSignal, cancels the request when aborted.
+  const complete = async ({
+    prompt,
+    maxTokens,
+    temperature,
+    onToken,
+    signal,
+  }) => {
+    const request = {
+      model: config.model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [
+        {
+          role: "user",
+          content: prompt,
+        },
+      ],
+    };
+
+    if (onToken) {
+      const stream = client.messages.stream(request, { signal });
+      stream.on("text", (text) => onToken(text));
+      return toResponse(await stream.finalMessage());
+    }
+
+    return toResponse(await client.messages.create(request, { signal }));
+  };
+
+  return { name: "anthropic", model: config.model, complete };
+};
+
+module.exports = createAnthropicProvider;
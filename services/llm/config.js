@@ -0,0 +1,71 @@
+// LLM provider configuration, read from the environment.
+// LLM_PROVIDER selects the provider; each provider's model, timeout and token
+// limit can be overridden with <PREFIX>_MODEL, <PREFIX>_TIMEOUT_MS and
+// <PREFIX>_MAX_TOKENS (e.g. ANTHROPIC_MODEL, OPENAI_TIMEOUT_MS).
+
+const PROVIDER_DEFAULTS = {
+  anthropic: {
+    envPrefix: "ANTHROPIC",
+    model: "claude-3-5-sonnet-20241022",
+    timeoutMs: 60000,
+    maxTokens: 4000,
+  },
+  openai: {
+    envPrefix: "OPENAI",
+    model: "gpt-4o",
+    timeoutMs: 60000,
+    maxTokens: 4000,
+  },
+  mock: {
+    envPrefix: "LLM_MOCK",
+    model: "mock-fixture",
+    timeoutMs: 0,
+    maxTokens: 4000,
+  },
+};
+
+const DEFAULT_PROVIDER = "anthropic";
+const DEFAULT_MAX_REPAIR_ATTEMPTS = 2;
+
+const readNumber = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const getProviderName = () =>
+  (process.env.LLM_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+
+const getProviderConfig = (name = getProviderName()) => {
+  const defaults = PROVIDER_DEFAULTS[name];
+  if (!defaults) {
+    throw new Error(
+      `Unknown LLM provider "${name}" (expected one of: ${Object.keys(
+        PROVIDER_DEFAULTS
+      ).join(", ")})`
+    );
+  }
+
+  const { envPrefix } = defaults;
+  return {
+    name,
+    model: process.env[`${envPrefix}_MODEL`] || defaults.model,
+    timeoutMs: readNumber(`${envPrefix}_TIMEOUT_MS`, defaults.timeoutMs),
+    maxTokens: readNumber(`${envPrefix}_MAX_TOKENS`, defaults.maxTokens),
+    apiKey: process.env[`${envPrefix}_API_KEY`],
+  };
+};
+
+// How many times an invalid JSON response is sent back to the model for repair
+const getMaxRepairAttempts = () => {
+  const value = parseInt(process.env.LLM_MAX_REPAIR_ATTEMPTS);
+  return Number.isFinite(value) && value >= 0
+    ? value
+    : DEFAULT_MAX_REPAIR_ATTEMPTS;
+};
+
+module.exports = {
+  PROVIDER_DEFAULTS,
+  getMaxRepairAttempts,
+  getProviderName,
+  getProviderConfig,
+};
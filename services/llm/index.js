@@ -0,0 +1,134 @@
+// Pluggable LLM provider layer.
+// Callers use complete() and never talk to a vendor SDK directly, so the
+// provider can be switched with LLM_PROVIDER (anthropic, openai or mock).
+const {
+  getProviderName,
+  getProviderConfig,
+  getMaxRepairAttempts,
+} = require("./config");
+const createAnthropicProvider = require("./anthropicProvider");
+const createOpenAIProvider = require("./openaiProvider");
+const createMockProvider = require("./mockProvider");
+
+const PROVIDER_FACTORIES = {
+  anthropic: createAnthropicProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+};
+
+// Providers are created once per name and reused
+const providers = {};
+
+const getProvider = (name = getProviderName()) => {
+  if (!providers[name]) {
+    const config = getProviderConfig(name);
+    providers[name] = {
+      ...PROVIDER_FACTORIES[name](config),
+      maxTokens: config.maxTokens,
+    };
+  }
+  return providers[name];
+};
+
+// Run a single-prompt completion against the configured provider.
+// task names the caller (used by the mock provider to pick a fixture);
+// maxTokens is capped at the provider's configured limit. onToken, when
+// given, streams the response and is called with each text delta. signal
+// (an AbortSignal) cancels the provider call, e.g. when the client leaves.
+const complete = async ({
+  prompt,
+  task = "default",
+  maxTokens,
+  temperature = 0.3,
+  onToken,
+  signal,
+  provider: providerName,
+}) => {
+  const provider = getProvider(providerName);
+  const tokenLimit = Math.min(
+    maxTokens || provider.maxTokens,
+    provider.maxTokens
+  );
+
+  const response = await provider.complete({
+    prompt,
+    task,
+    maxTokens: tokenLimit,
+    temperature,
+    onToken,
+    signal,
+  });
+
+  return { ...response, provider: provider.name };
+};
+
+// Extract the JSON object from a response, tolerating text around it
+const parseJSONResponse = (text) => {
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  return JSON.parse(jsonMatch ? jsonMatch[0] : text);
+};
+
+const buildRepairPrompt = (prompt, previousResponse, errors) => `${prompt}
+
+    YOUR PREVIOUS RESPONSE WAS REJECTED:
+    ${previousResponse}
+
+    VALIDATION ERRORS:
+    ${errors.map((error) => `- ${error}`).join("\n    ")}
+
+    Return the corrected response as valid JSON only, in the exact format requested above.`;
+
+// Completion that must return JSON accepted by validate(data), which returns a
+// list of errors. Rejected responses are sent back to the model together with
+// the errors, up to maxRepairs more times. Throws an error carrying
+// validationErrors, attempts and the token usage of every attempt when they
+// all fail. onRejected(errors, attempt) is called before each repair so
+// streaming callers can discard partial text.
+const completeJSON = async ({
+  validate = () => [],
+  maxRepairs = getMaxRepairAttempts(),
+  onRejected,
+  ...options
+}) => {
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  let prompt = options.prompt;
+  let errors = [];
+
+  for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+    const completion = await complete({ ...options, prompt });
+    usage.inputTokens += completion.usage.inputTokens;
+    usage.outputTokens += completion.usage.outputTokens;
+
+    let data;
+    try {
+      data = parseJSONResponse(completion.text);
+      errors = validate(data);
+    } catch (parseError) {
+      errors = [`Response is not valid JSON: ${parseError.message}`];
+    }
+
+    if (errors.length === 0) {
+      return { data, completion: { ...completion, usage }, attempts: attempt };
+    }
+
+    console.warn(
+      `⚠️ ${completion.provider} response failed validation (attempt ${attempt}):`,
+      errors
+    );
+    if (attempt <= maxRepairs && onRejected) onRejected(errors, attempt);
+    prompt = buildRepairPrompt(options.prompt, completion.text, errors);
+  }
+
+  const error = new Error("AI response failed validation");
+  error.validationErrors = errors;
+  error.attempts = maxRepairs + 1;
+  error.usage = usage;
+  throw error;
+};
+
+module.exports = {
+  getProvider,
+  complete,
+  completeJSON,
+  parseJSONResponse,
+};
@@ -0,0 +1,49 @@
+const fs = require("fs");
+const path = require("path");
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+const STREAM_CHUNK_SIZE = 16;
+
+// Offline provider for CI and local development.
+// Returns the canned fixture for the calling task (fixtures/<task>.json or
+// .txt) without any network access. LLM_MOCK_FIXTURE_DIR points it at a
+// different fixture directory.
+const createMockProvider = (config) => {
+  const fixturesDir = process.env.LLM_MOCK_FIXTURE_DIR || FIXTURES_DIR;
+
+  const loadFixture = (task) => {
+    for (const extension of [".json", ".txt"]) {
+      const fixturePath = path.join(fixturesDir, `${task}${extension}`);
+      if (fs.existsSync(fixturePath)) {
+        return fs.readFileSync(fixturePath, "utf8");
+      }
+    }
+    throw new Error(`No mock LLM fixture found for task "${task}"`);
+  };
+
+  // onToken receives the fixture in small chunks to mimic streaming. An
+  // aborted signal fails the call like a cancelled network request.
+  const complete = async ({ task = "default", onToken, signal }) => {
+    const checkAborted = () => {
+      if (signal && signal.aborted) throw new Error("Request was aborted");
+    };
+    checkAborted();
+    const text = loadFixture(task);
+    if (onToken) {
+      for (let index = 0; index < text.length; index += STREAM_CHUNK_SIZE) {
+        checkAborted();
+        onToken(text.slice(index, index + STREAM_CHUNK_SIZE));
+      }
+    }
+
+    return {
+      text,
+      model: config.model,
+      usage: { inputTokens: 0, outputTokens: 0 },
+    };
+  };
+
+  return { name: "mock", model: config.model, complete };
+};
+
+module.exports = createMockProvider;
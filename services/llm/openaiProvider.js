@@ -0,0 +1,76 @@
+const OpenAI = require("openai");
+
+// OpenAI (GPT) provider
+const createOpenAIProvider = (config) => {
+  const client = new OpenAI({
+    apiKey: config.apiKey,
+    timeout: config.timeoutMs,
+  });
+
+  const toUsage = (usage) => ({
+    inputTokens: usage?.prompt_tokens || 0,
+    outputTokens: usage?.completion_tokens || 0,
+  });
+
+  // onToken, when given, streams the response and receives each text delta.
+  // signal, an AbortSignal, cancels the request when aborted.
+  const complete = async ({
+    prompt,
+    maxTokens,
+    temperature,
+    onToken,
+    signal,
+  }) => {
+    const request = {
+      model: config.model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [
+        {
+          role: "user",
+          content: prompt,
+        },
+      ],
+    };
+
+    if (onToken) {
+      const stream = await client.chat.completions.create(
+        {
+          ...request,
+          stream: true,
+          stream_options: { include_usage: true },
+        },
+        { signal }
+      );
+
+      let text = "";
+      let model = config.model;
+      let usage;
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+        if (chunk.model) model = chunk.model;
+        if (chunk.usage) usage = chunk.usage;
+      }
+
+      return { text, model, usage: toUsage(usage) };
+    }
+
+    const completion = await client.chat.completions.create(request, {
+      signal,
+    });
+
+    return {
+      text: completion.choices[0].message.content,
+      model: completion.model || config.model,
+      usage: toUsage(completion.usage),
+    };
+  };
+
+  return { name: "openai", model: config.model, complete };
+};
+
+module.exports = createOpenAIProvider;
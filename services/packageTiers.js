@@ -0,0 +1,134 @@
+// Tiered package definitions built on top of the sizing engine.
+// Every tier sizes the same load profile with different assumptions, so
+// customers can trade backup time and component quality against budget.
+const { sizeSystem } = require("./solarSizing");
+
+const PACKAGE_TIERS = [
+  {
+    tier: "Basic Package",
+    description: "Entry-level system covering the evenings on a tight budget",
+    batteryChemistry: "Lead-acid (flooded/AGM)",
+    batteryType: "lead-acid",
+    productGrade: "budget",
+    assumptions: {
+      inverterSafetyFactor: 1.15,
+      autonomyDays: 0.5,
+      systemDerateFactor: 0.8,
+    },
+    tradeOffs: [
+      "Lowest upfront cost",
+      "Battery only covers about half of the night-time usage",
+      "Little headroom for adding appliances later",
+      "Lead-acid batteries typically need replacement every 2-3 years",
+    ],
+  },
+  {
+    tier: "Standard Package",
+    description: "Balanced system that carries your full night-time load",
+    batteryChemistry: "Deep cycle lead-acid (AGM/Gel)",
+    batteryType: "lead-acid",
+    productGrade: "standard",
+    assumptions: {},
+    isRecommended: true,
+    tradeOffs: [
+      "Covers your full daily consumption including the night",
+      "Moderate headroom over your running load",
+      "Batteries typically need replacement every 3-4 years",
+    ],
+  },
+  {
+    tier: "Premium Package",
+    description: "Lithium system with extended backup for cloudy days",
+    batteryChemistry: "Lithium iron phosphate (LiFePO4)",
+    batteryType: "lithium",
+    productGrade: "premium",
+    assumptions: {
+      autonomyDays: 1.5,
+      batteryDepthOfDischarge: 0.8,
+      batteryRoundTripEfficiency: 0.95,
+      batteryUnitAh: 100,
+    },
+    tradeOffs: [
+      "Extra half day of backup for rainy-season cloud cover",
+      "Lithium batteries last 8-10 years with little maintenance",
+      "Higher upfront cost than lead-acid packages",
+    ],
+  },
+  {
+    tier: "Enterprise Package",
+    description: "High-capacity system for businesses and large homes",
+    batteryChemistry: "Lithium iron phosphate (LiFePO4)",
+    batteryType: "lithium",
+    productGrade: "premium",
+    assumptions: {
+      inverterSafetyFactor: 1.5,
+      autonomyDays: 2,
+      batteryDepthOfDischarge: 0.8,
+      batteryRoundTripEfficiency: 0.95,
+      batteryUnitAh: 200,
+    },
+    // Only offered when the load justifies a commercial-scale system
+    minimumDailyConsumptionKWh: 10,
+    tradeOffs: [
+      "Two full days of autonomy without sun",
+      "Generous headroom for business growth",
+      "Highest upfront cost and roof space requirement",
+    ],
+  },
+];
+
+const TIER_NAMES = PACKAGE_TIERS.map((definition) => definition.tier);
+
+// Share of the daily consumption the array can supply on an average day
+const calculateSolarCoverage = (sizing) => {
+  if (!sizing.load.dailyConsumptionKWh) return 100;
+  return Math.min(
+    100,
+    Math.round(
+      (sizing.solarArray.expectedDailyYieldKWh /
+        sizing.load.dailyConsumptionKWh) *
+        100
+    )
+  );
+};
+
+// Size every applicable tier for the same appliance list.
+// options are passed through to sizeSystem; options.tiers optionally limits
+// the result to the named tiers.
+const sizePackages = (items, options = {}) => {
+  const { tiers, ...sizingOptions } = options;
+  const baseLoad = sizeSystem(items, sizingOptions).load;
+
+  return PACKAGE_TIERS.filter((definition) => {
+    if (Array.isArray(tiers) && tiers.length > 0) {
+      return tiers.includes(definition.tier);
+    }
+    return (
+      !definition.minimumDailyConsumptionKWh ||
+      baseLoad.dailyConsumptionKWh >= definition.minimumDailyConsumptionKWh
+    );
+  }).map((definition) => {
+    const tierOptions = { ...sizingOptions, ...definition.assumptions };
+    const sizing = sizeSystem(items, tierOptions);
+
+    return {
+      tier: definition.tier,
+      description: definition.description,
+      isRecommended: !!definition.isRecommended,
+      batteryChemistry: definition.batteryChemistry,
+      batteryType: definition.batteryType,
+      productGrade: definition.productGrade,
+      tradeOffs: definition.tradeOffs,
+      solarCoverage: calculateSolarCoverage(sizing),
+      sizingOptions: tierOptions,
+      sizing,
+    };
+  });
+};
+
+module.exports = {
+  PACKAGE_TIERS,
+  TIER_NAMES,
+  calculateSolarCoverage,
+  sizePackages,
+};
@@ -0,0 +1,183 @@
+// Compare prompt versions (experiment arms) on the recommendations they
+// produced: how often the AI output passed validation first time, what it
+// cost in tokens and repair attempts, and how customers rated the result.
+// Runs that failed validation after every repair left no recommendation, so
+// they are read from RecommendationFailure and counted against their arm.
+const RecommendationRequest = require("../models/RecommendationRequest");
+const RecommendationFailure = require("../models/RecommendationFailure");
+const { getPromptExperiment, listPromptVersions } = require("./prompts");
+const {
+  countWhere,
+  percentage,
+  isOwnerFeedback,
+} = require("./aggregationHelpers");
+
+const perCall = (total, count) => ({
+  $cond: [
+    { $gt: [count, 0] },
+    { $round: [{ $divide: [total, count] }, 0] },
+    null,
+  ],
+});
+
+// One row per prompt version. experiment limits it to one experiment and
+// since to recommendations made from that date. Cache hits are counted but
+// left out of the token and repair figures, since they made no AI call.
+// requests counts saved recommendations; the pass rates also count the
+// failed runs.
+const comparePromptArms = async ({
+  task = "recommendation",
+  experiment,
+  since,
+} = {}) => {
+  const match = {};
+  if (experiment) match.promptExperiment = experiment;
+  if (since) match.requestedAt = { $gte: since };
+
+  const arms = await RecommendationRequest.aggregate([
+    { $match: match },
+    {
+      $project: {
+        // Older requests only have the version inside the stored result
+        promptVersion: {
+          $ifNull: ["$promptVersion", "$result.metadata.promptVersion"],
+        },
+        cacheHit: { $eq: ["$result.metadata.cacheHit", true] },
+        validationPassed: {
+          $eq: ["$result.metadata.validationPassed", true],
+        },
+        aiAttempts: "$result.metadata.aiAttempts",
+        inputTokens: {
+          $ifNull: ["$result.metadata.tokenUsage.inputTokens", 0],
+        },
+        outputTokens: {
+          $ifNull: ["$result.metadata.tokenUsage.outputTokens", 0],
+        },
+        processingTime: 1,
+        recommendedTotalAmount: 1,
+        // Only the owning customer's feedback counts
+        feedbackGiven: {
+          $and: [
+            isOwnerFeedback,
+            { $ifNull: ["$feedback.submittedAt", false] },
+          ],
+        },
+        outcome: { $cond: [isOwnerFeedback, "$feedback.outcome", null] },
+        rating: { $cond: [isOwnerFeedback, "$feedback.rating", null] },
+      },
+    },
+    {
+      $match: {
+        promptVersion: { $regex: `^${task}-` },
+      },
+    },
+    {
+      $unionWith: {
+        coll: RecommendationFailure.collection.name,
+        pipeline: [
+          {
+            $match: { ...match, promptVersion: { $regex: `^${task}-` } },
+          },
+          {
+            $project: {
+              promptVersion: 1,
+              failed: { $literal: true },
+              cacheHit: { $literal: false },
+              validationPassed: { $literal: false },
+              aiAttempts: 1,
+              inputTokens: { $ifNull: ["$tokenUsage.inputTokens", 0] },
+              outputTokens: { $ifNull: ["$tokenUsage.outputTokens", 0] },
+            },
+          },
+        ],
+      },
+    },
+    {
+      $group: {
+        _id: "$promptVersion",
+        runs: { $sum: 1 },
+        failedRuns: countWhere({ $eq: ["$failed", true] }),
+        cacheHits: countWhere("$cacheHit"),
+        validationPassed: countWhere("$validationPassed"),
+        firstAttemptPassed: countWhere({
+          $and: [
+            { $not: ["$cacheHit"] },
+            { $ne: ["$failed", true] },
+            { $eq: ["$aiAttempts", 1] },
+          ],
+        }),
+        aiAttempts: {
+          $sum: { $cond: ["$cacheHit", 0, { $ifNull: ["$aiAttempts", 0] }] },
+        },
+        inputTokens: { $sum: "$inputTokens" },
+        outputTokens: { $sum: "$outputTokens" },
+        averageProcessingTime: { $avg: "$processingTime" },
+        averageRecommendedTotalAmount: { $avg: "$recommendedTotalAmount" },
+        feedbackResponses: countWhere("$feedbackGiven"),
+        withOutcome: countWhere({ $ifNull: ["$outcome", false] }),
+        purchased: countWhere({ $eq: ["$outcome", "purchased"] }),
+        averageRating: { $avg: "$rating" },
+      },
+    },
+    {
+      $addFields: {
+        requests: { $subtract: ["$runs", "$failedRuns"] },
+        aiCalls: { $subtract: ["$runs", "$cacheHits"] },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        promptVersion: "$_id",
+        requests: 1,
+        cacheHits: 1,
+        validation: {
+          passed: "$validationPassed",
+          failed: "$failedRuns",
+          passRate: percentage("$validationPassed", "$runs"),
+          firstAttemptPassRate: percentage("$firstAttemptPassed", "$aiCalls"),
+        },
+        cost: {
+          aiCalls: "$aiCalls",
+          inputTokens: "$inputTokens",
+          outputTokens: "$outputTokens",
+          averageInputTokens: perCall("$inputTokens", "$aiCalls"),
+          averageOutputTokens: perCall("$outputTokens", "$aiCalls"),
+          averageAttempts: {
+            $cond: [
+              { $gt: ["$aiCalls", 0] },
+              { $round: [{ $divide: ["$aiAttempts", "$aiCalls"] }, 2] },
+              null,
+            ],
+          },
+          averageProcessingTime: { $round: ["$averageProcessingTime", 0] },
+          averageRecommendedTotalAmount: {
+            $round: ["$averageRecommendedTotalAmount", 0],
+          },
+        },
+        feedback: {
+          responses: "$feedbackResponses",
+          withOutcome: "$withOutcome",
+          purchased: "$purchased",
+          acceptanceRate: percentage("$purchased", "$withOutcome"),
+          averageRating: { $round: ["$averageRating", 2] },
+        },
+      },
+    },
+    { $sort: { promptVersion: 1 } },
+  ]);
+
+  const current = getPromptExperiment(task);
+
+  return {
+    task,
+    experiment: experiment || null,
+    currentExperiment: current,
+    availableVersions: listPromptVersions(task),
+    arms,
+  };
+};
+
+module.exports = {
+  comparePromptArms,
+};
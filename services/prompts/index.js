@@ -0,0 +1,140 @@
+// Versioned prompt templates and A/B experiment arms.
+// Each template is a <version>.txt file in this directory with {{variable}}
+// placeholders, where the version starts with the task it serves (e.g.
+// recommendation-v2). Never edit a version that has produced results: copy it
+// to a new version instead, so cached results, saved recommendations and
+// feedback stay tied to the exact prompt that made them.
+//
+// <TASK>_PROMPT_ARMS splits traffic between versions, e.g.
+// RECOMMENDATION_PROMPT_ARMS="recommendation-v1:50,recommendation-v2:50", and
+// <TASK>_PROMPT_EXPERIMENT names the experiment. Signed-in users always get
+// the same arm; anonymous requests are assigned at random.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const TEMPLATES_DIR = __dirname;
+const VARIABLE_PATTERN = /\{\{(\w+)\}\}/g;
+
+// Version used for a task when no experiment is configured
+const DEFAULT_PROMPT_VERSIONS = {
+  recommendation: "recommendation-v1",
+};
+
+// Templates are read once and reused
+const templates = {};
+
+const loadTemplate = (version) => {
+  if (!templates[version]) {
+    const templatePath = path.join(TEMPLATES_DIR, `${version}.txt`);
+    if (!/^[\w-]+$/.test(version) || !fs.existsSync(templatePath)) {
+      throw new Error(`Unknown prompt version "${version}"`);
+    }
+    // Files end with a newline the prompt itself doesn't have
+    templates[version] = fs
+      .readFileSync(templatePath, "utf8")
+      .replace(/\n$/, "");
+  }
+  return templates[version];
+};
+
+// Versions available for a task, oldest first
+const listPromptVersions = (task) =>
+  fs
+    .readdirSync(TEMPLATES_DIR)
+    .filter((file) => file.startsWith(`${task}-`) && file.endsWith(".txt"))
+    .map((file) => file.slice(0, -".txt".length))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+// Fill a template's {{variables}}. Every placeholder must be passed in (even
+// if its value is empty), so a template and its caller can't silently drift
+// apart.
+const renderPrompt = (version, variables) =>
+  loadTemplate(version).replace(VARIABLE_PATTERN, (match, name) => {
+    if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+      throw new Error(
+        `Prompt template "${version}" needs a value for {{${name}}}`
+      );
+    }
+    return String(variables[name]);
+  });
+
+// "recommendation-v1:50,recommendation-v2:50" -> [{ version, weight }]. A
+// missing weight counts as 1.
+const parseArms = (value, envName) =>
+  value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [version, weight = "1"] = entry
+        .split(":")
+        .map((part) => part.trim());
+      loadTemplate(version);
+      if (!(Number(weight) > 0)) {
+        throw new Error(`${envName}: weight for "${version}" must be positive`);
+      }
+      return { version, weight: Number(weight) };
+    });
+
+// The configured experiment for a task: { name, arms }. name is null when
+// only one version is in use.
+const getPromptExperiment = (task) => {
+  const prefix = task.toUpperCase();
+  const armsEnv = `${prefix}_PROMPT_ARMS`;
+  const arms = process.env[armsEnv]
+    ? parseArms(process.env[armsEnv], armsEnv)
+    : [];
+  if (arms.length === 0) {
+    arms.push({ version: DEFAULT_PROMPT_VERSIONS[task], weight: 1 });
+  }
+
+  return {
+    name:
+      arms.length > 1
+        ? process.env[`${prefix}_PROMPT_EXPERIMENT`] ||
+          arms.map((arm) => arm.version).join("-vs-")
+        : null,
+    arms,
+  };
+};
+
+// A number in [0, 1) that stays the same for a user within an experiment
+const userBucket = (experimentName, userId) =>
+  parseInt(
+    crypto
+      .createHash("sha256")
+      .update(`${experimentName}:${userId}`)
+      .digest("hex")
+      .slice(0, 8),
+    16
+  ) / 0x100000000;
+
+// Pick the prompt version for one request. user is req.user or null.
+// Returns { version, experiment }.
+const assignPromptVersion = (task, user) => {
+  const { name, arms } = getPromptExperiment(task);
+  if (arms.length === 1) {
+    return { version: arms[0].version, experiment: null };
+  }
+
+  const bucket =
+    user && user.id ? userBucket(name, user.id.toString()) : Math.random();
+  const totalWeight = arms.reduce((sum, arm) => sum + arm.weight, 0);
+  let threshold = 0;
+  const arm =
+    arms.find((candidate) => {
+      threshold += candidate.weight / totalWeight;
+      return bucket < threshold;
+    }) || arms[arms.length - 1];
+
+  return { version: arm.version, experiment: name };
+};
+
+module.exports = {
+  DEFAULT_PROMPT_VERSIONS,
+  listPromptVersions,
+  renderPrompt,
+  getPromptExperiment,
+  assignPromptVersion,
+};
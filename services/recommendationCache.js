@@ -0,0 +1,261 @@
+// Cache for recommendation results so identical appliance lists in the same
+// area don't trigger a fresh AI call every time.
+// Entries are keyed on a hash of the normalized items, the location bucket,
+// the requested tiers, the catalog version and the prompt version, so a
+// product or price change starts a fresh entry. Requests without a city or
+// coordinates are never cached. RECOMMENDATION_CACHE selects the backend:
+// "memory" (default), "mongo" or "off".
+const crypto = require("crypto");
+const RecommendationCache = require("../models/RecommendationCache");
+
+const DEFAULT_BACKEND = "memory";
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const MEMORY_MAX_ENTRIES = 500;
+
+// Coordinates are bucketed to half a degree (~55km) when there is no city
+const COORDINATE_BUCKET_DEGREES = 0.5;
+
+const readNumber = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const getTTLSeconds = () =>
+  readNumber("RECOMMENDATION_CACHE_TTL_SECONDS", DEFAULT_TTL_SECONDS);
+
+const normalizeItems = (items) =>
+  items
+    .map((item) => ({
+      nameOfItem: String(item.nameOfItem).trim().toLowerCase(),
+      quantity: Number(item.quantity),
+      wattage: Number(item.wattage),
+      dayHours: Number(item.dayHours),
+      nightHours: Number(item.nightHours),
+      schedule: item.schedule || null,
+      timeWindows: item.timeWindows || null,
+      surgeMultiplier: Number(item.surgeMultiplier) || 1,
+      dutyCycle: Number(item.dutyCycle) || 1,
+      priority: item.priority || "essential",
+    }))
+    .sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
+
+// null when the location has neither a city nor coordinates
+const getLocationBucket = (location) => {
+  if (typeof location.city === "string" && location.city.trim()) {
+    return location.city.trim().toLowerCase();
+  }
+  if (!Number.isFinite(location.lat) || !Number.isFinite(location.lon)) {
+    return null;
+  }
+
+  const bucket = (value) =>
+    (
+      Math.round(value / COORDINATE_BUCKET_DEGREES) * COORDINATE_BUCKET_DEGREES
+    ).toFixed(1);
+  return `${bucket(location.lat)},${bucket(location.lon)}`;
+};
+
+const buildCacheKey = ({
+  items,
+  location,
+  tiers,
+  grid,
+  budget,
+  roof,
+  catalogVersion,
+  promptVersion,
+}) => {
+  const locationBucket = getLocationBucket(location);
+  if (!locationBucket) {
+    return { key: null, locationBucket: null };
+  }
+
+  const key = crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify({
+        items: normalizeItems(items),
+        locationBucket,
+        tiers: Array.isArray(tiers) ? [...tiers].sort() : null,
+        // Grid supply changes the sizing; the tariff only affects savings
+        grid: grid ? { band: grid.band, supplyHours: grid.supplyHours } : null,
+        budget: budget
+          ? { amount: budget.amount, type: budget.setupType }
+          : null,
+        roof: roof
+          ? {
+              usableAreaM2: roof.usableAreaM2,
+              orientationFactor: roof.orientationFactor,
+            }
+          : null,
+        catalogVersion,
+        promptVersion,
+      })
+    )
+    .digest("hex");
+
+  return { key, locationBucket };
+};
+
+// In-process store; entries are lost on restart and not shared between
+// instances
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  const get = async (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    // Copies keep callers from mutating the cached result
+    return structuredClone(entry.value);
+  };
+
+  const set = async (key, value, { locationBucket, promptVersion }) => {
+    entries.delete(key);
+    entries.set(key, {
+      value: structuredClone(value),
+      locationBucket,
+      promptVersion,
+      expiresAt: Date.now() + getTTLSeconds() * 1000,
+    });
+
+    // Evict the oldest entries once the store is full
+    while (entries.size > MEMORY_MAX_ENTRIES) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  const purge = async (filter = {}) => {
+    let purged = 0;
+    entries.forEach((entry, key) => {
+      if (
+        (!filter.locationBucket ||
+          entry.locationBucket === filter.locationBucket) &&
+        (!filter.promptVersion || entry.promptVersion === filter.promptVersion)
+      ) {
+        entries.delete(key);
+        purged++;
+      }
+    });
+    return purged;
+  };
+
+  return { name: "memory", get, set, purge };
+};
+
+// Shared store backed by the RecommendationCache collection
+const createMongoStore = () => {
+  const get = async (key) => {
+    const entry = await RecommendationCache.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 } }
+    ).lean();
+    return entry ? entry.value : null;
+  };
+
+  const set = async (key, value, { locationBucket, promptVersion }) => {
+    await RecommendationCache.findOneAndUpdate(
+      { key },
+      {
+        key,
+        value,
+        locationBucket,
+        promptVersion,
+        hits: 0,
+        expiresAt: new Date(Date.now() + getTTLSeconds() * 1000),
+      },
+      { upsert: true }
+    );
+  };
+
+  const purge = async (filter = {}) => {
+    const query = {};
+    if (filter.locationBucket) query.locationBucket = filter.locationBucket;
+    if (filter.promptVersion) query.promptVersion = filter.promptVersion;
+    const deleted = await RecommendationCache.deleteMany(query);
+    return deleted.deletedCount;
+  };
+
+  return { name: "mongo", get, set, purge };
+};
+
+const createDisabledStore = () => ({
+  name: "off",
+  get: async () => null,
+  set: async () => {},
+  purge: async () => 0,
+});
+
+const STORE_FACTORIES = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+  off: createDisabledStore,
+};
+
+// Stores are created once per backend and reused
+const stores = {};
+
+const getStore = () => {
+  const backend = (
+    process.env.RECOMMENDATION_CACHE || DEFAULT_BACKEND
+  ).toLowerCase();
+  if (!STORE_FACTORIES[backend]) {
+    throw new Error(
+      `Unknown recommendation cache backend "${backend}" (expected one of: ${Object.keys(
+        STORE_FACTORIES
+      ).join(", ")})`
+    );
+  }
+
+  if (!stores[backend]) {
+    stores[backend] = STORE_FACTORIES[backend]();
+  }
+  return stores[backend];
+};
+
+// Cache lookups never fail a recommendation; errors count as a miss. A
+// null key (see buildCacheKey) is never cached.
+const getCachedRecommendation = async (key) => {
+  if (!key) return null;
+  try {
+    return await getStore().get(key);
+  } catch (error) {
+    console.error("Recommendation cache read failed:", error);
+    return null;
+  }
+};
+
+const cacheRecommendation = async (key, value, tags) => {
+  if (!key) return;
+  try {
+    await getStore().set(key, value, tags);
+  } catch (error) {
+    console.error("Recommendation cache write failed:", error);
+  }
+};
+
+// Remove cached entries, optionally only for one city or prompt version
+const purgeRecommendationCache = async ({ city, promptVersion }) => {
+  const filter = { promptVersion };
+  if (city) {
+    filter.locationBucket = getLocationBucket({ city });
+    // A city that can't be bucketed matches no entries, rather than all
+    if (!filter.locationBucket) {
+      return { backend: getStore().name, purged: 0 };
+    }
+  }
+  return {
+    backend: getStore().name,
+    purged: await getStore().purge(filter),
+  };
+};
+
+module.exports = {
+  buildCacheKey,
+  getCachedRecommendation,
+  cacheRecommendation,
+  purgeRecommendationCache,
+};
@@ -0,0 +1,177 @@
+// Side-by-side comparison of saved recommendations.
+// Each run is reduced to the package the customer was shown, then every
+// later run is diffed against the first: component changes, cost and backup
+// deltas, and appliances added, removed or changed. Pure functions only.
+
+const COMPONENT_KEYS = [
+  "inverter",
+  "battery",
+  "solarPanels",
+  "chargeController",
+];
+const COMPONENT_FIELDS = ["sku", "name", "brand", "quantity", "unitPrice"];
+
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+// Appliances are matched on their library id, or their name for free-text
+// items
+const getApplianceKey = (item) =>
+  item.applianceId || String(item.nameOfItem).trim().toLowerCase();
+
+const describeComponent = (component) =>
+  component
+    ? {
+        sku: component.sku,
+        name: component.name,
+        brand: component.brand,
+        quantity: component.quantity,
+        unitPrice: component.unitPrice,
+        totalPrice: component.totalPrice,
+        specifications: component.specifications || {},
+      }
+    : null;
+
+// The figures a comparison needs from one saved run. recommendation is the
+// package being compared (the recommended one unless a tier was asked for).
+const summarizeRun = (request, result, recommendation) => {
+  const { performance = {}, pricing = {} } = recommendation;
+  const sizing = result.systemSizing || {};
+
+  return {
+    requestId: request.requestId,
+    requestedAt: request.requestedAt,
+    location: result.locationProfile && result.locationProfile.location,
+    tier: recommendation.tier,
+    systemName: recommendation.systemName,
+    totalAmount: pricing.totalAmount,
+    backupHours: performance.estimatedBackupHours,
+    dailyConsumptionKWh: sizing.load
+      ? sizing.load.dailyConsumptionKWh
+      : parseFloat(result.powerRequirements.dailyConsumption),
+    components: COMPONENT_KEYS.reduce((components, key) => {
+      components[key] = describeComponent(recommendation.components[key]);
+      return components;
+    }, {}),
+    appliances: (result.powerRequirements.appliances || []).map((item) => ({
+      applianceId: item.applianceId || null,
+      nameOfItem: item.nameOfItem,
+      quantity: Number(item.quantity),
+      wattage: Number(item.wattage),
+      dayHours: item.dayHours,
+      nightHours: item.nightHours,
+      priority: item.priority || "essential",
+    })),
+  };
+};
+
+// from/to/delta for a number, with the change as a percentage of from
+const diffNumber = (from, to, decimals = 2) => {
+  if (typeof from !== "number" || typeof to !== "number") {
+    return { from, to, delta: null, deltaPercent: null };
+  }
+  return {
+    from,
+    to,
+    delta: round(to - from, decimals),
+    deltaPercent: from !== 0 ? round(((to - from) / from) * 100, 1) : null,
+  };
+};
+
+const diffComponents = (fromComponents, toComponents) =>
+  COMPONENT_KEYS.reduce((diff, key) => {
+    const from = fromComponents[key];
+    const to = toComponents[key];
+    if (!from || !to) {
+      diff[key] = { status: from ? "removed" : to ? "added" : "unchanged" };
+      return diff;
+    }
+
+    const changes = COMPONENT_FIELDS.filter(
+      (field) => from[field] !== to[field]
+    ).map((field) => ({ field, from: from[field], to: to[field] }));
+    Object.keys({ ...from.specifications, ...to.specifications }).forEach(
+      (field) => {
+        if (from.specifications[field] !== to.specifications[field]) {
+          changes.push({
+            field: `specifications.${field}`,
+            from: from.specifications[field],
+            to: to.specifications[field],
+          });
+        }
+      }
+    );
+
+    diff[key] = {
+      status: changes.length > 0 ? "changed" : "unchanged",
+      changes,
+      totalPrice: diffNumber(from.totalPrice, to.totalPrice, 0),
+    };
+    return diff;
+  }, {});
+
+const diffAppliances = (fromAppliances, toAppliances) => {
+  const fromByKey = new Map(
+    fromAppliances.map((item) => [getApplianceKey(item), item])
+  );
+  const toByKey = new Map(
+    toAppliances.map((item) => [getApplianceKey(item), item])
+  );
+  const compared = [
+    "quantity",
+    "wattage",
+    "dayHours",
+    "nightHours",
+    "priority",
+  ];
+
+  const changed = [];
+  toByKey.forEach((to, key) => {
+    const from = fromByKey.get(key);
+    if (!from) return;
+    const changes = compared
+      .filter((field) => from[field] !== to[field])
+      .map((field) => ({ field, from: from[field], to: to[field] }));
+    if (changes.length > 0) {
+      changed.push({ nameOfItem: to.nameOfItem, changes });
+    }
+  });
+
+  return {
+    added: toAppliances.filter((item) => !fromByKey.has(getApplianceKey(item))),
+    removed: fromAppliances.filter(
+      (item) => !toByKey.has(getApplianceKey(item))
+    ),
+    changed,
+  };
+};
+
+// Compare runs (from summarizeRun) against the first one
+const compareRuns = (runs) => {
+  const [baseline, ...others] = runs;
+
+  return {
+    baseline: baseline.requestId,
+    runs,
+    comparisons: others.map((run) => ({
+      from: baseline.requestId,
+      to: run.requestId,
+      tier: { from: baseline.tier, to: run.tier },
+      cost: diffNumber(baseline.totalAmount, run.totalAmount, 0),
+      backupHours: diffNumber(baseline.backupHours, run.backupHours, 1),
+      dailyConsumptionKWh: diffNumber(
+        baseline.dailyConsumptionKWh,
+        run.dailyConsumptionKWh
+      ),
+      components: diffComponents(baseline.components, run.components),
+      appliances: diffAppliances(baseline.appliances, run.appliances),
+    })),
+  };
+};
+
+module.exports = {
+  summarizeRun,
+  compareRuns,
+};
@@ -0,0 +1,199 @@
+// Customer feedback on saved recommendations, and the acceptance analytics
+// built from it. Each recommendation holds one feedback entry; submitting
+// again updates the fields given and keeps the rest.
+const RecommendationRequest = require("../models/RecommendationRequest");
+const {
+  createRecommendationError,
+  findSavedRecommendation,
+} = require("./recommendationService");
+const {
+  countWhere,
+  percentage,
+  isOwnerFeedback,
+} = require("./aggregationHelpers");
+
+const FEEDBACK_OUTCOMES = ["purchased", "too-expensive", "not-suitable"];
+const MAX_COMMENT_LENGTH = 1000;
+
+// Daily consumption bands used to report acceptance by load size. The last
+// band takes everything above the one before it.
+const LOAD_SIZE_BANDS = [
+  { label: "under 3 kWh/day", maxKWh: 3 },
+  { label: "3-8 kWh/day", maxKWh: 8 },
+  { label: "8-20 kWh/day", maxKWh: 20 },
+  { label: "20+ kWh/day" },
+];
+
+const validateFeedback = ({ rating, outcome, comment }) => {
+  const errors = [];
+  if (
+    rating !== undefined &&
+    !(Number.isInteger(rating) && rating >= 1 && rating <= 5)
+  ) {
+    errors.push("rating must be a whole number from 1 to 5");
+  }
+  if (outcome !== undefined && !FEEDBACK_OUTCOMES.includes(outcome)) {
+    errors.push(`outcome must be one of: ${FEEDBACK_OUTCOMES.join(", ")}`);
+  }
+  if (
+    comment !== undefined &&
+    (typeof comment !== "string" || comment.length > MAX_COMMENT_LENGTH)
+  ) {
+    errors.push(
+      `comment must be text of at most ${MAX_COMMENT_LENGTH} characters`
+    );
+  }
+  if (rating === undefined && outcome === undefined && comment === undefined) {
+    errors.push("Send a rating, an outcome or a comment");
+  }
+
+  if (errors.length > 0) {
+    throw createRecommendationError(400, "Invalid feedback", { errors });
+  }
+};
+
+// Record the customer's rating, outcome and comment for a recommendation.
+// Only the customer it was made for can rate it, so anonymous
+// recommendations can't be rated.
+const submitFeedback = async ({
+  requestId,
+  rating,
+  outcome,
+  comment,
+  user,
+}) => {
+  validateFeedback({ rating, outcome, comment });
+
+  const { request } = await findSavedRecommendation({ requestId, user });
+  if (!request.user || request.user.toString() !== user.id.toString()) {
+    throw createRecommendationError(
+      403,
+      "Only the customer this recommendation was made for can rate it",
+      request.user
+        ? undefined
+        : {
+            suggestion:
+              "Sign in before generating a recommendation to be able to rate it",
+          }
+    );
+  }
+
+  const previous = request.feedback || {};
+  const now = new Date();
+  const feedback = {
+    rating: rating !== undefined ? rating : previous.rating,
+    outcome: outcome !== undefined ? outcome : previous.outcome,
+    comment: comment !== undefined ? comment.trim() : previous.comment,
+    submittedBy: user.id,
+    submittedAt: previous.submittedAt || now,
+    updatedAt: now,
+  };
+
+  await RecommendationRequest.updateOne(
+    { requestId },
+    { $set: { feedback } },
+    { runValidators: true }
+  );
+
+  return { success: true, requestId, feedback };
+};
+
+// Buckets a recommendation's dailyConsumptionKWh into a LOAD_SIZE_BANDS label
+const loadSizeExpression = {
+  $switch: {
+    branches: LOAD_SIZE_BANDS.slice(0, -1).map((band) => ({
+      case: { $lt: ["$dailyConsumptionKWh", band.maxKWh] },
+      then: band.label,
+    })),
+    default: LOAD_SIZE_BANDS[LOAD_SIZE_BANDS.length - 1].label,
+  },
+};
+
+// Group feedback by one field and work out the acceptance rate: the share of
+// responses with an outcome that were purchased
+const acceptanceStages = (field) => [
+  {
+    $group: {
+      _id: field ? `$${field}` : null,
+      responses: { $sum: 1 },
+      withOutcome: countWhere({ $ifNull: ["$outcome", false] }),
+      ...FEEDBACK_OUTCOMES.reduce((counts, outcome) => {
+        counts[outcome] = countWhere({ $eq: ["$outcome", outcome] });
+        return counts;
+      }, {}),
+      averageRating: { $avg: "$rating" },
+      ratings: countWhere({ $ifNull: ["$rating", false] }),
+    },
+  },
+  {
+    $project: {
+      _id: 0,
+      ...(field ? { [field]: "$_id" } : {}),
+      responses: 1,
+      withOutcome: 1,
+      outcomes: FEEDBACK_OUTCOMES.reduce((outcomes, outcome) => {
+        outcomes[outcome] = `$${outcome}`;
+        return outcomes;
+      }, {}),
+      acceptanceRate: percentage("$purchased", "$withOutcome"),
+      averageRating: { $round: ["$averageRating", 2] },
+      ratings: 1,
+    },
+  },
+  { $sort: { responses: -1 } },
+];
+
+// Acceptance rates overall and by city, load size and prompt version, from
+// feedback given by the customers the recommendations were made for.
+// since limits it to feedback submitted from that date.
+const getFeedbackAnalytics = async ({ since } = {}) => {
+  const [analytics] = await RecommendationRequest.aggregate([
+    {
+      $match: {
+        "feedback.submittedAt": since ? { $gte: since } : { $ne: null },
+        $expr: isOwnerFeedback,
+      },
+    },
+    {
+      $project: {
+        city: { $ifNull: ["$location.city", "Unknown"] },
+        loadSize: loadSizeExpression,
+        // Older requests only have the version inside the stored result
+        promptVersion: {
+          $ifNull: [
+            "$promptVersion",
+            { $ifNull: ["$result.metadata.promptVersion", "unknown"] },
+          ],
+        },
+        outcome: "$feedback.outcome",
+        rating: "$feedback.rating",
+      },
+    },
+    {
+      $facet: {
+        overall: acceptanceStages(null),
+        byCity: acceptanceStages("city"),
+        byLoadSize: acceptanceStages("loadSize"),
+        byPromptVersion: acceptanceStages("promptVersion"),
+      },
+    },
+  ]);
+
+  return {
+    overview: analytics.overall[0] || {
+      responses: 0,
+      withOutcome: 0,
+      acceptanceRate: null,
+    },
+    byCity: analytics.byCity,
+    byLoadSize: analytics.byLoadSize,
+    byPromptVersion: analytics.byPromptVersion,
+    loadSizeBands: LOAD_SIZE_BANDS.map((band) => band.label),
+  };
+};
+
+module.exports = {
+  FEEDBACK_OUTCOMES,
+  submitFeedback,
+  getFeedbackAnalytics,
+};
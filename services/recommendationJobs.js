@@ -0,0 +1,210 @@
+// Background recommendation jobs stored in Mongo.
+// The worker polls for queued jobs and runs them through the same pipeline
+// as POST /api/recommendations. It runs inside the API process by default;
+// set RECOMMENDATION_WORKER=standalone to run it with `npm run worker` instead.
+// Serverless deployments (Vercel sets VERCEL) have no long-lived process to
+// drain the queue, so they default to standalone and need the worker
+// deployed separately; see the README.
+const os = require("os");
+const RecommendationJob = require("../models/RecommendationJob");
+const { generateRecommendation } = require("./recommendationService");
+
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+const DEFAULT_STALE_AFTER_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 2;
+const DEFAULT_RECOVER_INTERVAL_MS = 60 * 1000;
+
+const workerId = `${os.hostname()}:${process.pid}`;
+
+let pollTimer = null;
+let running = false;
+let busy = false;
+let lastRecoveryAt = 0;
+
+const readNumber = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const getWorkerMode = () => {
+  const mode = process.env.RECOMMENDATION_WORKER;
+  if (mode) return mode === "standalone" ? "standalone" : "in-process";
+  return process.env.VERCEL ? "standalone" : "in-process";
+};
+
+// Keep only what the pipeline needs from req.user
+const snapshotRequester = (user) =>
+  user && user.id
+    ? {
+        id: user.id.toString(),
+        username: user.username,
+        email: user.email,
+        authMethod: user.authMethod,
+        isVerified: user.isVerified,
+        tokenType: user.tokenType,
+      }
+    : null;
+
+// Store a job and wake the in-process worker
+const enqueueJob = async ({
+  items,
+  location,
+  tiers,
+  generator,
+  grid,
+  budget,
+  setupId,
+  roof,
+  clientIp,
+  user,
+}) => {
+  const requester = snapshotRequester(user);
+  const job = await RecommendationJob.create({
+    user: requester ? requester.id : null,
+    requester,
+    input: {
+      items,
+      location,
+      tiers,
+      generator,
+      grid,
+      budget,
+      setupId,
+      roof,
+      clientIp,
+    },
+  });
+
+  if (running) setImmediate(poll);
+
+  return job;
+};
+
+const runJob = async (job) => {
+  try {
+    const result = await generateRecommendation({
+      ...job.input,
+      user: job.requester,
+    });
+
+    job.status = "succeeded";
+    job.requestId = result.customerInfo.requestId;
+    job.result = result;
+  } catch (error) {
+    console.error(`Recommendation job ${job.jobId} failed:`, error.message);
+
+    job.status = "failed";
+    job.error = {
+      message: error.statusCode
+        ? error.message
+        : "Recommendation service is temporarily unavailable",
+      statusCode: error.statusCode || 503,
+      details: error.statusCode ? error.details : { error: error.message },
+    };
+  }
+
+  job.completedAt = new Date();
+  try {
+    await job.save();
+  } catch (error) {
+    // Usually a result the job document can't hold. Record the failure
+    // without it so the job doesn't stay "running" until it times out.
+    console.error(`Failed to save recommendation job ${job.jobId}:`, error);
+    await RecommendationJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: "failed",
+          completedAt: job.completedAt,
+          error: {
+            message: "Recommendation service is temporarily unavailable",
+            statusCode: 503,
+            details: { error: error.message },
+          },
+        },
+        $unset: { requestId: "", result: "" },
+      }
+    );
+  }
+  return job;
+};
+
+// Requeue jobs orphaned by a worker that died, failing the ones that
+// already used up their attempts
+const recoverStaleJobs = async () => {
+  lastRecoveryAt = Date.now();
+  try {
+    const requeued = await RecommendationJob.recoverStale(
+      readNumber("RECOMMENDATION_JOB_STALE_MS", DEFAULT_STALE_AFTER_MS),
+      readNumber("RECOMMENDATION_JOB_MAX_ATTEMPTS", DEFAULT_MAX_ATTEMPTS)
+    );
+    if (requeued > 0) {
+      console.log(`♻️ Requeued ${requeued} stale recommendation jobs`);
+    }
+  } catch (error) {
+    console.error("Failed to recover stale recommendation jobs:", error);
+  }
+};
+
+// Claim and run one queued job. Returns the job, or null if none was queued.
+const processNextJob = async () => {
+  const job = await RecommendationJob.claimNext(workerId);
+  if (!job) return null;
+
+  console.log(`⚙️ Running recommendation job ${job.jobId}`);
+  return runJob(job);
+};
+
+// Drain the queue, then wait for the next poll
+const poll = async () => {
+  if (!running || busy) return;
+  busy = true;
+  clearTimeout(pollTimer);
+
+  try {
+    // Workers can die at any time, not just before this one started
+    if (
+      Date.now() - lastRecoveryAt >=
+      readNumber("RECOMMENDATION_JOB_RECOVER_MS", DEFAULT_RECOVER_INTERVAL_MS)
+    ) {
+      await recoverStaleJobs();
+    }
+
+    while (running && (await processNextJob())) {
+      // keep going until the queue is empty
+    }
+  } catch (error) {
+    console.error("Recommendation worker poll failed:", error);
+  } finally {
+    busy = false;
+    if (running) {
+      pollTimer = setTimeout(
+        poll,
+        readNumber("RECOMMENDATION_WORKER_POLL_MS", DEFAULT_POLL_INTERVAL_MS)
+      );
+    }
+  }
+};
+
+const startWorker = async () => {
+  if (running) return;
+  running = true;
+
+  await recoverStaleJobs();
+
+  console.log(`⚙️ Recommendation worker ${workerId} started`);
+  poll();
+};
+
+const stopWorker = () => {
+  running = false;
+  clearTimeout(pollTimer);
+};
+
+module.exports = {
+  getWorkerMode,
+  enqueueJob,
+  processNextJob,
+  startWorker,
+  stopWorker,
+};
@@ -0,0 +1,97 @@
+// Orders placed straight from a saved recommendation.
+// The client only chooses the package, delivery address and payment method:
+// items and prices come from the same catalog re-pricing as the PDF quote,
+// and the price is locked for the quote's validity window.
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const { buildQuote } = require("./recommendationQuote");
+const {
+  createRecommendationError,
+  findSavedRecommendation,
+} = require("./recommendationService");
+
+// Whole years from a component warranty such as "2 years warranty"
+const parseWarrantyYears = (warranty) => {
+  const years = parseInt(warranty, 10);
+  return Number.isFinite(years) ? years : undefined;
+};
+
+// Create a pending order for a recommendation package (the recommended one
+// unless tier is given). A second request while the user already has a
+// pending order for the same package at a locked price returns that order.
+const createOrderFromRecommendation = async ({
+  requestId,
+  tier,
+  address,
+  paymentMethod,
+  installationSchedule,
+  user,
+}) => {
+  const { recommendation } = await findSavedRecommendation({
+    requestId,
+    tier,
+    user,
+  });
+
+  // Checked before re-pricing so the locked price stands even if the
+  // catalog has changed since
+  const existing = await Order.findOne({
+    userId: user.id,
+    "recommendation.requestId": requestId,
+    "recommendation.tier": recommendation.tier,
+    status: "pending",
+    priceLockedUntil: { $gt: new Date() },
+  });
+  if (existing) {
+    return { order: existing, created: false };
+  }
+
+  const quote = await buildQuote({ requestId, tier, user });
+
+  const order = new Order({
+    userId: user.id,
+    items: quote.lines.map((line) => ({
+      productId: line.productId,
+      sku: line.sku,
+      name: line.description,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      totalPrice: line.totalPrice,
+      warranty: parseWarrantyYears(line.warranty),
+    })),
+    itemsAndInstallation: quote.pricing.subtotal,
+    vat: quote.pricing.vat,
+    totalAmount: quote.pricing.totalAmount,
+    address,
+    paymentMethod,
+    installationSchedule,
+    recommendation: {
+      requestId: quote.requestId,
+      tier: quote.system.tier,
+      quoteNumber: quote.quoteNumber,
+    },
+    priceLockedUntil: quote.validUntil,
+  });
+
+  try {
+    await order.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      throw createRecommendationError(400, "Validation failed", {
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+    throw error;
+  }
+
+  return { order, created: true };
+};
+
+// Whether a pending order's locked price has run out
+const isPriceLockExpired = (order) =>
+  !!order.priceLockedUntil && order.priceLockedUntil <= new Date();
+
+module.exports = {
+  createOrderFromRecommendation,
+  isPriceLockExpired,
+};
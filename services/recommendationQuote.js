@@ -0,0 +1,443 @@
+// Formal PDF quotations for saved recommendations.
+// A quote re-prices the recommended components at today's catalog prices,
+// adds installation and 7.5% VAT the same way the recommendation did, and is
+// valid for QUOTE_VALIDITY_DAYS from the day it is issued. Each package's
+// quote is saved on the recommendation when first issued, so later downloads
+// and orders get the same prices and dates until it expires. Downloads only
+// read a saved quote; issuing one is a separate step. The PDF is drawn
+// in-process with pdfkit, so nothing leaves the server.
+const PDFDocument = require("pdfkit");
+const RecommendationRequest = require("../models/RecommendationRequest");
+const User = require("../models/User");
+const Setup = require("../models/Setup");
+const {
+  INSTALLATION_RATE,
+  VAT_RATE,
+  repriceComponents,
+} = require("./catalogService");
+const {
+  createRecommendationError,
+  findSavedRecommendation,
+} = require("./recommendationService");
+
+const QUOTE_VALIDITY_DAYS = Number(process.env.QUOTE_VALIDITY_DAYS) || 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const COMPONENT_LABELS = {
+  inverter: "Inverter",
+  battery: "Battery",
+  solarPanels: "Solar panels",
+  chargeController: "Charge controller",
+};
+
+const CUSTOMER_FIELDS = ["name", "company", "email", "phone", "address"];
+const MAX_CUSTOMER_FIELD_LENGTH = 200;
+
+const QUOTE_TERMS = [
+  `Prices are in Nigerian Naira and include ${
+    VAT_RATE * 100
+  }% VAT. This quote is valid until the date shown, after which prices may change with supplier costs.`,
+  "The order is confirmed, and stock reserved, once payment is received in full or through Pay Small Small.",
+  "Installation is scheduled after the order is confirmed and a site survey has been carried out.",
+  "Product warranties are those stated by each manufacturer and listed against each item.",
+  "Backup hours and solar yield are estimates based on the appliance list supplied and typical local weather; actual performance depends on usage.",
+  "Structural work on the roof, and wiring beyond the main distribution board, are not included unless listed above.",
+];
+
+const BRAND = {
+  name: "Boosty",
+  dark: "#202D2D",
+  accent: "#F5C13C",
+  muted: "#666666",
+};
+
+const formatMoney = (amount) =>
+  `NGN ${Math.round(amount).toLocaleString("en-US")}`;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+
+// Optional details to print instead of what the account and saved setup
+// hold, e.g. the company the quote is addressed to
+const validateCustomerDetails = (customer) => {
+  if (customer === undefined || customer === null) return {};
+  if (typeof customer !== "object" || Array.isArray(customer)) {
+    throw createRecommendationError(400, "customer must be an object");
+  }
+
+  return CUSTOMER_FIELDS.reduce((details, field) => {
+    const value = customer[field];
+    if (value === undefined || value === null || value === "") {
+      return details;
+    }
+    if (
+      typeof value !== "string" ||
+      value.trim().length > MAX_CUSTOMER_FIELD_LENGTH
+    ) {
+      throw createRecommendationError(
+        400,
+        `customer.${field} must be text of at most ${MAX_CUSTOMER_FIELD_LENGTH} characters`
+      );
+    }
+    details[field] = value.trim();
+    return details;
+  }, {});
+};
+
+// Who the quote is addressed to: explicit details first, then the owner's
+// account and the address of the setup the recommendation was made for
+const resolveCustomer = async (request, result, details) => {
+  const account = request.user
+    ? await User.findById(request.user)
+        .select("username email firstName lastName")
+        .lean()
+    : null;
+  const setupId = result.budget && result.budget.setupId;
+  const setup = setupId
+    ? await Setup.findById(setupId).select("address").lean()
+    : null;
+  const location =
+    (result.locationProfile && result.locationProfile.location) || {};
+  const accountName = account
+    ? [account.firstName, account.lastName].filter(Boolean).join(" ") ||
+      account.username
+    : null;
+
+  return {
+    name: details.name || accountName || "Valued customer",
+    company: details.company || null,
+    email: details.email || (account && account.email) || null,
+    phone: details.phone || null,
+    address: details.address || (setup && setup.address) || null,
+    location: [location.city, location.region, location.country]
+      .filter(Boolean)
+      .join(", "),
+  };
+};
+
+// "Standard Package" -> STANDARD
+const getTierCode = (recommendation) =>
+  recommendation.tier.split(" ")[0].toUpperCase();
+
+const isValidQuote = (quote) =>
+  quote && new Date(quote.validUntil) > new Date();
+
+// The package's saved quote, which must still be valid
+const findIssuedQuote = (request, recommendation) => {
+  const saved = request.quotes && request.quotes[getTierCode(recommendation)];
+  if (!isValidQuote(saved)) {
+    throw createRecommendationError(
+      404,
+      saved
+        ? "The quote for this package has expired"
+        : "No quote has been issued for this package",
+      {
+        suggestion: `POST /api/recommendations/${request.requestId}/quote to issue one at today's prices`,
+      }
+    );
+  }
+  return saved;
+};
+
+// The package's saved quote while it is valid; otherwise re-price the
+// components and save a new one. When another request saves a quote first,
+// that one is used, so concurrent requests agree.
+const issueQuote = async (request, recommendation) => {
+  const tierCode = getTierCode(recommendation);
+  const saved = request.quotes && request.quotes[tierCode];
+  if (isValidQuote(saved)) {
+    return saved;
+  }
+
+  const repriced = await repriceComponents(recommendation.components);
+  if (repriced.unavailable) {
+    throw createRecommendationError(
+      409,
+      "Some components in this recommendation are no longer available. Generate a new recommendation to get a quote.",
+      { unavailable: repriced.unavailable }
+    );
+  }
+
+  const issuedAt = new Date();
+  const quote = {
+    quoteNumber: `QT-${request.requestId.replace(/^REQ_/, "")}-${tierCode}`,
+    issuedAt,
+    validUntil: new Date(issuedAt.getTime() + QUOTE_VALIDITY_DAYS * DAY_MS),
+    components: repriced.components,
+    pricing: repriced.pricing,
+  };
+  const field = `quotes.${tierCode}`;
+  const { modifiedCount } = await RecommendationRequest.updateOne(
+    {
+      _id: request._id,
+      $or: [
+        { [field]: { $exists: false } },
+        { [`${field}.validUntil`]: { $lte: issuedAt } },
+      ],
+    },
+    { $set: { [field]: quote } }
+  );
+  if (modifiedCount === 0) {
+    const current = await RecommendationRequest.findById(request._id)
+      .select("quotes")
+      .lean();
+    const issued = current && current.quotes && current.quotes[tierCode];
+    if (isValidQuote(issued)) {
+      return issued;
+    }
+  }
+
+  return quote;
+};
+
+// The quote as data: customer, line items, totals, validity and terms.
+// tier picks a package other than the recommended one. issue: false only
+// reads the saved quote instead of issuing one.
+const buildQuote = async ({
+  requestId,
+  tier,
+  user,
+  customer,
+  issue = true,
+}) => {
+  const details = validateCustomerDetails(customer);
+  const { request, result, recommendation } = await findSavedRecommendation({
+    requestId,
+    tier,
+    user,
+  });
+
+  const { quoteNumber, issuedAt, validUntil, components, pricing } = issue
+    ? await issueQuote(request, recommendation)
+    : findIssuedQuote(request, recommendation);
+  const specs = recommendation.technicalSpecs || {};
+  const performance = recommendation.performance || {};
+
+  return {
+    quoteNumber,
+    requestId: request.requestId,
+    issuedAt: new Date(issuedAt),
+    validUntil: new Date(validUntil),
+    customer: await resolveCustomer(request, result, details),
+    system: {
+      tier: recommendation.tier,
+      systemName: recommendation.systemName,
+      description: recommendation.description,
+      solarCapacity: specs.totalSolarCapacity,
+      batteryCapacity: specs.batteryCapacity,
+      inverterCapacity: specs.inverterCapacity,
+      dailyConsumption: performance.dailyConsumption,
+      backupDuration: performance.backupDuration,
+    },
+    lines: Object.entries(components).map(([key, component]) => ({
+      item: COMPONENT_LABELS[key] || key,
+      productId: component.productId,
+      description: [component.brand, component.name].filter(Boolean).join(" "),
+      sku: component.sku,
+      warranty: component.warranty,
+      quantity: component.quantity,
+      unitPrice: component.unitPrice,
+      totalPrice: component.totalPrice,
+    })),
+    pricing: {
+      ...pricing,
+      installationRate: INSTALLATION_RATE,
+      vatRate: VAT_RATE,
+    },
+    // The recommendation's own total, so a changed price can be flagged
+    originalTotalAmount: recommendation.pricing.totalAmount,
+    priceChanged: recommendation.pricing.totalAmount !== pricing.totalAmount,
+    terms: QUOTE_TERMS,
+  };
+};
+
+// Column layout of the line-item table, in points from the left margin
+const TABLE_COLUMNS = [
+  { key: "item", label: "Item", x: 0, width: 90 },
+  { key: "description", label: "Description", x: 90, width: 190 },
+  { key: "quantity", label: "Qty", x: 280, width: 40, align: "right" },
+  { key: "unitPrice", label: "Unit price", x: 325, width: 85, align: "right" },
+  { key: "totalPrice", label: "Amount", x: 410, width: 85, align: "right" },
+];
+
+const drawTableRow = (doc, row, top, { bold = false } = {}) => {
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+  const left = doc.page.margins.left;
+  const heights = TABLE_COLUMNS.map((column) =>
+    doc.heightOfString(String(row[column.key]), { width: column.width })
+  );
+  TABLE_COLUMNS.forEach((column) => {
+    doc.text(String(row[column.key]), left + column.x, top, {
+      width: column.width,
+      align: column.align || "left",
+    });
+  });
+  return top + Math.max(...heights) + 6;
+};
+
+// Render a quote from buildQuote as a PDF. Resolves with the file as a Buffer.
+const renderQuotePdf = (quote) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 50,
+      info: {
+        Title: `Quotation ${quote.quoteNumber}`,
+        Author: BRAND.name,
+      },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+
+    // Header band
+    doc.rect(0, 0, doc.page.width, 90).fill(BRAND.dark);
+    doc
+      .fillColor(BRAND.accent)
+      .font("Helvetica-Bold")
+      .fontSize(24)
+      .text(BRAND.name, left, 32);
+    doc
+      .fillColor("#FFFFFF")
+      .fontSize(16)
+      .text("QUOTATION", left, 38, { width, align: "right" });
+
+    // Quote and customer details
+    doc.fillColor("black").font("Helvetica").fontSize(10);
+    doc.text(`Quote number: ${quote.quoteNumber}`, left, 110);
+    doc.text(`Date issued: ${formatDate(quote.issuedAt)}`);
+    doc
+      .font("Helvetica-Bold")
+      .text(`Valid until: ${formatDate(quote.validUntil)}`);
+    doc.font("Helvetica").text(`Reference: ${quote.requestId}`);
+
+    const { customer } = quote;
+    doc.font("Helvetica-Bold").text("Prepared for", left + 280, 110, {
+      width: width - 280,
+    });
+    doc.font("Helvetica");
+    [
+      customer.name,
+      customer.company,
+      customer.address,
+      customer.location,
+      customer.email,
+      customer.phone,
+    ]
+      .filter(Boolean)
+      .forEach((line) => doc.text(line, { width: width - 280 }));
+
+    // System summary
+    const { system } = quote;
+    let top = Math.max(doc.y, 180) + 20;
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(12)
+      .text(`${system.systemName} (${system.tier})`, left, top, { width });
+    doc.font("Helvetica").fontSize(9).fillColor(BRAND.muted);
+    if (system.description) doc.text(system.description, { width });
+    doc.text(
+      [
+        system.solarCapacity && `Solar array: ${system.solarCapacity}`,
+        system.batteryCapacity && `Battery storage: ${system.batteryCapacity}`,
+        system.inverterCapacity && `Inverter: ${system.inverterCapacity}`,
+        system.dailyConsumption &&
+          `Daily consumption: ${system.dailyConsumption}`,
+        system.backupDuration && `Backup: ${system.backupDuration}`,
+      ]
+        .filter(Boolean)
+        .join("  |  "),
+      { width }
+    );
+
+    // Line items
+    top = doc.y + 16;
+    doc.fillColor("black");
+    doc.rect(left, top - 4, width, 18).fill(BRAND.accent);
+    doc.fillColor(BRAND.dark);
+    top = drawTableRow(
+      doc,
+      TABLE_COLUMNS.reduce((header, column) => {
+        header[column.key] = column.label;
+        return header;
+      }, {}),
+      top,
+      { bold: true }
+    );
+    doc.fillColor("black");
+
+    quote.lines.forEach((line) => {
+      top = drawTableRow(
+        doc,
+        {
+          item: line.item,
+          description: [line.description, line.sku, line.warranty]
+            .filter(Boolean)
+            .join("\n"),
+          quantity: line.quantity,
+          unitPrice: formatMoney(line.unitPrice),
+          totalPrice: formatMoney(line.totalPrice),
+        },
+        top
+      );
+      doc
+        .moveTo(left, top - 3)
+        .lineTo(left + width, top - 3)
+        .strokeColor("#DDDDDD")
+        .stroke();
+    });
+
+    // Totals
+    const { pricing } = quote;
+    top += 6;
+    [
+      ["Equipment", pricing.equipmentCost],
+      [
+        `Installation & accessories (${Math.round(
+          pricing.installationRate * 100
+        )}%)`,
+        pricing.installationCost,
+      ],
+      ["Subtotal (excl. VAT)", pricing.subtotal],
+      [`VAT (${pricing.vatRate * 100}%)`, pricing.vat],
+    ].forEach(([label, amount]) => {
+      doc.font("Helvetica").fontSize(10);
+      doc.text(label, left + 250, top, { width: 160 });
+      doc.text(formatMoney(amount), left + 410, top, {
+        width: 85,
+        align: "right",
+      });
+      top += 16;
+    });
+    doc.rect(left + 245, top - 2, width - 245, 20).fill(BRAND.dark);
+    doc.fillColor(BRAND.accent).font("Helvetica-Bold").fontSize(11);
+    doc.text("Total (incl. VAT)", left + 250, top + 3, { width: 160 });
+    doc.text(formatMoney(pricing.totalAmount), left + 390, top + 3, {
+      width: 105,
+      align: "right",
+    });
+
+    // Terms
+    doc.fillColor("black").font("Helvetica-Bold").fontSize(10);
+    doc.text("Terms and conditions", left, top + 40, { width });
+    doc.font("Helvetica").fontSize(8.5).fillColor(BRAND.muted);
+    quote.terms.forEach((term, index) => {
+      doc.text(`${index + 1}. ${term}`, { width, paragraphGap: 3 });
+    });
+
+    doc.end();
+  });
+
+module.exports = {
+  QUOTE_VALIDITY_DAYS,
+  buildQuote,
+  renderQuotePdf,
+};
@@ -0,0 +1,1689 @@
+// Recommendation pipeline shared by the synchronous route and the job worker:
+// resolve location and solar data, size and price every tier, have the AI
+// name the packages, validate them and persist the result.
+const crypto = require("crypto");
+const axios = require("axios");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Setup = require("../models/Setup");
+const RecommendationRequest = require("../models/RecommendationRequest");
+const RecommendationFailure = require("../models/RecommendationFailure");
+const llm = require("./llm");
+const { renderPrompt, assignPromptVersion } = require("./prompts");
+const {
+  sizePackages,
+  calculateSolarCoverage,
+  TIER_NAMES,
+} = require("./packageTiers");
+const {
+  loadCatalog,
+  getCatalogVersion,
+  buildCatalogPackage,
+} = require("./catalogService");
+const { getAppliance, resolveApplianceItem } = require("./applianceLibrary");
+const {
+  LOAD_PRIORITIES,
+  isDaylightHour,
+  checkItemValues,
+  buildItemSchedule,
+  calculateLoad,
+} = require("./solarSizing");
+const { getClimateProfile, getLatitude } = require("./solarResource");
+const {
+  checkSystemValues,
+  simulateYear,
+  estimateHourlyYieldW,
+  getSystemFromComponents,
+} = require("./yieldSimulation");
+const { FUEL_TYPES, calculateSavings } = require("./savingsCalculator");
+const { GRID_BAND_NAMES, resolveGridConnection } = require("./gridTariffs");
+const { fitLoadToBudget } = require("./budgetPlanner");
+const { ORIENTATION_NAMES, resolveRoofLayout } = require("./roofLayout");
+const { summarizeRun, compareRuns } = require("./recommendationComparison");
+const {
+  validateAIResponse,
+  reviewRecommendation,
+} = require("./recommendationValidation");
+const {
+  buildCacheKey,
+  getCachedRecommendation,
+  cacheRecommendation,
+} = require("./recommendationCache");
+
+// Most saved recommendations compared in one request
+const MAX_COMPARED_RECOMMENDATIONS = 5;
+// Most appliances in one request; budget trimming re-prices the list many
+// times, so this bounds the work a single request can cause
+const MAX_ITEMS = 100;
+
+// Errors the caller should return to the client as-is. details are merged
+// into the JSON error body.
+const createRecommendationError = (statusCode, message, details = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+// Helper function to format an hour slot as "HH:00"
+const formatHour = (hour) => `${String(hour).padStart(2, "0")}:00`;
+
+// Helper function to analyze usage patterns from the hourly load curve
+const analyzeUsagePattern = (load) => {
+  const share = (energyWh) =>
+    load.dailyEnergyWh > 0
+      ? ((energyWh / load.dailyEnergyWh) * 100).toFixed(1)
+      : "0.0";
+
+  let pattern = "Balanced";
+  if (load.dayEnergyWh > load.nightEnergyWh * 1.5) pattern = "Day-heavy";
+  else if (load.nightEnergyWh > load.dayEnergyWh * 1.5) pattern = "Night-heavy";
+
+  return {
+    pattern,
+    dayUsage: `${share(load.dayEnergyWh)}%`,
+    nightUsage: `${share(load.nightEnergyWh)}%`,
+    totalHours: load.totalDayHours + load.totalNightHours,
+    peakHour: formatHour(load.peakHour),
+    peakDemandW: load.peakDemandW,
+    recommendation:
+      pattern === "Day-heavy"
+        ? "Smaller battery capacity needed"
+        : pattern === "Night-heavy"
+        ? "Larger battery capacity recommended"
+        : "Standard battery configuration suitable",
+  };
+};
+
+// Helper function to expose the 24-hour load curve in the response
+const buildLoadProfile = (load) =>
+  load.hourlyProfileW.map((demandW, hour) => ({
+    hour: formatHour(hour),
+    demandW,
+    period: isDaylightHour(hour) ? "day" : "night",
+  }));
+
+// Helper function to build the load-shedding plan: essential loads run on
+// solar and battery, non-essential loads only on daytime solar surplus (or
+// the grid). The solar window is when the recommended array's design-month
+// output covers the essential load with room for every non-essential load
+// at once, or failing that for the largest one.
+const buildLoadSheddingPlan = (items, sizing, solarData) => {
+  const { load, batteryBank, solarArray } = sizing;
+  const describeLoad = (item) => {
+    const itemLoad = calculateLoad([item]);
+    return {
+      nameOfItem: item.nameOfItem,
+      quantity: Number(item.quantity),
+      wattage: Number(item.wattage),
+      dayEnergyKWh: Math.round(itemLoad.dayEnergyWh / 10) / 100,
+      nightEnergyKWh: Math.round(itemLoad.nightEnergyWh / 10) / 100,
+    };
+  };
+  const isEssential = (item) => item.priority !== "non-essential";
+
+  const batteryLoads = items.filter(isEssential).map((item) => ({
+    ...describeLoad(item),
+    runsOn: "Solar and battery",
+  }));
+  const solarOnlyLoads = items
+    .filter((item) => !isEssential(item))
+    .map((item) => ({ ...describeLoad(item), runsOn: "Solar only" }));
+
+  const designClimate = (solarData.monthly || []).find(
+    (month) => month.month === solarData.designMonth
+  );
+  const spareW = designClimate
+    ? estimateHourlyYieldW(
+        solarArray.arrayWatts * sizing.assumptions.orientationFactor,
+        designClimate
+      ).map(
+        (yieldW, hour) =>
+          yieldW * sizing.assumptions.inverterEfficiency -
+          (load.hourlyProfileW[hour] - load.hourlySheddableW[hour])
+      )
+    : [];
+  // First to last hour with at least wattage to spare
+  const findWindow = (wattage) => {
+    const hours = spareW
+      .map((watts, hour) => (watts >= wattage ? hour : null))
+      .filter((hour) => hour !== null);
+    return hours.length > 0
+      ? `${formatHour(hours[0])}-${formatHour(hours[hours.length - 1] + 1)}`
+      : null;
+  };
+
+  let solarWindow = null;
+  let oneAtATime = false;
+  if (solarOnlyLoads.length > 0) {
+    solarWindow = findWindow(load.totalWattage - load.essentialWattage);
+    if (!solarWindow) {
+      solarWindow = findWindow(
+        Math.max(
+          ...solarOnlyLoads.map((entry) => entry.wattage * entry.quantity)
+        )
+      );
+      oneAtATime = !!solarWindow;
+    }
+  }
+
+  const instructions = [];
+  if (solarOnlyLoads.length === 0) {
+    instructions.push(
+      "Every appliance is essential, so the battery is sized to run all of them at night"
+    );
+  } else {
+    const names = solarOnlyLoads.map((entry) => entry.nameOfItem).join(", ");
+    if (!solarWindow) {
+      instructions.push(
+        `${names} need more power than the panels produce in ${solarData.designMonth}; run them only in full sun on clear days`
+      );
+    } else {
+      instructions.push(
+        `Run ${names}${
+          oneAtATime ? " one at a time" : ""
+        } between ${solarWindow}, when the panels produce enough for them even in ${
+          solarData.designMonth
+        }`
+      );
+    }
+    const nightLoads = solarOnlyLoads.filter(
+      (entry) => entry.nightEnergyKWh > 0
+    );
+    if (nightLoads.length > 0) {
+      instructions.push(
+        `Switch off ${nightLoads
+          .map((entry) => entry.nameOfItem)
+          .join(", ")} after sunset; the battery is not sized for this ${(
+          load.sheddableNightEnergyWh / 1000
+        ).toFixed(2)} kWh of night-time use`
+      );
+    }
+    instructions.push(
+      `The battery is reserved for essential loads: about ${batteryBank.backupHoursForEssentialLoads} hours with every essential appliance on`
+    );
+  }
+
+  return {
+    batteryLoads,
+    solarOnlyLoads,
+    essentialNightEnergyKWh: Math.round(load.essentialNightEnergyWh / 10) / 100,
+    shedNightEnergyKWh: Math.round(load.sheddableNightEnergyWh / 10) / 100,
+    essentialBackupHours: batteryBank.backupHoursForEssentialLoads,
+    solarWindow,
+    oneAtATime,
+    instructions,
+  };
+};
+
+// Helper function to describe when an appliance runs, for the prompt
+const describeUsage = (item) => {
+  if (Array.isArray(item.timeWindows)) {
+    return item.timeWindows
+      .map((window) => `${window.start}-${window.end}`)
+      .join(", ");
+  }
+  if (Array.isArray(item.schedule)) return "custom hourly schedule";
+  return `${item.dayHours}h day + ${item.nightHours}h night`;
+};
+
+// Helper function to get climate optimizations
+const getClimateOptimizations = (location, solarData) => {
+  const optimizations = [];
+
+  if (solarData.humidity > 80) {
+    optimizations.push("Anti-corrosion coating recommended for high humidity");
+  }
+
+  if (solarData.cloudCover > 60) {
+    optimizations.push("Consider additional panels for frequent cloud cover");
+  }
+
+  if (location.city === "Lagos") {
+    optimizations.push(
+      "Marine-grade components recommended for coastal location"
+    );
+  }
+
+  if (solarData.averageSunlightHours < 6) {
+    optimizations.push("Enhanced battery storage for limited sunlight hours");
+  }
+
+  if (solarData.designSunHours < solarData.averageSunlightHours * 0.8) {
+    optimizations.push(
+      `Array sized for ${solarData.designMonth} sunlight; expect surplus generation in the dry season`
+    );
+  }
+
+  return optimizations.length > 0
+    ? optimizations
+    : ["Standard configuration suitable for location"];
+};
+
+// Helper function to merge the AI's per-tier write-up with the priced catalog
+// packages. Components and pricing always come from the catalog; a tier the
+// AI skipped still gets a generic name and explanation.
+const buildPackageRecommendations = (aiRecommendations, packages) => {
+  return packages.map((pkg, index) => {
+    const aiRecommendation =
+      aiRecommendations.find((entry) => entry && entry.tier === pkg.tier) ||
+      (aiRecommendations.length === packages.length
+        ? aiRecommendations[index]
+        : {});
+    const { sizing } = pkg;
+    const { inverter } = pkg.components;
+
+    return {
+      tier: pkg.tier,
+      description: pkg.description,
+      isRecommended: pkg.isRecommended,
+      withinBudget: pkg.withinBudget,
+      systemName: aiRecommendation.systemName || `${pkg.tier} Solar System`,
+      components: pkg.components,
+      pricing: pkg.pricing,
+      performance: {
+        dailyConsumption: `${sizing.load.dailyConsumptionKWh.toFixed(2)} kWh`,
+        backupDuration: `${sizing.batteryBank.backupHoursAtFullLoad} hours at full load`,
+        estimatedBackupHours: sizing.batteryBank.backupHoursAtFullLoad,
+        essentialBackupHours: sizing.batteryBank.backupHoursForEssentialLoads,
+        expectedDailyYield: `${sizing.solarArray.expectedDailyYieldKWh} kWh`,
+        solarCoverage: `${pkg.solarCoverage}% solar coverage`,
+      },
+      suitability: aiRecommendation.suitability || {
+        reason: pkg.description,
+        climateConsiderations: [],
+      },
+      tradeOffs: pkg.tradeOffs,
+      technicalSpecs: {
+        totalSolarCapacity: `${sizing.solarArray.arrayWatts / 1000}kW`,
+        arrayArea: `${sizing.solarArray.arrayAreaM2} m²`,
+        batteryCapacity: `${sizing.batteryBank.bankKWh}kWh`,
+        batteryChemistry: pkg.batteryChemistry,
+        // Parallel inverters are listed as "2 x 20kVA" and share the surge
+        inverterCapacity: `${
+          inverter.quantity > 1 ? `${inverter.quantity} x ` : ""
+        }${inverter.specifications.ratingKVA}kVA`,
+        inverterSurgeCapacity: `${
+          inverter.specifications.surgeCapacityW * inverter.quantity
+        }W`,
+      },
+    };
+  });
+};
+
+// Get location data (you can use IP geolocation or user input)
+const resolveLocation = async ({ location, clientIp }) => {
+  try {
+    // Option 1: From user input
+    if (location) {
+      return location;
+    }
+
+    // Option 2: IP-based geolocation
+    const ip = clientIp || "127.0.0.1";
+
+    // Skip IP lookup for localhost
+    if (ip === "127.0.0.1" || ip === "::1" || ip.includes("127.0.0.1")) {
+      return {
+        country: "Nigeria",
+        region: "Lagos",
+        city: "Lagos",
+        lat: 6.5244,
+        lon: 3.3792,
+        timezone: "Africa/Lagos",
+      };
+    }
+
+    const locationAPI = `http://ip-api.com/json/${ip}`;
+    const response = await axios.get(locationAPI);
+
+    return {
+      country: response.data.country,
+      region: response.data.regionName,
+      city: response.data.city,
+      lat: response.data.lat,
+      lon: response.data.lon,
+      timezone: response.data.timezone,
+    };
+  } catch (error) {
+    console.error("Location detection failed:", error);
+    return {
+      country: "Nigeria",
+      region: "Lagos",
+      city: "Lagos",
+      lat: 6.5244,
+      lon: 3.3792,
+      timezone: "Africa/Lagos",
+    };
+  }
+};
+
+// Get solar data for the location from the bundled climate table. When
+// WEATHER_API_KEY is set, today's conditions are attached for reference;
+// sizing always uses the long-term figures.
+const getSolarData = async (location) => {
+  const solarData = getClimateProfile(location);
+  console.log(
+    `Using ${solarData.source} climate data for ${
+      location.city || "unknown city"
+    } (design month ${solarData.designMonth}, ${
+      solarData.designSunHours
+    } peak sun hours)`
+  );
+
+  if (process.env.WEATHER_API_KEY && location.lat && location.lon) {
+    try {
+      const weatherAPI = `http://api.weatherapi.com/v1/current.json?key=${process.env.WEATHER_API_KEY}&q=${location.lat},${location.lon}`;
+      const response = await axios.get(weatherAPI);
+
+      solarData.currentConditions = {
+        cloudCover: response.data.current.cloud,
+        humidity: response.data.current.humidity,
+        temperature: response.data.current.temp_c,
+      };
+    } catch (error) {
+      console.log("Weather API failed, using climate data only");
+    }
+  }
+
+  return solarData;
+};
+
+// Helper function to describe one priced package for the prompt
+const describePackage = (pkg) => {
+  const describeComponent = (component) =>
+    `${component.quantity} x ${component.brand} ${component.name} (SKU ${component.sku})`;
+
+  return `${pkg.tier} - ${
+    pkg.description
+  } - ₦${pkg.pricing.totalAmount.toLocaleString()} total
+    - Inverter: ${describeComponent(pkg.components.inverter)}
+    - Batteries: ${describeComponent(pkg.components.battery)}, ${
+    pkg.sizing.batteryBank.usableKWh
+  } kWh usable
+    - Solar panels: ${describeComponent(pkg.components.solarPanels)}, ${
+    pkg.sizing.solarArray.arrayWatts
+  }W array${
+    pkg.sizing.solarArray.areaLimited
+      ? ` (limited by roof area; ${pkg.sizing.solarArray.requiredPanelCount} panels needed for the full load)`
+      : ""
+  }
+    - Charge controller: ${describeComponent(pkg.components.chargeController)}
+    - Backup: ${
+      pkg.sizing.batteryBank.backupHoursAtFullLoad
+    } hours at full load`;
+};
+
+// Helper function to describe the roof for the prompt
+const describeRoof = (roof) => {
+  if (!roof) return "Not specified";
+  const details = [];
+  if (roof.usableAreaM2) details.push(`${roof.usableAreaM2} m² usable`);
+  if (roof.orientation) {
+    details.push(
+      roof.orientation === "flat"
+        ? "flat"
+        : `facing ${roof.orientation} at ${roof.tiltDegrees}° tilt`
+    );
+  }
+  return `${details.join(", ")}${
+    roof.orientationFactor < 1
+      ? ` - orientation and tilt cost about ${Math.round(
+          (1 - roof.orientationFactor) * 100
+        )}% of yield, already allowed for in the panel counts`
+      : ""
+  }`;
+};
+
+// Helper function to build the tiered recommendation prompt from the
+// promptVersion template in services/prompts
+const buildRecommendationPrompt = ({
+  promptVersion,
+  location,
+  solarData,
+  grid,
+  roof,
+  budget,
+  items,
+  packages,
+  sizing,
+}) => {
+  const dailyConsumption = sizing.load.dailyConsumptionKWh.toFixed(2);
+  const budgetLine = budget
+    ? `₦${budget.amount.toLocaleString()}${
+        budget.setupType ? ` for a ${budget.setupType} setup` : ""
+      }. Recommend the ${
+        budget.recommendedTier
+      }, the best package within budget.${
+        budget.excludedLoads.length > 0
+          ? ` The budget cannot cover the full load, so these were left off the solar system and should go on a separate non-essential circuit or be dropped: ${budget.excludedLoads
+              .map(
+                (load) =>
+                  `${load.removedQuantity} x ${load.nameOfItem} (${load.wattage}W)`
+              )
+              .join(", ")}`
+          : ""
+      }`
+    : "Not specified";
+
+  return renderPrompt(promptVersion, {
+    city: location.city,
+    region: location.region,
+    country: location.country,
+    averageSunlightHours: solarData.averageSunlightHours,
+    cloudCover: solarData.cloudCover,
+    designMonth: solarData.designMonth,
+    designSunHours: solarData.designSunHours,
+    gridConnection: grid
+      ? `NERC Band ${grid.band}, about ${grid.supplyHours} hours of supply a day. These are hybrid systems: the grid charges the batteries, and the solar array and batteries only cover the ${grid.outageHours} outage hours`
+      : "None - off-grid system",
+    roof: describeRoof(roof),
+    budget: budgetLine,
+    totalWattage: sizing.load.totalWattage,
+    dailyConsumption,
+    peakSurge: `${sizing.load.peakSurgeW}W${
+      sizing.load.surgeAppliance ? ` (${sizing.load.surgeAppliance})` : ""
+    }`,
+    dayEnergyKWh: (sizing.load.dayEnergyWh / 1000).toFixed(2),
+    nightEnergyKWh: (sizing.load.nightEnergyWh / 1000).toFixed(2),
+    essentialNightEnergyKWh: (
+      sizing.load.essentialNightEnergyWh / 1000
+    ).toFixed(2),
+    peakDemandW: sizing.load.peakDemandW,
+    peakHour: formatHour(sizing.load.peakHour),
+    appliances: items
+      .map(
+        (item) =>
+          `- ${item.nameOfItem}: ${item.quantity} units, ${
+            item.wattage
+          }W each, ${describeUsage(item)}${
+            item.priority === "non-essential"
+              ? " - non-essential, runs on solar surplus only"
+              : ""
+          }`
+      )
+      .join("\n"),
+    packages: packages.map(describePackage).join("\n\n    "),
+    firstTier: packages[0].tier,
+  });
+};
+
+// Helper function to persist every recommendation, including anonymous ones
+const saveRecommendationRequest = async (userId, recommendationData) => {
+  const saved = await RecommendationRequest.createFromResult(
+    recommendationData,
+    userId
+  );
+
+  if (userId) {
+    await User.findByIdAndUpdate(userId, {
+      $inc: { recommendationCount: 1 },
+      lastRecommendationAt: saved.requestedAt,
+    });
+  }
+
+  return saved;
+};
+
+// Helper function to record an AI run that failed validation, so prompt
+// experiment reports count it. The customer gets the validation error
+// either way, so a failed save is only logged.
+const saveRecommendationFailure = async ({
+  user,
+  promptAssignment,
+  error,
+  startTime,
+}) => {
+  try {
+    await RecommendationFailure.create({
+      user: user && user.id ? user.id : null,
+      promptVersion: promptAssignment.version,
+      promptExperiment: promptAssignment.experiment || undefined,
+      aiAttempts: error.attempts,
+      tokenUsage: error.usage,
+      validationErrors: error.validationErrors,
+      processingTime: Date.now() - startTime,
+    });
+  } catch (saveError) {
+    console.error("Failed to save recommendation failure:", saveError);
+  }
+};
+
+// Validate the appliance list and normalize a single item to an array.
+// Items may reference the appliance library by applianceId, in which case
+// the library fills in whatever the item leaves out.
+const validateItems = (items) => {
+  if (!items || (Array.isArray(items) && items.length === 0)) {
+    throw createRecommendationError(400, "Items are required");
+  }
+
+  if (!Array.isArray(items)) {
+    items = [items];
+  }
+
+  if (items.length > MAX_ITEMS) {
+    throw createRecommendationError(
+      400,
+      `items may list at most ${MAX_ITEMS} appliances`
+    );
+  }
+
+  if (
+    items.some(
+      (item) => !item || typeof item !== "object" || Array.isArray(item)
+    )
+  ) {
+    throw createRecommendationError(400, "Each item must be an object");
+  }
+
+  const unknownIds = items
+    .filter((item) => item.applianceId && !getAppliance(item.applianceId))
+    .map((item) => item.applianceId);
+  if (unknownIds.length > 0) {
+    throw createRecommendationError(
+      400,
+      `Unknown applianceId: ${unknownIds.join(", ")}`
+    );
+  }
+
+  items = items.map(resolveApplianceItem);
+
+  // Validate each item; hours may be zero for day-only or night-only use,
+  // and a schedule or timeWindows replaces dayHours/nightHours
+  const isHours = (value) => Number.isFinite(Number(value)) && value >= 0;
+  for (const item of items) {
+    const hasSchedule =
+      item.schedule !== undefined || item.timeWindows !== undefined;
+    if (
+      !item.nameOfItem ||
+      !item.quantity ||
+      !item.wattage ||
+      (!hasSchedule &&
+        (!isHours(item.dayHours) ||
+          !isHours(item.nightHours) ||
+          Number(item.dayHours) + Number(item.nightHours) === 0))
+    ) {
+      throw createRecommendationError(
+        400,
+        "Each item must have nameOfItem, quantity, wattage and either dayHours and nightHours, a schedule or timeWindows, or an applianceId from the appliance library"
+      );
+    }
+
+    try {
+      checkItemValues(item);
+    } catch (error) {
+      throw createRecommendationError(
+        400,
+        `${item.nameOfItem}: ${error.message}`
+      );
+    }
+
+    if (
+      item.priority !== undefined &&
+      !LOAD_PRIORITIES.includes(item.priority)
+    ) {
+      throw createRecommendationError(
+        400,
+        `${item.nameOfItem}: priority must be one of: ${LOAD_PRIORITIES.join(
+          ", "
+        )}`
+      );
+    }
+
+    if (hasSchedule) {
+      try {
+        buildItemSchedule(item);
+      } catch (error) {
+        throw createRecommendationError(
+          400,
+          `${item.nameOfItem}: ${error.message}`
+        );
+      }
+    }
+  }
+
+  return items;
+};
+
+// Build customer info based on authentication status. The requestId is
+// random: anyone holding an anonymous recommendation's id can open it, so it
+// must not be guessable.
+const buildCustomerInfo = (user) => {
+  const requestId = `REQ_${crypto.randomUUID()}`;
+
+  if (user && user.id) {
+    return {
+      userId: user.id,
+      username: user.username,
+      email: user.email,
+      authMethod: user.authMethod,
+      isVerified: user.isVerified,
+      requestId,
+    };
+  }
+
+  return {
+    userId: null,
+    username: "Anonymous User",
+    email: null,
+    authMethod: "none",
+    isVerified: false,
+    requestId,
+  };
+};
+
+const checkSetupId = (setupId) => {
+  if (typeof setupId !== "string" || !mongoose.isValidObjectId(setupId)) {
+    throw createRecommendationError(400, "setupId is not a valid id");
+  }
+};
+
+// Load the saved Setup a request refers to, or null without a setupId
+const loadSetup = async (setupId) => {
+  if (setupId === undefined || setupId === null) return null;
+  checkSetupId(setupId);
+  const setup = await Setup.findById(setupId);
+  if (!setup) {
+    throw createRecommendationError(404, "Setup not found");
+  }
+  return setup;
+};
+
+// Resolve the customer's budget from budget or the saved Setup. An
+// explicit budget wins over the setup's. Returns null when neither is
+// given.
+const resolveBudget = ({ budget, setup }) => {
+  if (budget !== undefined && budget !== null && !(Number(budget) > 0)) {
+    throw createRecommendationError(400, "budget must be a positive number");
+  }
+
+  const amount =
+    budget !== undefined && budget !== null
+      ? Number(budget)
+      : setup && setup.budget;
+  if (!amount) return null;
+
+  return {
+    amount,
+    setupId: setup ? setup._id : null,
+    setupType: setup ? setup.type : null,
+  };
+};
+
+// Size and price the requested tiers for an appliance list
+const priceTierPackages = (
+  items,
+  { solarData, grid, roof, tiers, catalog }
+) => {
+  const sizedPackages = sizePackages(items, {
+    peakSunHours: solarData.designSunHours,
+    gridSupplyHours: grid ? grid.supplyHours : 0,
+    roofAreaM2: roof ? roof.usableAreaM2 : 0,
+    orientationFactor: roof ? roof.orientationFactor : 1,
+    tiers,
+  });
+  if (sizedPackages.length === 0) {
+    throw createRecommendationError(
+      400,
+      `tiers must include at least one of: ${TIER_NAMES.join(", ")}`
+    );
+  }
+
+  const packages = [];
+  const unavailableTiers = [];
+  sizedPackages.forEach((pkg) => {
+    const catalogPackage = buildCatalogPackage(pkg, items, catalog);
+    if (catalogPackage.missing) {
+      unavailableTiers.push({
+        tier: pkg.tier,
+        missingCategories: catalogPackage.missing,
+      });
+      return;
+    }
+
+    packages.push({
+      ...pkg,
+      ...catalogPackage,
+      solarCoverage: calculateSolarCoverage(catalogPackage.sizing),
+    });
+  });
+
+  return { packages, unavailableTiers };
+};
+
+// Fit the packages to the customer's budget. The best tier within budget
+// becomes the recommended one; when no tier covers the full load, the
+// largest loads are trimmed until the cheapest tier fits.
+const applyBudget = ({
+  items,
+  packages,
+  unavailableTiers,
+  budget,
+  options,
+}) => {
+  const withinBudget = (pkg) => pkg.pricing.totalAmount <= budget.amount;
+  const cheapest = packages.reduce((lowest, pkg) =>
+    pkg.pricing.totalAmount < lowest.pricing.totalAmount ? pkg : lowest
+  );
+  const budgetTooSmall = () =>
+    createRecommendationError(
+      400,
+      `A budget of ₦${budget.amount.toLocaleString()} does not cover a system for any of these appliances`,
+      {
+        budget: budget.amount,
+        cheapestFullSystem: cheapest.pricing.totalAmount,
+        suggestion:
+          "Increase the budget or start with fewer, smaller appliances",
+      }
+    );
+  let excludedLoads = [];
+
+  if (!packages.some(withinBudget)) {
+    const plan = fitLoadToBudget({
+      items,
+      budget: budget.amount,
+      priceItems: (candidateItems) => {
+        const priced = priceTierPackages(candidateItems, {
+          ...options,
+          tiers: [cheapest.tier],
+        }).packages[0];
+        return priced ? priced.pricing.totalAmount : null;
+      },
+    });
+
+    if (!plan) {
+      throw budgetTooSmall();
+    }
+
+    items = plan.items;
+    excludedLoads = plan.excludedLoads;
+    ({ packages, unavailableTiers } = priceTierPackages(items, options));
+  }
+
+  // Tiers run from entry-level to premium, so the last one that fits is
+  // the best the budget buys. Re-pricing the trimmed load can, rarely, leave
+  // no tier within budget after all.
+  const best = packages.filter(withinBudget).pop();
+  if (!best) {
+    throw budgetTooSmall();
+  }
+  packages = packages.map((pkg) => ({
+    ...pkg,
+    isRecommended: pkg.tier === best.tier,
+    withinBudget: withinBudget(pkg),
+  }));
+
+  return {
+    items,
+    packages,
+    unavailableTiers,
+    budget: {
+      ...budget,
+      fitsFullLoad: excludedLoads.length === 0,
+      recommendedTier: best.tier,
+      recommendedTotalAmount: best.pricing.totalAmount,
+      remainingBudget: budget.amount - best.pricing.totalAmount,
+      excludedLoads,
+      message:
+        excludedLoads.length === 0
+          ? `The ${best.tier} covers your full load within your budget`
+          : `Your budget covers the ${
+              best.tier
+            } for part of your load. Move ${excludedLoads
+              .map((load) => load.nameOfItem)
+              .join(
+                ", "
+              )} to a separate non-essential circuit on the grid or a generator, or drop them`,
+    },
+  };
+};
+
+// Check the optional list of tiers to price; every tier is priced without
+// one
+const validateTiers = (tiers) => {
+  if (tiers === undefined || tiers === null) return;
+  if (
+    !Array.isArray(tiers) ||
+    !tiers.every((tier) => typeof tier === "string")
+  ) {
+    throw createRecommendationError(
+      400,
+      `tiers must be a list of: ${TIER_NAMES.join(", ")}`
+    );
+  }
+};
+
+// Check the optional generator details used for the savings comparison
+const validateGeneratorOptions = (generator) => {
+  if (generator === undefined || generator === null) return {};
+  if (typeof generator !== "object" || Array.isArray(generator)) {
+    throw createRecommendationError(400, "generator must be an object");
+  }
+  if (generator.fuelType && !FUEL_TYPES[generator.fuelType]) {
+    throw createRecommendationError(
+      400,
+      `generator.fuelType must be one of: ${Object.keys(FUEL_TYPES).join(", ")}`
+    );
+  }
+  ["fuelPricePerLitre", "sizeKVA", "hoursPerDay"].forEach((field) => {
+    if (generator[field] !== undefined && !(Number(generator[field]) > 0)) {
+      throw createRecommendationError(
+        400,
+        `generator.${field} must be a positive number`
+      );
+    }
+  });
+  return generator;
+};
+
+// Check an explicit component set for a simulation or savings estimate
+const validateComponents = (components) => {
+  try {
+    checkSystemValues(components);
+  } catch (error) {
+    throw createRecommendationError(400, `components: ${error.message}`);
+  }
+  return components;
+};
+
+// Check the optional location ({ city, region, country, lat, lon }): names
+// must be text and coordinates finite numbers, so a bad location is refused
+// before the cache lookup and the AI call rather than when it is saved
+const validateLocation = (location) => {
+  if (location === undefined || location === null) return;
+  if (typeof location !== "object" || Array.isArray(location)) {
+    throw createRecommendationError(400, "location must be an object");
+  }
+  const isSet = (value) => value !== undefined && value !== null;
+  ["city", "region", "country"].forEach((field) => {
+    if (isSet(location[field]) && typeof location[field] !== "string") {
+      throw createRecommendationError(400, `location.${field} must be text`);
+    }
+  });
+  [
+    ["lat", 90],
+    ["lon", 180],
+  ].forEach(([field, limit]) => {
+    const value = location[field];
+    if (
+      isSet(value) &&
+      !(typeof value === "number" && Math.abs(value) <= limit)
+    ) {
+      throw createRecommendationError(
+        400,
+        `location.${field} must be a number between -${limit} and ${limit}`
+      );
+    }
+  });
+};
+
+// Check the optional grid connection ({ band, supplyHours, tariffPerKWh })
+// and fill in the band defaults. Returns null for off-grid customers.
+const validateGridOptions = (grid) => {
+  if (grid === undefined || grid === null) return null;
+  if (typeof grid !== "object" || Array.isArray(grid)) {
+    throw createRecommendationError(400, "grid must be an object");
+  }
+  if (!GRID_BAND_NAMES.includes(String(grid.band).toUpperCase())) {
+    throw createRecommendationError(
+      400,
+      `grid.band must be one of: ${GRID_BAND_NAMES.join(", ")}`
+    );
+  }
+  if (
+    grid.supplyHours !== undefined &&
+    !(Number(grid.supplyHours) >= 0 && Number(grid.supplyHours) < 24)
+  ) {
+    throw createRecommendationError(
+      400,
+      "grid.supplyHours must be at least 0 and less than 24"
+    );
+  }
+  if (grid.tariffPerKWh !== undefined && !(Number(grid.tariffPerKWh) > 0)) {
+    throw createRecommendationError(
+      400,
+      "grid.tariffPerKWh must be a positive number"
+    );
+  }
+  return resolveGridConnection(grid);
+};
+
+// Check the optional roof details ({ usableAreaM2, orientation,
+// tiltDegrees }). Fields left out fall back to the saved Setup's roof.
+// Returns null when neither gives any.
+const validateRoofOptions = (roof, setup) => {
+  if (roof === undefined || roof === null) roof = {};
+  if (typeof roof !== "object" || Array.isArray(roof)) {
+    throw createRecommendationError(400, "roof must be an object");
+  }
+
+  const setupRoof = (setup && setup.roof) || {};
+  const pick = (field) =>
+    roof[field] !== undefined && roof[field] !== null
+      ? roof[field]
+      : setupRoof[field];
+  const merged = {
+    usableAreaM2: pick("usableAreaM2"),
+    orientation: pick("orientation"),
+    tiltDegrees: pick("tiltDegrees"),
+  };
+  if (Object.values(merged).every((value) => value === undefined)) {
+    return null;
+  }
+
+  if (merged.usableAreaM2 !== undefined && !(Number(merged.usableAreaM2) > 0)) {
+    throw createRecommendationError(
+      400,
+      "roof.usableAreaM2 must be a positive number"
+    );
+  }
+  if (
+    merged.orientation !== undefined &&
+    !ORIENTATION_NAMES.includes(merged.orientation)
+  ) {
+    throw createRecommendationError(
+      400,
+      `roof.orientation must be one of: ${ORIENTATION_NAMES.join(", ")}`
+    );
+  }
+  if (
+    merged.tiltDegrees !== undefined &&
+    !(Number(merged.tiltDegrees) >= 0 && Number(merged.tiltDegrees) <= 90)
+  ) {
+    throw createRecommendationError(
+      400,
+      "roof.tiltDegrees must be between 0 and 90"
+    );
+  }
+
+  return {
+    ...merged,
+    source: Object.keys(roof).length > 0 ? "request" : "setup",
+  };
+};
+
+// Check every input of a recommendation request that can be checked
+// without the database, so a queued job fails now rather than in the
+// worker. Returns the validated items.
+const validateRecommendationInput = ({
+  items,
+  location,
+  tiers,
+  generator,
+  grid,
+  budget,
+  setupId,
+  roof,
+}) => {
+  validateLocation(location);
+  validateTiers(tiers);
+  validateGeneratorOptions(generator);
+  validateGridOptions(grid);
+  resolveBudget({ budget, setup: null });
+  if (setupId !== undefined && setupId !== null) checkSetupId(setupId);
+  validateRoofOptions(roof, null);
+  return validateItems(items);
+};
+
+// Savings against a generator (and the grid, if connected) for one priced
+// package. When the monthly climate is known the package is simulated
+// first, so any load it can't carry, shed non-essential loads included, is
+// still costed as generator fuel and the remaining grid use is billed.
+// roof is the result's roof layout, for orientation losses.
+const buildFinancials = (
+  recommendation,
+  load,
+  monthlyClimate,
+  generator,
+  grid,
+  roof
+) => {
+  const system = {
+    ...getSystemFromComponents(recommendation.components),
+    orientationFactor: roof ? roof.orientationFactor : 1,
+  };
+  const simulation = monthlyClimate
+    ? simulateYear(
+        system,
+        load.hourlyProfileW,
+        monthlyClimate,
+        grid,
+        load.hourlySheddableW
+      ).summary
+    : null;
+
+  return calculateSavings({
+    load,
+    systemCost: recommendation.pricing.totalAmount,
+    batteryCost: recommendation.components.battery.totalPrice,
+    batteryChemistry: system.batteryChemistry,
+    unmetLoadKWhPerYear: simulation
+      ? simulation.unmetLoadKWh + simulation.shedLoadKWh
+      : 0,
+    grid,
+    gridImportKWhPerYear:
+      simulation && grid ? simulation.gridImportKWh : undefined,
+    generator,
+  });
+};
+
+// Add a financials block to every package in a result
+const attachFinancials = (result, generator) => {
+  const { load } = result.systemSizing;
+  const { monthly } = result.locationProfile.solarConditions || {};
+  const { grid, roof } = result.locationProfile;
+  const recommendations = result.recommendations.map((recommendation) => ({
+    ...recommendation,
+    financials: buildFinancials(
+      recommendation,
+      load,
+      monthly,
+      generator,
+      grid || null,
+      roof
+    ),
+  }));
+
+  return {
+    ...result,
+    recommendation:
+      recommendations.find(
+        (recommendation) => recommendation.tier === result.recommendation.tier
+      ) || recommendations[0],
+    recommendations,
+  };
+};
+
+// Add the per-request customer details to a pipeline result and save it
+const finalizeRecommendation = async (result, { user, startTime }) => {
+  const isAuthenticated = !!(user && user.id);
+  const customerInfo = buildCustomerInfo(user);
+
+  const finalResult = {
+    success: true,
+    customerInfo,
+    ...result,
+    metadata: {
+      ...result.metadata,
+      tokenType: isAuthenticated ? user.tokenType : "anonymous",
+      processingTime: Date.now() - startTime,
+    },
+  };
+
+  // Save every recommendation request, anonymous ones included. Later
+  // requests look it up by requestId, so an id that wasn't saved is never
+  // handed out.
+  try {
+    await saveRecommendationRequest(
+      isAuthenticated ? user.id : null,
+      finalResult
+    );
+    console.log(`💾 Recommendation saved: ${customerInfo.requestId}`);
+  } catch (saveError) {
+    console.error("Failed to save recommendation request:", saveError);
+    throw createRecommendationError(
+      503,
+      "Unable to save the recommendation at this time",
+      {
+        suggestion: "Please try again in a few moments",
+        canRetry: true,
+      }
+    );
+  }
+
+  return finalResult;
+};
+
+// Run the full pipeline and return the response body.
+// user is the authenticated user (req.user) or null for anonymous requests.
+// onProgress(stage, data) is called as each stage completes and onToken(text)
+// with the AI text as it streams; both are optional. signal is an optional
+// AbortSignal: aborting it stops the pipeline and cancels the AI call, e.g.
+// when a streaming client disconnects.
+// Throws an error with statusCode for failures the client should see.
+const generateRecommendation = async ({
+  items,
+  location: requestedLocation,
+  clientIp,
+  tiers,
+  generator,
+  grid,
+  budget,
+  setupId,
+  roof,
+  user = null,
+  onProgress = () => {},
+  onToken,
+  signal,
+}) => {
+  const startTime = Date.now();
+  const throwIfAborted = () => {
+    if (signal && signal.aborted) {
+      throw createRecommendationError(499, "The client closed the request");
+    }
+  };
+  items = validateItems(items);
+  validateLocation(requestedLocation);
+  validateTiers(tiers);
+  generator = validateGeneratorOptions(generator);
+  grid = validateGridOptions(grid);
+  const setup = await loadSetup(setupId);
+  const customerBudget = resolveBudget({ budget, setup });
+  roof = validateRoofOptions(roof, setup);
+
+  // Get location and solar data
+  const location = await resolveLocation({
+    location: requestedLocation,
+    clientIp,
+  });
+  onProgress("location_resolved", { location });
+  // Orientation losses depend on how far the site is from the equator
+  const roofLayout = resolveRoofLayout(roof, getLatitude(location));
+
+  // The prompt version is part of the cache key, so each experiment arm
+  // only reuses results made with its own prompt
+  const promptAssignment = assignPromptVersion("recommendation", user);
+
+  // Identical loads in the same area reuse the cached result while the
+  // catalog they were priced from is unchanged
+  const catalog = await loadCatalog();
+  const cacheKey = buildCacheKey({
+    items,
+    location,
+    tiers,
+    grid,
+    budget: customerBudget,
+    roof: roofLayout,
+    catalogVersion: getCatalogVersion(catalog),
+    promptVersion: promptAssignment.version,
+  });
+  const cached = await getCachedRecommendation(cacheKey.key);
+  if (cached) {
+    onProgress("cache_hit", { cachedAt: cached.metadata.generatedAt });
+    return finalizeRecommendation(
+      attachFinancials(
+        {
+          ...cached,
+          // The key holds the grid band and supply hours but not the
+          // tariff, so this request's own tariff prices the grid savings
+          locationProfile: { ...cached.locationProfile, location, grid },
+          // A budget-trimmed load is in the cached result; the budget is part
+          // of the key, so it was trimmed from the same items
+          powerRequirements: {
+            ...cached.powerRequirements,
+            appliances:
+              cached.budget && cached.budget.excludedLoads.length > 0
+                ? cached.powerRequirements.appliances
+                : items,
+          },
+          metadata: {
+            ...cached.metadata,
+            generatedAt: new Date(),
+            cacheHit: true,
+            cachedAt: cached.metadata.generatedAt,
+            promptExperiment: promptAssignment.experiment,
+            tokenUsage: { inputTokens: 0, outputTokens: 0 },
+          },
+        },
+        generator
+      ),
+      { user, startTime }
+    );
+  }
+
+  const solarData = await getSolarData(location);
+  onProgress("solar_data_fetched", { solarConditions: solarData });
+
+  // Size every package tier deterministically, then pick catalog products
+  // and prices for each
+  const pricingOptions = {
+    solarData,
+    grid,
+    roof: roofLayout,
+    tiers,
+    catalog,
+  };
+  let { packages, unavailableTiers } = priceTierPackages(items, pricingOptions);
+  if (packages.length === 0) {
+    console.error("❌ Catalog cannot supply any tier:", unavailableTiers);
+    throw createRecommendationError(
+      503,
+      "No catalog products are currently available for this load",
+      {
+        unavailableTiers,
+        suggestion: "Please contact our support team for a custom quote",
+        canRetry: false,
+      }
+    );
+  }
+
+  let budgetPlan = null;
+  if (customerBudget) {
+    ({
+      items,
+      packages,
+      unavailableTiers,
+      budget: budgetPlan,
+    } = applyBudget({
+      items,
+      packages,
+      unavailableTiers,
+      budget: customerBudget,
+      options: pricingOptions,
+    }));
+  }
+
+  const sizing = (packages.find((pkg) => pkg.isRecommended) || packages[0])
+    .sizing;
+  const totalWattage = sizing.load.totalWattage;
+  const dailyConsumption = sizing.load.dailyConsumptionKWh.toFixed(2);
+  onProgress("sizing_computed", {
+    systemSizing: sizing,
+    packages: packages.map((pkg) => ({
+      tier: pkg.tier,
+      totalAmount: pkg.pricing.totalAmount,
+    })),
+    unavailableTiers,
+  });
+
+  // Create AI prompt to name and explain the priced packages
+  const prompt = buildRecommendationPrompt({
+    promptVersion: promptAssignment.version,
+    location,
+    solarData,
+    grid,
+    roof: roofLayout,
+    budget: budgetPlan,
+    items,
+    packages,
+    sizing,
+  });
+
+  // Get AI write-ups from the configured provider. Responses that fail the
+  // schema are sent back to the model with the errors for repair.
+  throwIfAborted();
+  let completion;
+  let aiResponse;
+  let aiAttempts;
+  try {
+    ({
+      data: aiResponse,
+      completion,
+      attempts: aiAttempts,
+    } = await llm.completeJSON({
+      task: "recommendation",
+      prompt,
+      maxTokens: 500 * packages.length,
+      temperature: 0.3, // Lower temperature for more consistent recommendations
+      validate: (data) =>
+        validateAIResponse(
+          data,
+          packages.map((pkg) => pkg.tier)
+        ),
+      onToken,
+      signal,
+      onRejected: (validationErrors, attempt) =>
+        onProgress("ai_response_rejected", { attempt, validationErrors }),
+    }));
+  } catch (error) {
+    throwIfAborted();
+    if (!error.validationErrors) throw error;
+
+    console.error("AI response failed validation:", error.validationErrors);
+    await saveRecommendationFailure({
+      user,
+      promptAssignment,
+      error,
+      startTime,
+    });
+
+    // Return error instead of fallback
+    throw createRecommendationError(
+      503,
+      "Unable to generate recommendations at this time",
+      {
+        error: "AI response failed validation",
+        validationErrors: error.validationErrors,
+        suggestion: "Please try again in a few moments",
+        canRetry: true,
+      }
+    );
+  }
+
+  // Check every package against its sizing and correct quantities and
+  // pricing arithmetic before it reaches the customer
+  const recommendations = buildPackageRecommendations(
+    aiResponse.recommendations,
+    packages
+  ).map((recommendation, index) => {
+    const reviewed = reviewRecommendation(
+      recommendation,
+      packages[index].sizing
+    );
+    if (reviewed.validation.corrections.length > 0) {
+      console.warn(
+        `⚠️ ${recommendation.tier} corrected:`,
+        reviewed.validation.corrections
+      );
+    }
+    return { ...reviewed.recommendation, validation: reviewed.validation };
+  });
+  const validationPassed = recommendations.every(
+    (recommendation) => recommendation.validation.valid
+  );
+  onProgress(validationPassed ? "validation_passed" : "validation_failed", {
+    aiAttempts,
+    packages: recommendations.map((recommendation) => ({
+      tier: recommendation.tier,
+      valid: recommendation.validation.valid,
+      corrections: recommendation.validation.corrections,
+      warnings: recommendation.validation.warnings,
+      schemaErrors: recommendation.validation.schemaErrors,
+    })),
+  });
+
+  // Build the final response
+  const result = {
+    locationProfile: {
+      location: location,
+      solarConditions: solarData,
+      climateOptimizations: getClimateOptimizations(location, solarData),
+      grid,
+      roof: roofLayout,
+    },
+    powerRequirements: {
+      totalWattage,
+      dailyConsumption: dailyConsumption + " kWh",
+      appliances: items,
+      usagePattern: analyzeUsagePattern(sizing.load),
+      loadProfile: buildLoadProfile(sizing.load),
+    },
+    loadSheddingPlan: buildLoadSheddingPlan(items, sizing, solarData),
+    systemSizing: sizing,
+    // The recommended tier stays in "recommendation" for existing clients
+    recommendation:
+      recommendations.find((pkg) => pkg.isRecommended) || recommendations[0],
+    recommendations,
+    unavailableTiers,
+    budget: budgetPlan,
+    metadata: {
+      generatedAt: new Date(),
+      aiProvider: completion.provider,
+      aiModel: completion.model,
+      promptVersion: promptAssignment.version,
+      promptExperiment: promptAssignment.experiment,
+      tokenUsage: completion.usage,
+      aiAttempts,
+      validationPassed,
+      cacheHit: false,
+      confidence: "high",
+      pricingSource: "catalog",
+    },
+  };
+
+  if (result.metadata.validationPassed) {
+    await cacheRecommendation(cacheKey.key, result, {
+      locationBucket: cacheKey.locationBucket,
+      promptVersion: promptAssignment.version,
+    });
+  }
+
+  // Savings depend on the customer's generator, so they are added after
+  // caching
+  return finalizeRecommendation(attachFinancials(result, generator), {
+    user,
+    startTime,
+  });
+};
+
+// Load a saved recommendation and one of its packages (the recommended one
+// unless tier is given). Owned recommendations are only visible to their
+// owner and admins; anonymous ones to whoever holds the random requestId.
+const findSavedRecommendation = async ({ requestId, tier, user }) => {
+  // Bodies are JSON, so a query object like { "$ne": null } must not reach
+  // findOne
+  if (typeof requestId !== "string" || !requestId) {
+    throw createRecommendationError(400, "requestId must be a string");
+  }
+
+  const request = await RecommendationRequest.findOne({ requestId });
+  if (!request) {
+    throw createRecommendationError(404, "Recommendation not found");
+  }
+  if (
+    request.user &&
+    !(user && (user.id.toString() === request.user.toString() || user.isAdmin))
+  ) {
+    throw createRecommendationError(
+      403,
+      "You are not allowed to view this recommendation"
+    );
+  }
+
+  const { result } = request;
+  const recommendations = result.recommendations || [result.recommendation];
+  const recommendation = tier
+    ? recommendations.find((entry) => entry.tier === tier)
+    : result.recommendation;
+  if (!recommendation) {
+    throw createRecommendationError(
+      400,
+      `tier must be one of: ${recommendations
+        .map((entry) => entry.tier)
+        .join(", ")}`
+    );
+  }
+
+  return { request, result, recommendation };
+};
+
+// Simulate a year of operation for a saved recommendation (requestId and
+// optionally tier) or for an explicit component set with items and location.
+// grid overrides the saved recommendation's grid connection, if any.
+const simulateSystemPerformance = async ({
+  requestId,
+  tier,
+  components,
+  items,
+  location,
+  clientIp,
+  grid,
+  user = null,
+}) => {
+  let system;
+  let hourlyLoadW;
+  let sheddableLoadW;
+  let simulatedTier = null;
+  grid = validateGridOptions(grid);
+
+  if (requestId) {
+    const { result, recommendation } = await findSavedRecommendation({
+      requestId,
+      tier,
+      user,
+    });
+
+    const { roof } = result.locationProfile;
+    system = {
+      ...getSystemFromComponents(recommendation.components),
+      orientationFactor: roof ? roof.orientationFactor : 1,
+    };
+    hourlyLoadW = result.systemSizing.load.hourlyProfileW;
+    sheddableLoadW = result.systemSizing.load.hourlySheddableW;
+    location = result.locationProfile.location;
+    grid = grid || result.locationProfile.grid || null;
+    simulatedTier = recommendation.tier;
+  } else {
+    if (!components) {
+      throw createRecommendationError(
+        400,
+        "Provide a requestId, or components with arrayWatts and batteryKWh plus items and location"
+      );
+    }
+
+    system = validateComponents(components);
+    ({ hourlyProfileW: hourlyLoadW, hourlySheddableW: sheddableLoadW } =
+      calculateLoad(validateItems(items)));
+    validateLocation(location);
+    location = await resolveLocation({ location, clientIp });
+  }
+
+  const solarData = await getSolarData(location);
+  const simulation = simulateYear(
+    system,
+    hourlyLoadW,
+    solarData.monthly,
+    grid,
+    sheddableLoadW
+  );
+
+  return {
+    success: true,
+    requestId: requestId || null,
+    tier: simulatedTier,
+    location,
+    climateSource: solarData.source,
+    ...simulation,
+  };
+};
+
+// Generator-versus-solar savings for a saved recommendation (requestId and
+// optionally tier), or for items with a systemCost. Explicit requests may
+// add batteryCost, components and location to cost battery replacements
+// and any load the system can't carry. grid compares against grid plus
+// generator, overriding a saved recommendation's grid connection.
+const calculateSystemSavings = async ({
+  requestId,
+  tier,
+  items,
+  systemCost,
+  batteryCost,
+  components,
+  location,
+  clientIp,
+  generator,
+  grid,
+  user = null,
+}) => {
+  generator = validateGeneratorOptions(generator);
+  grid = validateGridOptions(grid);
+
+  if (requestId) {
+    const { result, recommendation } = await findSavedRecommendation({
+      requestId,
+      tier,
+      user,
+    });
+    const { monthly } = result.locationProfile.solarConditions || {};
+
+    return {
+      success: true,
+      requestId,
+      tier: recommendation.tier,
+      financials: buildFinancials(
+        recommendation,
+        result.systemSizing.load,
+        monthly,
+        generator,
+        grid || result.locationProfile.grid || null,
+        result.locationProfile.roof
+      ),
+    };
+  }
+
+  if (!(Number(systemCost) > 0)) {
+    throw createRecommendationError(
+      400,
+      "Provide a requestId, or items with a positive systemCost"
+    );
+  }
+  if (batteryCost !== undefined && !(Number(batteryCost) >= 0)) {
+    throw createRecommendationError(
+      400,
+      "batteryCost must be a non-negative number"
+    );
+  }
+
+  const load = calculateLoad(validateItems(items));
+  let simulation = null;
+  if (components) {
+    validateComponents(components);
+    validateLocation(location);
+    const solarData = await getSolarData(
+      await resolveLocation({ location, clientIp })
+    );
+    simulation = simulateYear(
+      components,
+      load.hourlyProfileW,
+      solarData.monthly,
+      grid,
+      load.hourlySheddableW
+    ).summary;
+  }
+
+  return {
+    success: true,
+    requestId: null,
+    tier: null,
+    financials: calculateSavings({
+      load,
+      systemCost: Number(systemCost),
+      batteryCost: Number(batteryCost) || 0,
+      batteryChemistry: components && components.batteryChemistry,
+      unmetLoadKWhPerYear: simulation
+        ? simulation.unmetLoadKWh + simulation.shedLoadKWh
+        : 0,
+      grid,
+      gridImportKWhPerYear:
+        simulation && grid ? simulation.gridImportKWh : undefined,
+      generator,
+    }),
+  };
+};
+
+// Compare saved recommendations side by side. ids is a list of requestIds
+// (or a comma-separated string); every later run is diffed against the
+// first. tier compares that package in every run instead of the
+// recommended one.
+const compareSavedRecommendations = async ({ ids, tier, user = null }) => {
+  const requestIds = [
+    ...new Set(
+      (Array.isArray(ids) ? ids : String(ids || "").split(","))
+        .map((id) => String(id).trim())
+        .filter(Boolean)
+    ),
+  ];
+  if (
+    requestIds.length < 2 ||
+    requestIds.length > MAX_COMPARED_RECOMMENDATIONS
+  ) {
+    throw createRecommendationError(
+      400,
+      `ids must list between 2 and ${MAX_COMPARED_RECOMMENDATIONS} different requestIds`
+    );
+  }
+
+  const runs = [];
+  for (const requestId of requestIds) {
+    const { request, result, recommendation } = await findSavedRecommendation({
+      requestId,
+      tier,
+      user,
+    });
+    runs.push(summarizeRun(request, result, recommendation));
+  }
+
+  return { success: true, ...compareRuns(runs) };
+};
+
+module.exports = {
+  createRecommendationError,
+  validateItems,
+  validateRecommendationInput,
+  resolveLocation,
+  generateRecommendation,
+  simulateSystemPerformance,
+  findSavedRecommendation,
+  calculateSystemSavings,
+  compareSavedRecommendations,
+};
@@ -0,0 +1,212 @@
+// Read-only share links for saved recommendations.
+// A link carries a JWT signed with SHARE_TOKEN_SECRET (falling back to
+// JWT_SECRET) for a separate audience, so it can never pass as a login
+// token. The token names a RecommendationShare record, which is checked on
+// every view so links can be revoked before they expire.
+const jwt = require("jsonwebtoken");
+const RecommendationRequest = require("../models/RecommendationRequest");
+const RecommendationShare = require("../models/RecommendationShare");
+const {
+  createRecommendationError,
+  findSavedRecommendation,
+} = require("./recommendationService");
+
+const SHARE_TOKEN_AUDIENCE = "recommendation-share";
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getSecret = () =>
+  process.env.SHARE_TOKEN_SECRET || process.env.JWT_SECRET;
+
+// Only the owner of a link (or an admin) may list or revoke it
+const canManage = (share, user) =>
+  user && (user.isAdmin || share.createdBy.toString() === user.id.toString());
+
+// Public copy of a stored result: no email, user id or account details, no
+// link to the owner's saved setup, and no precise coordinates from the IP
+// lookup. The climate stations go too, since their distances pin down the
+// coordinates the figures were interpolated for.
+const redactResult = (result) => {
+  const { customerInfo = {}, locationProfile = {}, metadata = {} } = result;
+  const location = locationProfile.location || {};
+  const redacted = {
+    ...result,
+    customerInfo: {
+      requestId: customerInfo.requestId,
+      username: customerInfo.username,
+    },
+    locationProfile: {
+      ...locationProfile,
+      location: {
+        city: location.city,
+        region: location.region,
+        country: location.country,
+      },
+    },
+    metadata: {
+      generatedAt: metadata.generatedAt,
+      promptVersion: metadata.promptVersion,
+      pricingSource: metadata.pricingSource,
+    },
+  };
+
+  if (locationProfile.solarConditions) {
+    redacted.locationProfile.solarConditions = {
+      ...locationProfile.solarConditions,
+    };
+    delete redacted.locationProfile.solarConditions.stations;
+  }
+
+  if (result.budget) {
+    redacted.budget = { ...result.budget };
+    delete redacted.budget.setupId;
+  }
+
+  return redacted;
+};
+
+// Mint a share link for a saved recommendation the user owns (admins may
+// share any). Anonymous recommendations can't be tied to whoever made them,
+// so only admins may share those.
+// expiresInDays defaults to a week and is capped at MAX_EXPIRY_DAYS.
+const createShareLink = async ({ requestId, expiresInDays, user }) => {
+  if (!getSecret()) {
+    throw createRecommendationError(503, "Share links are not configured");
+  }
+  if (
+    expiresInDays !== undefined &&
+    !(Number(expiresInDays) > 0 && Number(expiresInDays) <= MAX_EXPIRY_DAYS)
+  ) {
+    throw createRecommendationError(
+      400,
+      `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`
+    );
+  }
+
+  const { request } = await findSavedRecommendation({ requestId, user });
+  if (
+    !user.isAdmin &&
+    !(request.user && request.user.toString() === user.id.toString())
+  ) {
+    throw createRecommendationError(
+      403,
+      "Only the owner of a recommendation can share it",
+      {
+        suggestion:
+          "Sign in before generating a recommendation to be able to share it",
+      }
+    );
+  }
+
+  const days = Number(expiresInDays) || DEFAULT_EXPIRY_DAYS;
+  const share = await RecommendationShare.create({
+    requestId,
+    createdBy: user.id,
+    expiresAt: new Date(Date.now() + days * DAY_MS),
+  });
+  const token = jwt.sign({ requestId }, getSecret(), {
+    audience: SHARE_TOKEN_AUDIENCE,
+    subject: share.shareId,
+    expiresIn: Math.floor((share.expiresAt - Date.now()) / 1000),
+  });
+
+  return {
+    success: true,
+    ...share.toSummary(),
+    token,
+    apiUrl: `/api/recommendations/shared/${token}`,
+    shareUrl: process.env.FRONTEND_URL
+      ? `${process.env.FRONTEND_URL}/shared/${token}`
+      : null,
+  };
+};
+
+// The share links the user created for a recommendation
+const listShareLinks = async ({ requestId, user }) => {
+  await findSavedRecommendation({ requestId, user });
+
+  const filter = user.isAdmin
+    ? { requestId }
+    : { requestId, createdBy: user.id };
+  const shares = await RecommendationShare.find(filter).sort({
+    createdAt: -1,
+  });
+
+  return {
+    success: true,
+    requestId,
+    shares: shares.map((share) => share.toSummary()),
+  };
+};
+
+const revokeShareLink = async ({ shareId, user }) => {
+  const share = await RecommendationShare.findOne({ shareId });
+  if (!share) {
+    throw createRecommendationError(404, "Share link not found");
+  }
+  if (!canManage(share, user)) {
+    throw createRecommendationError(
+      403,
+      "You are not allowed to revoke this share link"
+    );
+  }
+
+  if (!share.revokedAt) {
+    share.revokedAt = new Date();
+    await share.save();
+  }
+
+  return { success: true, ...share.toSummary() };
+};
+
+// Resolve a share token to the redacted recommendation. Expired and revoked
+// links answer 410 so clients can tell them apart from bad links.
+const getSharedRecommendation = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, getSecret(), {
+      audience: SHARE_TOKEN_AUDIENCE,
+    });
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      throw createRecommendationError(410, "This share link has expired");
+    }
+    throw createRecommendationError(404, "Share link not found");
+  }
+
+  const share = await RecommendationShare.findOne({ shareId: payload.sub });
+  if (!share || share.requestId !== payload.requestId) {
+    throw createRecommendationError(404, "Share link not found");
+  }
+  if (share.revokedAt) {
+    throw createRecommendationError(410, "This share link has been revoked");
+  }
+
+  const request = await RecommendationRequest.findOne({
+    requestId: share.requestId,
+  });
+  if (!request) {
+    throw createRecommendationError(404, "Recommendation not found");
+  }
+
+  await RecommendationShare.updateOne(
+    { _id: share._id },
+    { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } }
+  );
+
+  return {
+    success: true,
+    shared: true,
+    expiresAt: share.expiresAt,
+    recommendation: redactResult(request.result),
+  };
+};
+
+module.exports = {
+  redactResult,
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  getSharedRecommendation,
+};
@@ -0,0 +1,355 @@
+// Schema validation, sanity checks and corrections for generated
+// recommendation packages
+const { validateSchema } = require("./schemaValidator");
+const { calculatePricing, VAT_RATE } = require("./catalogService");
+const { TIER_NAMES } = require("./packageTiers");
+
+// What the AI must return for each package write-up
+const AI_RESPONSE_SCHEMA = {
+  type: "object",
+  required: ["recommendations"],
+  properties: {
+    recommendations: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["tier", "systemName", "suitability"],
+        properties: {
+          tier: { type: "string", enum: TIER_NAMES },
+          systemName: { type: "string", minLength: 3 },
+          suitability: {
+            type: "object",
+            required: ["reason", "climateConsiderations"],
+            properties: {
+              reason: { type: "string", minLength: 10 },
+              climateConsiderations: {
+                type: "array",
+                items: { type: "string" },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+const COMPONENT_SCHEMA = {
+  type: "object",
+  required: ["sku", "name", "quantity", "unitPrice", "totalPrice", "warranty"],
+  properties: {
+    sku: { type: "string", minLength: 1 },
+    name: { type: "string", minLength: 1 },
+    quantity: { type: "integer", minimum: 1 },
+    unitPrice: { type: "number", minimum: 0 },
+    totalPrice: { type: "number", minimum: 0 },
+    warranty: { type: "string" },
+  },
+};
+
+// The final package returned to clients
+const RECOMMENDATION_SCHEMA = {
+  type: "object",
+  required: ["tier", "systemName", "components", "pricing", "performance"],
+  properties: {
+    tier: { type: "string", enum: TIER_NAMES },
+    systemName: { type: "string", minLength: 3 },
+    components: {
+      type: "object",
+      required: ["inverter", "battery", "solarPanels", "chargeController"],
+      properties: {
+        inverter: COMPONENT_SCHEMA,
+        battery: COMPONENT_SCHEMA,
+        solarPanels: COMPONENT_SCHEMA,
+        chargeController: COMPONENT_SCHEMA,
+      },
+    },
+    pricing: {
+      type: "object",
+      required: [
+        "equipmentCost",
+        "installationCost",
+        "subtotal",
+        "vat",
+        "totalAmount",
+        "currency",
+      ],
+      properties: {
+        equipmentCost: { type: "number", minimum: 0 },
+        installationCost: { type: "number", minimum: 0 },
+        subtotal: { type: "number", minimum: 0 },
+        vat: { type: "number", minimum: 0 },
+        totalAmount: { type: "number", minimum: 0 },
+        currency: { type: "string", enum: ["NGN"] },
+      },
+    },
+    performance: {
+      type: "object",
+      required: [
+        "dailyConsumption",
+        "backupDuration",
+        "estimatedBackupHours",
+        "solarCoverage",
+      ],
+      properties: {
+        dailyConsumption: { type: "string" },
+        backupDuration: { type: "string" },
+        estimatedBackupHours: { type: "number", minimum: 0 },
+        solarCoverage: { type: "string" },
+      },
+    },
+  },
+};
+
+// Validate the AI's JSON against the schema and the tiers it was asked for
+const validateAIResponse = (data, expectedTiers = TIER_NAMES) => {
+  const errors = validateSchema(data, AI_RESPONSE_SCHEMA);
+  if (errors.length > 0) return errors;
+
+  const returnedTiers = data.recommendations.map((entry) => entry.tier);
+  expectedTiers.forEach((tier) => {
+    if (!returnedTiers.includes(tier)) {
+      errors.push(`$.recommendations: missing entry for "${tier}"`);
+    }
+  });
+
+  return errors;
+};
+
+// Price validation with realistic bounds.
+// issues are arithmetic errors that can be corrected by re-pricing; warnings
+// are market-range checks that need a human to look at the catalog.
+const validatePricing = (
+  pricing,
+  components,
+  totalWattage,
+  dailyConsumption
+) => {
+  const issues = [];
+  const warnings = [];
+
+  // Calculate price per watt (realistic range: ₦1,200 - ₦2,800 per watt for quality systems)
+  const pricePerWatt = pricing.totalAmount / totalWattage;
+
+  // Set realistic bounds - not too high, not too low
+  if (pricePerWatt > 3000) {
+    warnings.push(
+      `Price per watt high: ₦${pricePerWatt.toFixed(
+        0
+      )}/watt (typical: ₦1,200-₦2,800/watt)`
+    );
+  }
+
+  if (pricePerWatt < 1000) {
+    warnings.push(
+      `Price per watt low: ₦${pricePerWatt.toFixed(
+        0
+      )}/watt (minimum quality threshold: ₦1,000/watt)`
+    );
+  }
+
+  // Check total system cost (realistic residential systems: ₦2.5M - ₦12M)
+  if (pricing.totalAmount > 12000000) {
+    warnings.push(
+      `System cost very high: ₦${pricing.totalAmount.toLocaleString()} (typical residential: ₦2.5M-₦12M)`
+    );
+  }
+
+  if (pricing.totalAmount < 2000000 && parseFloat(dailyConsumption) > 25) {
+    warnings.push(
+      `System cost seems low: ₦${pricing.totalAmount.toLocaleString()} for ${dailyConsumption} kWh daily consumption`
+    );
+  }
+
+  // Line totals should match unit price x quantity
+  Object.keys(components).forEach((key) => {
+    const component = components[key];
+    if (component.totalPrice !== component.unitPrice * component.quantity) {
+      issues.push(
+        `${key} line total incorrect: ₦${component.totalPrice} (expected: ₦${
+          component.unitPrice * component.quantity
+        })`
+      );
+    }
+  });
+
+  // Equipment cost should be the sum of the component lines
+  const expectedEquipmentCost = Object.values(components).reduce(
+    (sum, component) => sum + component.unitPrice * component.quantity,
+    0
+  );
+  if (pricing.equipmentCost !== expectedEquipmentCost) {
+    issues.push(
+      `Equipment cost incorrect: ₦${pricing.equipmentCost} (expected: ₦${expectedEquipmentCost})`
+    );
+  }
+
+  // VAT should be 7.5% of subtotal
+  const expectedVAT = Math.round(pricing.subtotal * VAT_RATE);
+  if (Math.abs(pricing.vat - expectedVAT) > 1) {
+    issues.push(
+      `VAT calculation incorrect: ₦${pricing.vat} (expected: ₦${expectedVAT})`
+    );
+  }
+
+  // Subtotal + VAT should equal totalAmount
+  const expectedTotal = pricing.subtotal + pricing.vat;
+  if (Math.abs(pricing.totalAmount - expectedTotal) > 1) {
+    issues.push(
+      `Total amount calculation incorrect: ₦${pricing.totalAmount} (expected: ₦${expectedTotal})`
+    );
+  }
+
+  if (issues.length > 0) {
+    console.warn("⚠️ Pricing validation issues:", issues);
+    return { valid: false, issues, warnings, pricing };
+  }
+
+  return { valid: true, issues: [], warnings, pricing };
+};
+
+// Component validation against the engineered sizing
+const validateRecommendation = (recommendation, sizing) => {
+  const issues = [];
+  const components = recommendation.components;
+
+  const expectedQuantities = {
+    inverter: sizing.inverter.quantity || 1,
+    battery: sizing.batteryBank.quantity,
+    solarPanels: sizing.solarArray.panelCount,
+    chargeController: sizing.chargeController.quantity,
+  };
+
+  Object.keys(expectedQuantities).forEach((key) => {
+    if (components[key].quantity !== expectedQuantities[key]) {
+      issues.push(
+        `${key} quantity ${components[key].quantity} does not match engineered sizing (${expectedQuantities[key]})`
+      );
+    }
+  });
+
+  // Validate inverter capacity covers the engineered rating
+  const inverterKVA = components.inverter.specifications?.ratingKVA;
+  if (inverterKVA !== undefined && inverterKVA < sizing.inverter.ratingKVA) {
+    issues.push(
+      `Inverter undersized: ${inverterKVA}kVA for a ${sizing.inverter.ratingKVA}kVA requirement`
+    );
+  }
+
+  // Validate the inverter can ride through the worst-case starting surge.
+  // Parallel inverters share the surge, so their capacity adds up.
+  const unitSurgeCapacityW = components.inverter.specifications?.surgeCapacityW;
+  const surgeCapacityW =
+    unitSurgeCapacityW !== undefined
+      ? unitSurgeCapacityW * (sizing.inverter.quantity || 1)
+      : undefined;
+  if (
+    surgeCapacityW !== undefined &&
+    surgeCapacityW < sizing.inverter.peakSurgeW
+  ) {
+    issues.push(
+      `Inverter cannot handle starting surge: ${surgeCapacityW}W surge capacity for a ${
+        sizing.inverter.peakSurgeW
+      }W peak${
+        sizing.load.surgeAppliance
+          ? ` (${sizing.load.surgeAppliance} starting)`
+          : ""
+      }`
+    );
+  }
+
+  // Validate charge controller rating covers the array current
+  const controllerAmps = components.chargeController.specifications?.ratingAmps;
+  if (
+    controllerAmps !== undefined &&
+    controllerAmps < sizing.chargeController.ratingAmps
+  ) {
+    issues.push(
+      `Charge controller undersized: ${controllerAmps}A for a ${sizing.chargeController.ratingAmps}A requirement`
+    );
+  }
+
+  if (issues.length > 0) {
+    console.warn("⚠️ Component validation issues:", issues);
+    return { valid: false, issues, recommendation, expectedQuantities };
+  }
+
+  return { valid: true, issues: [], recommendation, expectedQuantities };
+};
+
+// Validate a package and correct what can be corrected: quantities are reset
+// to the engineered sizing and prices are recomputed from unit prices.
+// Anything that cannot be corrected is reported as a warning.
+const reviewRecommendation = (recommendation, sizing) => {
+  const corrections = [];
+  const warnings = [];
+  const reviewed = {
+    ...recommendation,
+    components: { ...recommendation.components },
+  };
+
+  const componentValidation = validateRecommendation(reviewed, sizing);
+  if (!componentValidation.valid) {
+    Object.keys(componentValidation.expectedQuantities).forEach((key) => {
+      const component = reviewed.components[key];
+      const quantity = componentValidation.expectedQuantities[key];
+      if (component.quantity !== quantity) {
+        reviewed.components[key] = {
+          ...component,
+          quantity,
+          totalPrice: component.unitPrice * quantity,
+        };
+      }
+    });
+
+    const recheck = validateRecommendation(reviewed, sizing);
+    corrections.push(
+      ...componentValidation.issues.filter(
+        (issue) => !recheck.issues.includes(issue)
+      )
+    );
+    warnings.push(...recheck.issues);
+  }
+
+  const pricingValidation = validatePricing(
+    reviewed.pricing,
+    reviewed.components,
+    sizing.load.totalWattage,
+    sizing.load.dailyConsumptionKWh
+  );
+  if (!pricingValidation.valid || corrections.length > 0) {
+    reviewed.pricing = calculatePricing(reviewed.components);
+    corrections.push(...pricingValidation.issues);
+  }
+  warnings.push(...pricingValidation.warnings);
+
+  // The array was capped to the roof, so it can't supply the full load
+  const { solarArray } = sizing;
+  if (solarArray.areaLimited) {
+    warnings.push(
+      `Roof area too small: ${solarArray.panelCount} of ${solarArray.requiredPanelCount} panels fit on ${solarArray.roofAreaM2} m² (about ${solarArray.requiredAreaM2} m² needed); expect less solar generation than the load needs`
+    );
+  }
+
+  const schemaErrors = validateSchema(reviewed, RECOMMENDATION_SCHEMA);
+
+  return {
+    recommendation: reviewed,
+    validation: {
+      valid: schemaErrors.length === 0,
+      corrections,
+      warnings,
+      schemaErrors,
+    },
+  };
+};
+
+module.exports = {
+  AI_RESPONSE_SCHEMA,
+  RECOMMENDATION_SCHEMA,
+  validateAIResponse,
+  validatePricing,
+  validateRecommendation,
+  reviewRecommendation,
+};
@@ -0,0 +1,101 @@
+// Roof orientation and tilt losses for the panel array.
+// Nigeria lies between about 4°N and 14°N, so the sun is to the south for
+// most of the year: panels do best facing south, tilted at roughly the
+// site's latitude. Pure functions only, like the sizing engine.
+
+// Compass direction the roof slope faces -> degrees away from due south.
+// Flat roofs have no slope, so panels lie flat.
+const ROOF_ORIENTATIONS = {
+  south: 0,
+  "south-east": 45,
+  "south-west": 45,
+  east: 90,
+  west: 90,
+  "north-east": 135,
+  "north-west": 135,
+  north: 180,
+  flat: 0,
+};
+
+const ORIENTATION_NAMES = Object.keys(ROOF_ORIENTATIONS);
+
+// Typical pitch of a Nigerian corrugated or aluminium roof
+const DEFAULT_TILT_DEGREES = 15;
+const DEFAULT_LATITUDE = 9;
+
+// Yield lost per squared degree away from the best tilt, and the scale of
+// the loss from facing away from south, which grows with the tilt. Rough
+// figures for 4-14°N.
+const TILT_LOSS_PER_DEGREE_SQUARED = 0.00012;
+const AZIMUTH_LOSS = 0.2;
+// Panels below 10° don't rinse clean in the rain, so Harmattan dust stays on
+const LOW_TILT_DEGREES = 10;
+const LOW_TILT_SOILING_LOSS = 0.03;
+const MINIMUM_ORIENTATION_FACTOR = 0.5;
+
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Share of a south-facing, latitude-tilted array's yield the roof delivers
+const calculateOrientationFactor = (orientation, tiltDegrees, latitude) => {
+  const optimalTilt = Math.abs(latitude);
+  const azimuthOffset = ROOF_ORIENTATIONS[orientation] || 0;
+
+  let factor =
+    1 -
+    TILT_LOSS_PER_DEGREE_SQUARED * Math.pow(tiltDegrees - optimalTilt, 2) -
+    AZIMUTH_LOSS *
+      Math.sin(toRadians(tiltDegrees)) *
+      (1 - Math.cos(toRadians(azimuthOffset)));
+  if (tiltDegrees < LOW_TILT_DEGREES) factor -= LOW_TILT_SOILING_LOSS;
+
+  return round(Math.max(MINIMUM_ORIENTATION_FACTOR, Math.min(1, factor)), 3);
+};
+
+// Fill in the roof's tilt and yield factor. roof is { usableAreaM2,
+// orientation, tiltDegrees } as validated by the caller; latitude comes
+// from the location. Returns null when no roof details were given.
+const resolveRoofLayout = (roof, latitude) => {
+  if (!roof) return null;
+
+  const orientation = roof.orientation || null;
+  const hasTilt = roof.tiltDegrees !== undefined && roof.tiltDegrees !== null;
+  const tiltDegrees =
+    orientation === "flat"
+      ? 0
+      : hasTilt
+      ? Number(roof.tiltDegrees)
+      : DEFAULT_TILT_DEGREES;
+  const siteLatitude = Number.isFinite(Number(latitude))
+    ? Number(latitude)
+    : DEFAULT_LATITUDE;
+
+  return {
+    usableAreaM2: roof.usableAreaM2 ? Number(roof.usableAreaM2) : null,
+    orientation,
+    tiltDegrees,
+    optimalTiltDegrees: round(Math.abs(siteLatitude), 1),
+    // A tilt without an orientation is taken to face south; with neither
+    // the array is assumed to be mounted the best way
+    orientationFactor:
+      orientation || hasTilt
+        ? calculateOrientationFactor(
+            orientation || "south",
+            tiltDegrees,
+            siteLatitude
+          )
+        : 1,
+    source: roof.source || "request",
+  };
+};
+
+module.exports = {
+  ROOF_ORIENTATIONS,
+  ORIENTATION_NAMES,
+  calculateOrientationFactor,
+  resolveRoofLayout,
+};
@@ -0,0 +1,268 @@
+// Generator-versus-solar running costs and payback.
+// Estimates what the customer spends today running a petrol or diesel
+// generator for the same load, then compares it with the solar system's
+// price and upkeep over five and ten years. Pure functions only.
+
+const CURRENCY = "NGN";
+
+// Generator ratings commonly sold in Nigeria
+const GENERATOR_SIZES_KVA = [1, 2.5, 3.5, 5, 7.5, 10, 15, 20, 30, 45, 60];
+const GENERATOR_POWER_FACTOR = 0.8;
+// Generators shouldn't run above ~80% of rating for long periods
+const GENERATOR_LOADING_LIMIT = 0.8;
+// Above this size households usually move to diesel
+const PETROL_MAX_KVA = 7.5;
+
+// Fuel burn follows a straight line: litres/hour = idle * rated kW +
+// perKW * load kW. Small petrol sets are much thirstier than diesel.
+const FUEL_TYPES = {
+  petrol: {
+    defaultPricePerLitre: 950,
+    priceEnv: "PETROL_PRICE_PER_LITRE",
+    idleLitresPerRatedKW: 0.2,
+    litresPerLoadKWh: 0.45,
+  },
+  diesel: {
+    defaultPricePerLitre: 1200,
+    priceEnv: "DIESEL_PRICE_PER_LITRE",
+    idleLitresPerRatedKW: 0.084,
+    litresPerLoadKWh: 0.246,
+  },
+};
+
+// Oil, filters, plugs and repairs per kVA for every running hour
+const GENERATOR_MAINTENANCE_PER_KVA_HOUR = 50;
+
+// Yearly solar upkeep (cleaning, checks) as a share of the system price
+const SOLAR_MAINTENANCE_RATE = 0.01;
+const BATTERY_LIFE_YEARS = { "lead-acid": 3, lithium: 10 };
+
+const DEFAULT_DISCOUNT_RATE = 0.2;
+const DEFAULT_FUEL_ESCALATION = 0.1;
+const ANALYSIS_YEARS = 10;
+
+const readRate = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const round = (value, decimals = 0) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const roundUpToStandard = (value, sizes) => {
+  const match = sizes.find((size) => size >= value);
+  return match !== undefined ? match : sizes[sizes.length - 1];
+};
+
+const getFuelPrice = (fuelType) =>
+  readRate(
+    FUEL_TYPES[fuelType].priceEnv,
+    FUEL_TYPES[fuelType].defaultPricePerLitre
+  );
+
+// Smallest generator that carries the running load within its loading
+// limit and can start the largest motor
+const sizeGenerator = (load) => {
+  const requiredKVA =
+    Math.max(load.peakDemandW / GENERATOR_LOADING_LIMIT, load.peakSurgeW) /
+    (1000 * GENERATOR_POWER_FACTOR);
+  return roundUpToStandard(requiredKVA, GENERATOR_SIZES_KVA);
+};
+
+const calculateFuelRate = (fuel, ratedKW, loadKW) =>
+  fuel.idleLitresPerRatedKW * ratedKW + fuel.litresPerLoadKWh * loadKW;
+
+// What the same load costs on a generator today. options may override
+// fuelType, fuelPricePerLitre, sizeKVA and hoursPerDay; by default the
+// generator runs whenever something is switched on. With a grid
+// connection the generator only covers the outage share of the day.
+const estimateGeneratorCost = (load, options = {}, grid = null) => {
+  const sizeKVA = Number(options.sizeKVA) || sizeGenerator(load);
+  const fuelType =
+    options.fuelType || (sizeKVA > PETROL_MAX_KVA ? "diesel" : "petrol");
+  const fuel = FUEL_TYPES[fuelType];
+  const fuelPricePerLitre =
+    Number(options.fuelPricePerLitre) || getFuelPrice(fuelType);
+  const ratedKW = sizeKVA * GENERATOR_POWER_FACTOR;
+
+  const outageShare = grid ? grid.outageHours / 24 : 1;
+  const runningHours = load.hourlyProfileW.filter((watts) => watts > 0);
+  const dailyEnergyKWh =
+    (runningHours.reduce((sum, watts) => sum + watts, 0) / 1000) * outageShare;
+
+  let hoursPerDay;
+  let litresPerDay;
+  if (Number(options.hoursPerDay) > 0) {
+    // The same daily energy spread over the hours the customer runs it
+    hoursPerDay = Math.min(Number(options.hoursPerDay), 24);
+    litresPerDay =
+      calculateFuelRate(fuel, ratedKW, dailyEnergyKWh / hoursPerDay) *
+      hoursPerDay;
+  } else {
+    hoursPerDay = round(runningHours.length * outageShare, 1);
+    litresPerDay =
+      runningHours.reduce(
+        (sum, watts) => sum + calculateFuelRate(fuel, ratedKW, watts / 1000),
+        0
+      ) * outageShare;
+  }
+
+  const monthlyFuelCost = litresPerDay * fuelPricePerLitre * 30;
+  const monthlyMaintenanceCost =
+    hoursPerDay * 30 * sizeKVA * GENERATOR_MAINTENANCE_PER_KVA_HOUR;
+
+  return {
+    sizeKVA,
+    fuelType,
+    fuelPricePerLitre,
+    runningHoursPerDay: hoursPerDay,
+    litresPerDay: round(litresPerDay, 1),
+    // Fuel per kWh delivered, used to cost any shortfall left on solar
+    litresPerKWh:
+      dailyEnergyKWh > 0 ? round(litresPerDay / dailyEnergyKWh, 3) : 0,
+    monthlyFuelCost: round(monthlyFuelCost),
+    monthlyMaintenanceCost: round(monthlyMaintenanceCost),
+    monthlyCost: round(monthlyFuelCost + monthlyMaintenanceCost),
+    annualCost: round((monthlyFuelCost + monthlyMaintenanceCost) * 12),
+  };
+};
+
+// Grid electricity bill for the share of the daily load the grid supplies
+const estimateGridCost = (load, grid) => {
+  const monthlyKWh = (load.dailyConsumptionKWh * grid.supplyHours * 30) / 24;
+  return {
+    band: grid.band,
+    supplyHours: grid.supplyHours,
+    tariffPerKWh: grid.tariffPerKWh,
+    monthlyKWh: round(monthlyKWh, 1),
+    monthlyCost: round(monthlyKWh * grid.tariffPerKWh),
+  };
+};
+
+// Compare running a generator (plus the grid, for hybrid customers) with
+// buying the solar system.
+// systemCost is the quoted pricing.totalAmount; batteryCost and
+// batteryChemistry set the replacement schedule. unmetLoadKWhPerYear is
+// energy the solar system can't supply (from the yield simulation), which
+// is assumed to still come from the generator. gridImportKWhPerYear is the
+// grid energy still bought with solar installed; without it the grid bill
+// is assumed unchanged.
+const calculateSavings = ({
+  load,
+  systemCost,
+  batteryCost = 0,
+  batteryChemistry = "lead-acid",
+  unmetLoadKWhPerYear = 0,
+  grid = null,
+  gridImportKWhPerYear,
+  generator: generatorOptions = {},
+  discountRate = readRate("SAVINGS_DISCOUNT_RATE", DEFAULT_DISCOUNT_RATE),
+  fuelPriceEscalation = readRate(
+    "SAVINGS_FUEL_ESCALATION",
+    DEFAULT_FUEL_ESCALATION
+  ),
+}) => {
+  const generator = estimateGeneratorCost(load, generatorOptions, grid);
+  const gridCost = grid ? estimateGridCost(load, grid) : null;
+  const monthlyGridCost = gridCost ? gridCost.monthlyCost : 0;
+  const monthlyGridCostWithSolar =
+    gridCost && gridImportKWhPerYear !== undefined
+      ? (gridImportKWhPerYear * grid.tariffPerKWh) / 12
+      : monthlyGridCost;
+  const batteryLifeYears =
+    BATTERY_LIFE_YEARS[batteryChemistry] || BATTERY_LIFE_YEARS["lead-acid"];
+
+  const monthlySolarMaintenance = (systemCost * SOLAR_MAINTENANCE_RATE) / 12;
+  const monthlyBackupFuelCost =
+    (unmetLoadKWhPerYear *
+      generator.litresPerKWh *
+      generator.fuelPricePerLitre) /
+    12;
+  const monthlySavings =
+    generator.monthlyCost +
+    monthlyGridCost -
+    monthlySolarMaintenance -
+    monthlyBackupFuelCost -
+    monthlyGridCostWithSolar;
+
+  // Year-by-year cash flows; fuel prices rise each year and batteries are
+  // replaced at the end of their life
+  let cumulative = -systemCost;
+  let presentValue = -systemCost;
+  const npv = {};
+  const cashFlows = [];
+  for (let year = 1; year <= ANALYSIS_YEARS; year++) {
+    const escalation = Math.pow(1 + fuelPriceEscalation, year - 1);
+    const generatorCost =
+      (generator.monthlyFuelCost * escalation +
+        generator.monthlyMaintenanceCost) *
+      12;
+    const batteryReplacement =
+      year % batteryLifeYears === 0 && year < ANALYSIS_YEARS ? batteryCost : 0;
+    const solarCost =
+      monthlySolarMaintenance * 12 +
+      monthlyBackupFuelCost * 12 * escalation +
+      monthlyGridCostWithSolar * 12 +
+      batteryReplacement;
+    const savings = generatorCost + monthlyGridCost * 12 - solarCost;
+
+    cumulative += savings;
+    presentValue += savings / Math.pow(1 + discountRate, year);
+    if (year === 5 || year === 10) npv[year] = round(presentValue);
+
+    cashFlows.push({
+      year,
+      generatorCost: round(generatorCost),
+      gridCost: round(monthlyGridCost * 12),
+      solarCost: round(solarCost),
+      batteryReplacement: round(batteryReplacement),
+      savings: round(savings),
+      cumulativeSavings: round(cumulative),
+    });
+  }
+
+  const simplePaybackYears =
+    monthlySavings > 0 ? round(systemCost / (monthlySavings * 12), 1) : null;
+  const breakEven = cashFlows.find((flow) => flow.cumulativeSavings >= 0);
+
+  return {
+    currency: CURRENCY,
+    assumptions: {
+      discountRate,
+      fuelPriceEscalation,
+      solarMaintenanceRate: SOLAR_MAINTENANCE_RATE,
+      batteryLifeYears,
+      analysisYears: ANALYSIS_YEARS,
+    },
+    generator,
+    grid: gridCost && {
+      ...gridCost,
+      monthlyCostWithSolar: round(monthlyGridCostWithSolar),
+    },
+    currentMonthlyCost: round(generator.monthlyCost + monthlyGridCost),
+    solar: {
+      systemCost: round(systemCost),
+      monthlyMaintenanceCost: round(monthlySolarMaintenance),
+      monthlyBackupFuelCost: round(monthlyBackupFuelCost),
+      batteryReplacementCost: round(batteryCost),
+    },
+    monthlySavings: round(monthlySavings),
+    annualSavings: round(monthlySavings * 12),
+    simplePaybackYears,
+    paybackMonths:
+      simplePaybackYears === null ? null : Math.ceil(simplePaybackYears * 12),
+    breakEvenYear: breakEven ? breakEven.year : null,
+    npv5Years: npv[5],
+    npv10Years: npv[10],
+    cashFlows,
+  };
+};
+
+module.exports = {
+  FUEL_TYPES,
+  GENERATOR_SIZES_KVA,
+  estimateGeneratorCost,
+  calculateSavings,
+};
@@ -0,0 +1,78 @@
+// Minimal JSON-schema style validator for AI output and API payloads.
+// Supports the subset we need: type (object, array, string, number, integer,
+// boolean), required, properties, items, enum, minimum, minItems and
+// minLength. Returns a list of readable errors; an empty list means valid.
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  if (type === "number") {
+    return (actual === "number" || actual === "integer") && isFinite(value);
+  }
+  return actual === type;
+};
+
+const validateSchema = (value, schema, path = "$") => {
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${path}: expected ${schema.type}, got ${typeOf(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(", ")}`);
+  }
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path}: must be at least ${schema.minimum}`);
+  }
+
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${path}: must be at least ${schema.minLength} characters`);
+  }
+
+  if (schema.type === "object") {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    });
+
+    Object.keys(schema.properties || {}).forEach((key) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(
+          ...validateSchema(
+            value[key],
+            schema.properties[key],
+            `${path}.${key}`
+          )
+        );
+      }
+    });
+  }
+
+  if (schema.type === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must contain at least ${schema.minItems} items`);
+    }
+
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  return errors;
+};
+
+module.exports = {
+  validateSchema,
+};
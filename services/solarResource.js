@@ -0,0 +1,210 @@
+// Monthly solar resource for a location, from the bundled state climate
+// table. Known cities and states resolve directly; anything else with
+// coordinates is interpolated from the nearest state capitals.
+const { STATE_CLIMATE } = require("./climateData");
+
+const MONTH_NAMES = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+const CLIMATE_FIELDS = [
+  "peakSunHours",
+  "temperature",
+  "humidity",
+  "cloudCover",
+];
+
+// Used when a location can't be matched or has no coordinates
+const DEFAULT_CITY = "Abuja";
+
+// Closer than this to a capital, its own figures are used as-is
+const STATION_RADIUS_KM = 15;
+// Inverse-distance weighting over the nearest capitals
+const INTERPOLATION_NEIGHBOURS = 4;
+const INTERPOLATION_POWER = 2;
+
+const EARTH_RADIUS_KM = 6371;
+
+const round = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const average = (values) =>
+  values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const normalizeName = (name) =>
+  String(name || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+state$/, "")
+    .replace(/[^a-z]+/g, " ")
+    .trim();
+
+// Lookup of every capital, state name and alias to its climate entry
+const STATIONS_BY_NAME = new Map();
+STATE_CLIMATE.forEach((station) => {
+  [station.city, station.state, ...(station.aliases || [])].forEach((name) => {
+    const key = normalizeName(name);
+    if (!STATIONS_BY_NAME.has(key)) {
+      STATIONS_BY_NAME.set(key, station);
+    }
+  });
+});
+
+const findStation = (name) => STATIONS_BY_NAME.get(normalizeName(name)) || null;
+
+const hasCoordinates = (location) =>
+  Number.isFinite(Number(location.lat)) &&
+  Number.isFinite(Number(location.lon)) &&
+  !(Number(location.lat) === 0 && Number(location.lon) === 0);
+
+// Great-circle distance in km
+const distanceKm = (lat1, lon1, lat2, lon2) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+const describeStation = (station, distance) => ({
+  state: station.state,
+  city: station.city,
+  distanceKm: distance === undefined ? undefined : round(distance),
+});
+
+// Blend the nearest capitals' monthly figures, weighted by 1/distance²
+const interpolateClimate = (lat, lon) => {
+  const nearest = STATE_CLIMATE.map((station) => ({
+    station,
+    distance: distanceKm(lat, lon, station.lat, station.lon),
+  }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, INTERPOLATION_NEIGHBOURS);
+
+  if (nearest[0].distance <= STATION_RADIUS_KM) {
+    return {
+      source: "station",
+      climate: nearest[0].station,
+      stations: [describeStation(nearest[0].station, nearest[0].distance)],
+    };
+  }
+
+  const weights = nearest.map(
+    ({ distance }) => 1 / distance ** INTERPOLATION_POWER
+  );
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  const climate = {};
+  CLIMATE_FIELDS.forEach((field) => {
+    climate[field] = MONTH_NAMES.map((_, month) =>
+      nearest.reduce(
+        (sum, { station }, index) =>
+          sum + (station[field][month] * weights[index]) / totalWeight,
+        0
+      )
+    );
+  });
+
+  return {
+    source: "interpolated",
+    climate,
+    stations: nearest.map(({ station, distance }) =>
+      describeStation(station, distance)
+    ),
+  };
+};
+
+// Pick the climate series for a location: city name, then coordinates,
+// then state name, then the default city
+const resolveClimate = (location = {}) => {
+  const cityStation = findStation(location.city);
+  if (cityStation) {
+    return {
+      source: "station",
+      climate: cityStation,
+      stations: [describeStation(cityStation)],
+    };
+  }
+
+  if (hasCoordinates(location)) {
+    return interpolateClimate(Number(location.lat), Number(location.lon));
+  }
+
+  const stateStation = findStation(location.region);
+  if (stateStation) {
+    return {
+      source: "state",
+      climate: stateStation,
+      stations: [describeStation(stateStation)],
+    };
+  }
+
+  const defaultStation = findStation(DEFAULT_CITY);
+  return {
+    source: "default",
+    climate: defaultStation,
+    stations: [describeStation(defaultStation)],
+  };
+};
+
+// Monthly figures plus annual averages and the design (lowest-sun) month.
+// Systems are sized on the design month so they still cope in the rains.
+const getClimateProfile = (location) => {
+  const { source, climate, stations } = resolveClimate(location);
+
+  const monthly = MONTH_NAMES.map((month, index) => ({
+    month,
+    peakSunHours: round(climate.peakSunHours[index]),
+    temperature: round(climate.temperature[index]),
+    humidity: Math.round(climate.humidity[index]),
+    cloudCover: Math.round(climate.cloudCover[index]),
+  }));
+
+  const designMonth = monthly.reduce((worst, month) =>
+    month.peakSunHours < worst.peakSunHours ? month : worst
+  );
+
+  return {
+    source,
+    stations,
+    averageSunlightHours: round(
+      average(monthly.map((month) => month.peakSunHours))
+    ),
+    designSunHours: designMonth.peakSunHours,
+    designMonth: designMonth.month,
+    cloudCover: Math.round(average(monthly.map((month) => month.cloudCover))),
+    humidity: Math.round(average(monthly.map((month) => month.humidity))),
+    temperature: round(average(monthly.map((month) => month.temperature))),
+    monthly,
+  };
+};
+
+// Latitude of a location, from its coordinates or else the matched station
+const getLatitude = (location = {}) =>
+  hasCoordinates(location)
+    ? Number(location.lat)
+    : resolveClimate(location).climate.lat;
+
+module.exports = {
+  MONTH_NAMES,
+  findStation,
+  getClimateProfile,
+  getLatitude,
+};
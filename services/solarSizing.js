@@ -0,0 +1,524 @@
+// Deterministic solar system sizing engine.
+// Pure functions only - no network, database or AI calls - so the same
+// appliance list and location always produce the same system.
+
+// Engineering assumptions used when the caller doesn't override them
+const DEFAULT_ASSUMPTIONS = {
+  inverterSafetyFactor: 1.3, // Headroom over the total running load
+  powerFactor: 0.8, // Converts W to VA for inverter ratings
+  inverterEfficiency: 0.9,
+  inverterSurgeFactor: 2, // Inverters deliver about twice their rating for a few seconds
+  batteryDepthOfDischarge: 0.5, // Deep cycle lead-acid
+  batteryRoundTripEfficiency: 0.85,
+  batteryUnitAh: 200,
+  batteryUnitVoltage: 12,
+  autonomyDays: 1,
+  panelWattage: 450,
+  systemDerateFactor: 0.75, // Heat, dust, wiring and mismatch losses
+  chargeControllerSafetyFactor: 1.25,
+  peakSunHours: 5.5,
+  gridSupplyHours: 0, // Daily hours of grid supply; 0 for off-grid
+  orientationFactor: 1, // Share of the best-case yield the roof orientation and tilt allow
+  roofAreaM2: 0, // Usable roof area for panels; 0 when unknown
+  panelAreaM2: 0, // Panel footprint; estimated from the wattage when unknown
+};
+
+// Used to estimate a panel's footprint from its wattage, plus room for
+// walkways, edge setbacks and mounting rails between panels
+const PANEL_EFFICIENCY = 0.21;
+const ROOF_LAYOUT_FACTOR = 1.2;
+
+// Standard ratings stocked in the Nigerian market
+const INVERTER_SIZES_KVA = [1, 1.5, 2.5, 3.5, 5, 7.5, 10, 12, 15, 20];
+const CHARGE_CONTROLLER_SIZES_A = [20, 30, 40, 60, 80, 100, 120, 150];
+
+// Round a requirement up to the next standard rating (or the largest one).
+// Callers split anything above the largest rating across parallel units.
+const roundUpToStandard = (value, sizes) => {
+  const match = sizes.find((size) => size >= value);
+  return match !== undefined ? match : sizes[sizes.length - 1];
+};
+
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+// Larger inverters and energy-hungry homes run on higher DC bus voltages to
+// keep battery and charging currents manageable
+const selectSystemVoltage = (inverterKVA, dailyEnergyWh) => {
+  if (inverterKVA > 3.5 || dailyEnergyWh > 10000) return 48;
+  if (inverterKVA > 1.5 || dailyEnergyWh > 4000) return 24;
+  return 12;
+};
+
+// Inverter surge capacity in watts, from a product's surge rating when the
+// manufacturer publishes one, otherwise the assumed surge factor
+const calculateSurgeCapacityW = (ratingKVA, assumptions, surgeRatingKVA) =>
+  Math.round(
+    (surgeRatingKVA || ratingKVA * assumptions.inverterSurgeFactor) *
+      1000 *
+      assumptions.powerFactor
+  );
+
+// Hours 06:00-17:59 count as daytime (solar) hours, the rest as night
+const DAYLIGHT_START_HOUR = 6;
+const DAYLIGHT_END_HOUR = 18;
+const DAYLIGHT_HOURS = DAYLIGHT_END_HOUR - DAYLIGHT_START_HOUR;
+const NIGHT_HOURS = 24 - DAYLIGHT_HOURS;
+
+const isDaylightHour = (hour) =>
+  hour >= DAYLIGHT_START_HOUR && hour < DAYLIGHT_END_HOUR;
+
+// Essential loads are carried through the night by the battery; non-essential
+// (discretionary) loads only run on daytime solar surplus or the grid
+const LOAD_PRIORITIES = ["essential", "non-essential"];
+const DEFAULT_LOAD_PRIORITY = "essential";
+
+// "18:30" or 18.5 -> 18.5; NaN for anything else, including "18:75"
+const parseTimeOfDay = (value) => {
+  if (typeof value === "number") return value;
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  if (!match || Number(match[2]) > 59) return NaN;
+  return Number(match[1]) + Number(match[2]) / 60;
+};
+
+// Build a 24-slot schedule for one appliance: the share of each hour it is
+// switched on. Uses, in order of preference:
+// - schedule: 24 numbers between 0 and 1, one per hour from midnight
+// - timeWindows: [{ start: "18:00", end: "23:00" }], wrapping past midnight
+// - dayHours/nightHours spread evenly over the daytime and night slots
+// Throws on a malformed schedule or time window.
+const buildItemSchedule = (item) => {
+  if (item.schedule !== undefined) {
+    if (
+      !Array.isArray(item.schedule) ||
+      item.schedule.length !== 24 ||
+      !item.schedule.every(
+        (share) => Number.isFinite(Number(share)) && share >= 0 && share <= 1
+      )
+    ) {
+      throw new Error(
+        "schedule must have 24 hourly values between 0 and 1, starting at midnight"
+      );
+    }
+    return item.schedule.map(Number);
+  }
+
+  if (item.timeWindows !== undefined) {
+    if (!Array.isArray(item.timeWindows) || item.timeWindows.length === 0) {
+      throw new Error("timeWindows must be a non-empty array");
+    }
+
+    const schedule = new Array(24).fill(0);
+    item.timeWindows.forEach((window) => {
+      const start = parseTimeOfDay(window && window.start);
+      const end = parseTimeOfDay(window && window.end);
+      if (
+        !(start >= 0 && start < 24 && end >= 0 && end <= 24) ||
+        start === end
+      ) {
+        throw new Error(
+          'timeWindows entries need a start and end between "00:00" and "24:00", e.g. { "start": "18:00", "end": "23:00" }'
+        );
+      }
+
+      // A window like 22:00-06:00 runs past midnight
+      const intervals =
+        end > start
+          ? [[start, end]]
+          : [
+              [start, 24],
+              [0, end],
+            ];
+      intervals.forEach(([from, to]) => {
+        for (let hour = Math.floor(from); hour < to; hour++) {
+          const overlap = Math.min(to, hour + 1) - Math.max(from, hour);
+          schedule[hour] = Math.min(1, schedule[hour] + overlap);
+        }
+      });
+    });
+    return schedule;
+  }
+
+  const dayShare = Math.min(DAYLIGHT_HOURS, Number(item.dayHours) || 0);
+  const nightShare = Math.min(NIGHT_HOURS, Number(item.nightHours) || 0);
+  return new Array(24)
+    .fill(0)
+    .map((_, hour) =>
+      isDaylightHour(hour)
+        ? dayShare / DAYLIGHT_HOURS
+        : nightShare / NIGHT_HOURS
+    );
+};
+
+// Units of one appliance in a single request
+const MAX_ITEM_QUANTITY = 1000;
+
+const isPositiveNumber = (value) =>
+  (typeof value === "number" || typeof value === "string") &&
+  Number.isFinite(Number(value)) &&
+  Number(value) > 0;
+
+// Check one appliance's quantity, wattage, surge multiplier and duty cycle.
+// Throws with a message naming the first bad value.
+const checkItemValues = (item) => {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    throw new Error("each item must be an object");
+  }
+  if (!isPositiveNumber(item.quantity)) {
+    throw new Error("quantity must be a positive number");
+  }
+  if (Number(item.quantity) > MAX_ITEM_QUANTITY) {
+    throw new Error(`quantity must be at most ${MAX_ITEM_QUANTITY}`);
+  }
+  if (!isPositiveNumber(item.wattage)) {
+    throw new Error("wattage must be a positive number");
+  }
+  if (
+    item.surgeMultiplier !== undefined &&
+    item.surgeMultiplier !== null &&
+    !(isPositiveNumber(item.surgeMultiplier) && item.surgeMultiplier >= 1)
+  ) {
+    throw new Error("surgeMultiplier must be a number of at least 1");
+  }
+  if (
+    item.dutyCycle !== undefined &&
+    item.dutyCycle !== null &&
+    !(isPositiveNumber(item.dutyCycle) && item.dutyCycle <= 1)
+  ) {
+    throw new Error("dutyCycle must be more than 0 and at most 1");
+  }
+};
+
+// Normalize raw request items into numbers so the maths below stays simple.
+// Throws on an item checkItemValues or buildItemSchedule rejects.
+const normalizeItems = (items) =>
+  items.map((item) => {
+    checkItemValues(item);
+    const schedule = buildItemSchedule(item);
+
+    return {
+      nameOfItem: item.nameOfItem,
+      quantity: Number(item.quantity),
+      wattage: Number(item.wattage),
+      schedule,
+      dayHours: round(
+        schedule.reduce(
+          (sum, share, hour) => (isDaylightHour(hour) ? sum + share : sum),
+          0
+        )
+      ),
+      nightHours: round(
+        schedule.reduce(
+          (sum, share, hour) => (isDaylightHour(hour) ? sum : sum + share),
+          0
+        )
+      ),
+      surgeMultiplier: Number(item.surgeMultiplier) || 1,
+      // Share of the usage hours the appliance actually draws power
+      dutyCycle: Number(item.dutyCycle) || 1,
+      priority: LOAD_PRIORITIES.includes(item.priority)
+        ? item.priority
+        : DEFAULT_LOAD_PRIORITY,
+    };
+  });
+
+// Energy use per appliance built into a 24-hour load curve, then split into
+// daytime and night-time energy. Non-essential loads are also tracked on
+// their own curve so they can be left off the battery.
+const calculateLoad = (items) => {
+  const appliances = normalizeItems(items);
+  const hourlyEnergyWh = new Array(24).fill(0);
+  const hourlySheddableWh = new Array(24).fill(0);
+
+  let totalWattage = 0;
+  let essentialWattage = 0;
+  let totalDayHours = 0;
+  let totalNightHours = 0;
+  let largestStartingExtraW = 0;
+  let surgeAppliance = null;
+
+  appliances.forEach((item) => {
+    // Extra draw while one unit of this appliance starts up
+    const startingExtraW = item.wattage * (item.surgeMultiplier - 1);
+    if (item.quantity > 0 && startingExtraW > largestStartingExtraW) {
+      largestStartingExtraW = startingExtraW;
+      surgeAppliance = item.nameOfItem;
+    }
+
+    const runningWatts = item.wattage * item.quantity;
+    const sheddable = item.priority === "non-essential";
+    totalWattage += runningWatts;
+    if (!sheddable) essentialWattage += runningWatts;
+    item.schedule.forEach((share, hour) => {
+      const energyWh = runningWatts * share * item.dutyCycle;
+      hourlyEnergyWh[hour] += energyWh;
+      if (sheddable) hourlySheddableWh[hour] += energyWh;
+    });
+    totalDayHours += item.dayHours;
+    totalNightHours += item.nightHours;
+  });
+
+  const dayEnergyWh = hourlyEnergyWh.reduce(
+    (sum, energyWh, hour) => (isDaylightHour(hour) ? sum + energyWh : sum),
+    0
+  );
+  const dailyEnergyWh = hourlyEnergyWh.reduce(
+    (sum, energyWh) => sum + energyWh
+  );
+  const nightEnergyWh = dailyEnergyWh - dayEnergyWh;
+  const sheddableNightEnergyWh = hourlySheddableWh.reduce(
+    (sum, energyWh, hour) => (isDaylightHour(hour) ? sum : sum + energyWh),
+    0
+  );
+  const peakHour = hourlyEnergyWh.indexOf(Math.max(...hourlyEnergyWh));
+
+  return {
+    totalWattage,
+    dayEnergyWh: round(dayEnergyWh),
+    nightEnergyWh: round(nightEnergyWh),
+    // Night-time energy the battery has to carry, and the non-essential
+    // night-time use that is shed instead
+    essentialNightEnergyWh: round(nightEnergyWh - sheddableNightEnergyWh),
+    sheddableNightEnergyWh: round(sheddableNightEnergyWh),
+    essentialWattage,
+    dailyEnergyWh: round(dailyEnergyWh),
+    dailyConsumptionKWh: round(dailyEnergyWh / 1000),
+    totalDayHours: round(totalDayHours),
+    totalNightHours: round(totalNightHours),
+    // Average demand in each hour from midnight; equal to that hour's Wh
+    hourlyProfileW: hourlyEnergyWh.map((energyWh) => round(energyWh, 1)),
+    // The non-essential part of each hour's demand
+    hourlySheddableW: hourlySheddableWh.map((energyWh) => round(energyWh, 1)),
+    peakHour,
+    peakDemandW: round(hourlyEnergyWh[peakHour], 1),
+    // Worst case: everything running while the largest motor load starts
+    peakSurgeW: Math.round(totalWattage + largestStartingExtraW),
+    surgeAppliance,
+  };
+};
+
+// The inverter must carry the running load with headroom and ride through
+// the worst-case starting surge within its short-term surge capacity. Loads
+// above the largest standard rating are shared by identical inverters in
+// parallel; ratingKVA is per unit and the totals cover every unit.
+const sizeInverter = (load, assumptions) => {
+  const continuousVA =
+    (load.totalWattage * assumptions.inverterSafetyFactor) /
+    assumptions.powerFactor;
+  const surgeVA =
+    load.peakSurgeW / assumptions.powerFactor / assumptions.inverterSurgeFactor;
+  const requiredVA = Math.max(continuousVA, surgeVA);
+  const largest = INVERTER_SIZES_KVA[INVERTER_SIZES_KVA.length - 1];
+  const unitCount = Math.max(1, Math.ceil(requiredVA / 1000 / largest));
+  const ratingKVA = roundUpToStandard(
+    requiredVA / 1000 / unitCount,
+    INVERTER_SIZES_KVA
+  );
+  const totalKVA = ratingKVA * unitCount;
+
+  return {
+    requiredVA: Math.ceil(requiredVA),
+    continuousVA: Math.ceil(continuousVA),
+    surgeVA: Math.ceil(surgeVA),
+    surgeLimited: surgeVA > continuousVA,
+    ratingKVA,
+    quantity: unitCount,
+    totalKVA,
+    ratingW: Math.round(totalKVA * 1000 * assumptions.powerFactor),
+    peakSurgeW: load.peakSurgeW,
+    surgeCapacityW: calculateSurgeCapacityW(totalKVA, assumptions),
+    systemVoltage: selectSystemVoltage(totalKVA, load.dailyEnergyWh),
+  };
+};
+
+// Hours a day without grid supply. Outages are assumed to fall at night
+// first, so the battery still covers the whole night once they reach 12h.
+const getOutageHours = (assumptions) =>
+  24 - Math.min(assumptions.gridSupplyHours, 24);
+
+// The battery bank carries the essential night-time load (18:00-06:00) for
+// the autonomy period, or only the night-time outage hours on a grid
+// connection. Non-essential loads are switched off at night.
+const sizeBatteryBank = (load, systemVoltage, assumptions) => {
+  const nightOutageShare =
+    Math.min(getOutageHours(assumptions), NIGHT_HOURS) / NIGHT_HOURS;
+  const storageWh =
+    (load.essentialNightEnergyWh *
+      nightOutageShare *
+      assumptions.autonomyDays) /
+    (assumptions.batteryDepthOfDischarge * assumptions.inverterEfficiency);
+  const requiredAh = storageWh / systemVoltage;
+
+  const seriesCount = Math.max(
+    1,
+    Math.round(systemVoltage / assumptions.batteryUnitVoltage)
+  );
+  const parallelStrings = Math.max(
+    1,
+    Math.ceil(requiredAh / assumptions.batteryUnitAh)
+  );
+  const bankAh = parallelStrings * assumptions.batteryUnitAh;
+  const bankKWh = (bankAh * systemVoltage) / 1000;
+  const usableKWh = bankKWh * assumptions.batteryDepthOfDischarge;
+
+  return {
+    requiredAh: Math.ceil(requiredAh),
+    bankAh,
+    bankKWh: round(bankKWh),
+    usableKWh: round(usableKWh),
+    unitAh: assumptions.batteryUnitAh,
+    unitVoltage: assumptions.batteryUnitVoltage,
+    seriesCount,
+    parallelStrings,
+    quantity: seriesCount * parallelStrings,
+    backupHoursAtFullLoad:
+      load.totalWattage > 0
+        ? round(
+            (usableKWh * 1000 * assumptions.inverterEfficiency) /
+              load.totalWattage,
+            1
+          )
+        : 0,
+    backupHoursForEssentialLoads:
+      load.essentialWattage > 0
+        ? round(
+            (usableKWh * 1000 * assumptions.inverterEfficiency) /
+              load.essentialWattage,
+            1
+          )
+        : 0,
+  };
+};
+
+// The array covers the daytime load, non-essential loads included, directly
+// and makes up the deficit the battery ran up overnight. On a grid connection
+// the grid supplies (and charges the battery for) its share of the day, so
+// only the outage share has to come from the sun. With a known roof area the
+// panel count is capped at what fits, and areaLimited flags the shortfall.
+const sizeSolarArray = (load, peakSunHours, assumptions) => {
+  const solarShare = getOutageHours(assumptions) / 24;
+  const dailyHarvestWh =
+    (load.dayEnergyWh +
+      load.essentialNightEnergyWh / assumptions.batteryRoundTripEfficiency) *
+    solarShare;
+  const yieldFactor =
+    assumptions.systemDerateFactor * assumptions.orientationFactor;
+  const requiredWatts = dailyHarvestWh / (peakSunHours * yieldFactor);
+  const requiredPanelCount = Math.max(
+    1,
+    Math.ceil(requiredWatts / assumptions.panelWattage)
+  );
+
+  const panelAreaM2 =
+    assumptions.panelAreaM2 ||
+    assumptions.panelWattage / (1000 * PANEL_EFFICIENCY);
+  const footprintM2 = panelAreaM2 * ROOF_LAYOUT_FACTOR;
+  const maxPanelCount =
+    assumptions.roofAreaM2 > 0
+      ? Math.floor(assumptions.roofAreaM2 / footprintM2)
+      : null;
+  const panelCount =
+    maxPanelCount === null
+      ? requiredPanelCount
+      : Math.max(1, Math.min(requiredPanelCount, maxPanelCount));
+
+  return {
+    requiredWatts: Math.ceil(requiredWatts),
+    panelWattage: assumptions.panelWattage,
+    panelCount,
+    arrayWatts: panelCount * assumptions.panelWattage,
+    peakSunHours,
+    orientationFactor: assumptions.orientationFactor,
+    expectedDailyYieldKWh: round(
+      (panelCount * assumptions.panelWattage * peakSunHours * yieldFactor) /
+        1000
+    ),
+    requiredPanelCount,
+    maxPanelCount,
+    panelAreaM2: round(panelAreaM2),
+    requiredAreaM2: round(requiredPanelCount * footprintM2, 1),
+    arrayAreaM2: round(panelCount * footprintM2, 1),
+    roofAreaM2: assumptions.roofAreaM2 || null,
+    // Even a single panel needs more room than the roof has when
+    // maxPanelCount is 0
+    areaLimited:
+      maxPanelCount !== null &&
+      (panelCount < requiredPanelCount || maxPanelCount === 0),
+  };
+};
+
+const sizeChargeController = (solarArray, systemVoltage, assumptions) => {
+  const requiredAmps =
+    (solarArray.arrayWatts / systemVoltage) *
+    assumptions.chargeControllerSafetyFactor;
+  const largest =
+    CHARGE_CONTROLLER_SIZES_A[CHARGE_CONTROLLER_SIZES_A.length - 1];
+  const unitCount = Math.max(1, Math.ceil(requiredAmps / largest));
+
+  return {
+    type: "MPPT",
+    requiredAmps: Math.ceil(requiredAmps),
+    ratingAmps: roundUpToStandard(
+      requiredAmps / unitCount,
+      CHARGE_CONTROLLER_SIZES_A
+    ),
+    quantity: unitCount,
+    systemVoltage,
+  };
+};
+
+// Size a complete off-grid system from an appliance list.
+// options.peakSunHours comes from the location's solar data; any other
+// DEFAULT_ASSUMPTIONS key can be overridden the same way.
+const sizeSystem = (items, options = {}) => {
+  const assumptions = { ...DEFAULT_ASSUMPTIONS };
+  Object.keys(options).forEach((key) => {
+    const value = Number(options[key]);
+    if (key in assumptions && Number.isFinite(value) && value > 0) {
+      assumptions[key] = value;
+    }
+  });
+
+  const load = calculateLoad(items);
+  const inverter = sizeInverter(load, assumptions);
+  const batteryBank = sizeBatteryBank(
+    load,
+    inverter.systemVoltage,
+    assumptions
+  );
+  const solarArray = sizeSolarArray(
+    load,
+    assumptions.peakSunHours,
+    assumptions
+  );
+  const chargeController = sizeChargeController(
+    solarArray,
+    inverter.systemVoltage,
+    assumptions
+  );
+
+  return {
+    load,
+    inverter,
+    batteryBank,
+    solarArray,
+    chargeController,
+    assumptions,
+  };
+};
+
+module.exports = {
+  DEFAULT_ASSUMPTIONS,
+  INVERTER_SIZES_KVA,
+  CHARGE_CONTROLLER_SIZES_A,
+  LOAD_PRIORITIES,
+  MAX_ITEM_QUANTITY,
+  calculateSurgeCapacityW,
+  isDaylightHour,
+  checkItemValues,
+  buildItemSchedule,
+  calculateLoad,
+  sizeSystem,
+};
@@ -0,0 +1,399 @@
+// Month-by-month performance simulation for an installed system.
+// Steps through a typical year hour by hour: PV output from the location's
+// monthly climate, the household's hourly load, and a battery that charges
+// from surplus and covers the shortfall down to its depth-of-discharge
+// limit. Pure functions only, like the sizing engine.
+const { DEFAULT_ASSUMPTIONS, isDaylightHour } = require("./solarSizing");
+
+// Usable fraction and round-trip efficiency by battery chemistry, matching
+// the assumptions the package tiers are sized with
+const BATTERY_CHEMISTRY_DEFAULTS = {
+  "lead-acid": {
+    depthOfDischarge: DEFAULT_ASSUMPTIONS.batteryDepthOfDischarge,
+    roundTripEfficiency: DEFAULT_ASSUMPTIONS.batteryRoundTripEfficiency,
+  },
+  lithium: { depthOfDischarge: 0.8, roundTripEfficiency: 0.95 },
+};
+
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Panel output falls about 0.4% per °C of cell temperature above 25°C, and
+// cells run roughly 25°C above the air in full sun
+const TEMPERATURE_COEFFICIENT = 0.004;
+const CELL_TEMPERATURE_RISE = 25;
+const STC_CELL_TEMPERATURE = 25;
+
+// Dust, wiring, mismatch and charge-controller losses (temperature is
+// modelled separately)
+const OTHER_PV_LOSSES = 0.86;
+
+// An overcast day delivers this share of a clear day's sun. The monthly
+// cloud cover sets how many days are overcast, and clear days are scaled so
+// the month still averages its peak sun hours.
+const OVERCAST_DAY_FACTOR = 0.4;
+
+// One warm-up year lets the battery settle before the reported year
+const WARM_UP_YEARS = 1;
+
+// Grid chargers refill the usable bank in about five hours of supply
+const GRID_CHARGE_HOURS = 5;
+
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+// Share of a day's irradiation falling in each hour: a sine curve across
+// the daylight hours, peaking at solar noon
+const SUN_PROFILE = (() => {
+  const weights = Array.from({ length: 24 }, (_, hour) =>
+    isDaylightHour(hour) ? Math.sin((Math.PI * (hour + 0.5 - 6)) / 12) : 0
+  );
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return weights.map((weight) => weight / total);
+})();
+
+const calculateTemperatureDerate = (temperature) =>
+  Math.min(
+    1,
+    1 -
+      TEMPERATURE_COEFFICIENT *
+        (temperature + CELL_TEMPERATURE_RISE - STC_CELL_TEMPERATURE)
+  );
+
+// Spread a month's overcast days evenly through it so every month sees
+// its share of dull spells
+const buildDaySequence = (days, cloudCover) => {
+  const overcastShare = Math.min(Math.max(cloudCover / 100, 0), 0.9);
+  const clearDayFactor = 1 / (1 - overcastShare * (1 - OVERCAST_DAY_FACTOR));
+
+  let accumulated = 0;
+  return Array.from({ length: days }, () => {
+    accumulated += overcastShare;
+    if (accumulated >= 1) {
+      accumulated -= 1;
+      return OVERCAST_DAY_FACTOR * clearDayFactor;
+    }
+    return clearDayFactor;
+  });
+};
+
+const describeAutonomy = (score) => {
+  if (score >= 99) return "Fully off-grid";
+  if (score >= 90) return "Occasional shortfalls";
+  if (score >= 75) return "Regular evening shortfalls";
+  return "Frequent outages - consider a larger system";
+};
+
+const isKnownChemistry = (chemistry) =>
+  Object.prototype.hasOwnProperty.call(BATTERY_CHEMISTRY_DEFAULTS, chemistry);
+
+// Check a component set given by a client ({ arrayWatts, batteryKWh,
+// batteryChemistry, depthOfDischarge, roundTripEfficiency,
+// inverterEfficiency, orientationFactor }). Throws with a message naming the
+// first bad value.
+const checkSystemValues = (system) => {
+  if (!system || typeof system !== "object" || Array.isArray(system)) {
+    throw new Error("components must be an object");
+  }
+  const isNumber = (value) =>
+    (typeof value === "number" || typeof value === "string") &&
+    value !== "" &&
+    Number.isFinite(Number(value));
+  const isSet = (value) => value !== undefined && value !== null;
+
+  if (!(isNumber(system.arrayWatts) && Number(system.arrayWatts) > 0)) {
+    throw new Error("arrayWatts must be a positive number");
+  }
+  if (!(isNumber(system.batteryKWh) && Number(system.batteryKWh) >= 0)) {
+    throw new Error("batteryKWh must be a number of at least 0");
+  }
+  if (
+    isSet(system.batteryChemistry) &&
+    !isKnownChemistry(system.batteryChemistry)
+  ) {
+    throw new Error(
+      `batteryChemistry must be one of: ${Object.keys(
+        BATTERY_CHEMISTRY_DEFAULTS
+      ).join(", ")}`
+    );
+  }
+  [
+    "depthOfDischarge",
+    "roundTripEfficiency",
+    "inverterEfficiency",
+    "orientationFactor",
+  ].forEach((field) => {
+    const value = system[field];
+    if (
+      isSet(value) &&
+      !(isNumber(value) && Number(value) > 0 && Number(value) <= 1)
+    ) {
+      throw new Error(`${field} must be more than 0 and at most 1`);
+    }
+  });
+};
+
+// Fill in battery and efficiency defaults for a component set
+const normalizeSystem = (system) => {
+  const chemistry = isKnownChemistry(system.batteryChemistry)
+    ? system.batteryChemistry
+    : "lead-acid";
+  const defaults = BATTERY_CHEMISTRY_DEFAULTS[chemistry];
+
+  return {
+    arrayWatts: Number(system.arrayWatts) || 0,
+    batteryKWh: Number(system.batteryKWh) || 0,
+    batteryChemistry: chemistry,
+    depthOfDischarge:
+      Number(system.depthOfDischarge) || defaults.depthOfDischarge,
+    roundTripEfficiency:
+      Number(system.roundTripEfficiency) || defaults.roundTripEfficiency,
+    inverterEfficiency:
+      Number(system.inverterEfficiency) ||
+      DEFAULT_ASSUMPTIONS.inverterEfficiency,
+    // Roof orientation and tilt losses, from resolveRoofLayout
+    orientationFactor: Math.min(1, Number(system.orientationFactor) || 1),
+  };
+};
+
+// Simulate a typical year for a system against an hourly load (24 values
+// in W) and the location's monthly climate from getClimateProfile.
+// grid (from resolveGridConnection) adds grid supply: since outages don't
+// follow a timetable, every hour has the grid for supplyHours/24 of the
+// time, covering that share of any shortfall and charging the battery.
+// sheddableLoadW (24 values, the non-essential part of hourlyLoadW) only
+// runs on solar surplus or the grid and is switched off rather than drawn
+// from the battery; the autonomy score covers the essential load.
+// Returns one row per month plus an annual summary.
+const simulateYear = (
+  systemInput,
+  hourlyLoadW,
+  monthlyClimate,
+  grid,
+  sheddableLoadW
+) => {
+  const system = normalizeSystem(systemInput);
+  const usableWh = system.batteryKWh * 1000 * system.depthOfDischarge;
+  const getSheddableW = (hour) => (sheddableLoadW ? sheddableLoadW[hour] : 0);
+  const dailyLoadWh = hourlyLoadW.reduce((sum, watts) => sum + watts, 0);
+  const dailyEssentialLoadWh = hourlyLoadW.reduce(
+    (sum, watts, hour) => sum + watts - getSheddableW(hour),
+    0
+  );
+  const gridShare = grid ? grid.supplyHours / 24 : 0;
+
+  let storedWh = usableWh;
+
+  const simulateMonth = (climate, index) => {
+    const temperatureDerate = calculateTemperatureDerate(climate.temperature);
+    const dailyYieldWh =
+      system.arrayWatts *
+      system.orientationFactor *
+      climate.peakSunHours *
+      temperatureDerate *
+      OTHER_PV_LOSSES;
+
+    const totals = {
+      pvYieldWh: 0,
+      servedWh: 0,
+      unmetWh: 0,
+      shedWh: 0,
+      curtailedWh: 0,
+      gridImportWh: 0,
+      unmetHours: 0,
+      daysWithShortfall: 0,
+      minimumStoredWh: storedWh,
+      sunsetStoredWh: 0,
+    };
+
+    buildDaySequence(DAYS_IN_MONTH[index], climate.cloudCover).forEach(
+      (dayFactor) => {
+        let shortfallToday = false;
+
+        hourlyLoadW.forEach((loadW, hour) => {
+          const pvWh = dailyYieldWh * dayFactor * SUN_PROFILE[hour];
+          const sheddableW = getSheddableW(hour);
+          // The inverter draws more DC than the AC load it supplies
+          const essentialWh = (loadW - sheddableW) / system.inverterEfficiency;
+          const sheddableWh = sheddableW / system.inverterEfficiency;
+          totals.pvYieldWh += pvWh;
+          // Charge left when the sun goes down
+          if (!isDaylightHour(hour) && isDaylightHour(hour - 1)) {
+            totals.sunsetStoredWh += storedWh;
+          }
+
+          // Essential loads take the sun first and non-essential loads get
+          // what is left; any surplus charges the battery
+          const solarToEssentialWh = Math.min(pvWh, essentialWh);
+          const solarToSheddableWh = Math.min(
+            pvWh - solarToEssentialWh,
+            sheddableWh
+          );
+          const surplusWh =
+            (pvWh - solarToEssentialWh - solarToSheddableWh) *
+            system.roundTripEfficiency;
+          if (surplusWh > 0) {
+            const chargeWh = Math.min(surplusWh, usableWh - storedWh);
+            storedWh += chargeWh;
+            totals.curtailedWh +=
+              (surplusWh - chargeWh) / system.roundTripEfficiency;
+          }
+
+          // Non-essential loads run on the grid when it is on, and are
+          // switched off otherwise
+          const sheddableDeficitWh = sheddableWh - solarToSheddableWh;
+          const sheddableGridWh = sheddableDeficitWh * gridShare;
+          totals.gridImportWh += sheddableGridWh * system.inverterEfficiency;
+          totals.shedWh +=
+            (sheddableDeficitWh - sheddableGridWh) * system.inverterEfficiency;
+
+          const deficitWh = essentialWh - solarToEssentialWh;
+          let unmetWh = 0;
+          if (deficitWh > 0) {
+            const gridWh = deficitWh * gridShare;
+            const dischargeWh = Math.min(deficitWh - gridWh, storedWh);
+            storedWh -= dischargeWh;
+            totals.minimumStoredWh = Math.min(totals.minimumStoredWh, storedWh);
+            totals.gridImportWh += gridWh * system.inverterEfficiency;
+
+            unmetWh =
+              (deficitWh - gridWh - dischargeWh) * system.inverterEfficiency;
+            if (unmetWh > 0.5) {
+              totals.unmetWh += unmetWh;
+              totals.unmetHours++;
+              shortfallToday = true;
+            }
+          }
+          totals.servedWh += loadW - sheddableW - unmetWh;
+
+          if (gridShare > 0 && storedWh < usableWh) {
+            const chargeWh = Math.min(
+              usableWh - storedWh,
+              (usableWh / GRID_CHARGE_HOURS) * gridShare
+            );
+            storedWh += chargeWh;
+            totals.gridImportWh += chargeWh / system.roundTripEfficiency;
+          }
+        });
+
+        if (shortfallToday) totals.daysWithShortfall++;
+      }
+    );
+
+    const days = DAYS_IN_MONTH[index];
+    const loadWh = dailyLoadWh * days;
+    const essentialLoadWh = dailyEssentialLoadWh * days;
+    const autonomyScore =
+      essentialLoadWh > 0
+        ? round((totals.servedWh / essentialLoadWh) * 100, 1)
+        : 100;
+    const stateOfCharge = (wh) =>
+      usableWh > 0
+        ? round(
+            ((system.batteryKWh * 1000 - usableWh + wh) /
+              (system.batteryKWh * 1000)) *
+              100,
+            1
+          )
+        : 0;
+
+    return {
+      month: climate.month,
+      peakSunHours: climate.peakSunHours,
+      cloudCover: climate.cloudCover,
+      temperature: climate.temperature,
+      temperatureDerate: round(temperatureDerate, 3),
+      pvYieldKWh: round(totals.pvYieldWh / 1000, 1),
+      averageDailyYieldKWh: round(totals.pvYieldWh / days / 1000),
+      loadKWh: round(loadWh / 1000, 1),
+      essentialLoadKWh: round(essentialLoadWh / 1000, 1),
+      unmetLoadKWh: round(totals.unmetWh / 1000, 1),
+      shedLoadKWh: round(totals.shedWh / 1000, 1),
+      unmetHours: totals.unmetHours,
+      daysWithShortfall: totals.daysWithShortfall,
+      curtailedKWh: round(totals.curtailedWh / 1000, 1),
+      gridImportKWh: round(totals.gridImportWh / 1000, 1),
+      averageSunsetSoC: stateOfCharge(totals.sunsetStoredWh / days),
+      minimumSoC: stateOfCharge(totals.minimumStoredWh),
+      autonomyScore,
+      status: describeAutonomy(autonomyScore),
+    };
+  };
+
+  for (let year = 0; year < WARM_UP_YEARS; year++) {
+    monthlyClimate.forEach(simulateMonth);
+  }
+  const months = monthlyClimate.map(simulateMonth);
+
+  const sum = (field) =>
+    round(
+      months.reduce((total, month) => total + month[field], 0),
+      1
+    );
+  const annualLoadKWh = sum("loadKWh");
+  const essentialLoadKWh = sum("essentialLoadKWh");
+  const unmetLoadKWh = sum("unmetLoadKWh");
+  const worstMonth = months.reduce((worst, month) =>
+    month.autonomyScore < worst.autonomyScore ? month : worst
+  );
+
+  return {
+    system,
+    grid: grid || null,
+    months,
+    summary: {
+      annualPvYieldKWh: sum("pvYieldKWh"),
+      annualLoadKWh,
+      unmetLoadKWh,
+      shedLoadKWh: sum("shedLoadKWh"),
+      curtailedKWh: sum("curtailedKWh"),
+      gridImportKWh: sum("gridImportKWh"),
+      autonomyScore:
+        essentialLoadKWh > 0
+          ? round(
+              ((essentialLoadKWh - unmetLoadKWh) / essentialLoadKWh) * 100,
+              1
+            )
+          : 100,
+      worstMonth: worstMonth.month,
+      worstMonthAutonomyScore: worstMonth.autonomyScore,
+      monthsWithShortfall: months
+        .filter((month) => month.unmetHours > 0)
+        .map((month) => month.month),
+    },
+  };
+};
+
+// Expected PV output in each hour of an average day of a month (climate is
+// one entry of getClimateProfile's monthly table)
+const estimateHourlyYieldW = (arrayWatts, climate) => {
+  const dailyYieldWh =
+    arrayWatts *
+    climate.peakSunHours *
+    calculateTemperatureDerate(climate.temperature) *
+    OTHER_PV_LOSSES;
+  return SUN_PROFILE.map((share) => round(dailyYieldWh * share, 1));
+};
+
+// Component set (array watts, bank kWh, chemistry) of a priced package
+const getSystemFromComponents = (components) => {
+  const { solarPanels, battery } = components;
+  return {
+    arrayWatts: solarPanels.quantity * solarPanels.specifications.panelWattage,
+    batteryKWh:
+      (battery.quantity *
+        battery.specifications.unitAh *
+        battery.specifications.unitVoltage) /
+      1000,
+    batteryChemistry: battery.specifications.chemistry,
+  };
+};
+
+module.exports = {
+  BATTERY_CHEMISTRY_DEFAULTS,
+  checkSystemValues,
+  simulateYear,
+  estimateHourlyYieldW,
+  getSystemFromComponents,
+};
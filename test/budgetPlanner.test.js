@@ -0,0 +1,219 @@
+// Budget trimming checks. Run with `npm test`.
+// The recommendation checks price against a small in-memory catalog and
+// the mock AI provider, so they need no database or API key.
+process.env.LLM_PROVIDER = "mock";
+process.env.RECOMMENDATION_CACHE = "memory";
+delete process.env.WEATHER_API_KEY;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Product = require("../models/Product");
+const RecommendationRequest = require("../models/RecommendationRequest");
+const { fitLoadToBudget } = require("../services/budgetPlanner");
+const { generateRecommendation } = require("../services/recommendationService");
+
+// Every category at every system voltage, cheapest first
+const catalog = [];
+const addProduct = (category, price, specifications) =>
+  catalog.push({
+    _id: `product-${catalog.length + 1}`,
+    sku: `${category}-${catalog.length + 1}`.toUpperCase(),
+    name: category,
+    brand: "Test",
+    category,
+    grade: "standard",
+    price,
+    warrantyYears: 2,
+    stock: 1000,
+    specifications,
+  });
+[
+  [1, 12],
+  [2.5, 24],
+  [5, 48],
+  [10, 48],
+  [20, 48],
+].forEach(([ratingKVA, systemVoltage]) =>
+  addProduct("inverter", 150000 * ratingKVA, { ratingKVA, systemVoltage })
+);
+addProduct("battery", 180000, {
+  capacityAh: 200,
+  voltage: 12,
+  chemistry: "lead-acid",
+});
+addProduct("battery", 700000, {
+  capacityAh: 100,
+  voltage: 24,
+  chemistry: "lithium",
+});
+addProduct("solarPanel", 90000, { wattage: 450 });
+[12, 24, 48].forEach((systemVoltage) =>
+  [30, 60, 100, 150].forEach((ratingAmps) =>
+    addProduct("chargeController", ratingAmps * 2000, {
+      ratingAmps,
+      systemVoltage,
+      controllerType: "MPPT",
+    })
+  )
+);
+catalog.sort((a, b) => a.price - b.price);
+
+Product.find = () => ({ sort: () => ({ lean: async () => catalog }) });
+RecommendationRequest.create = async (doc) => doc;
+
+const fridge = {
+  nameOfItem: "Fridge",
+  quantity: 1,
+  wattage: 150,
+  dayHours: 12,
+  nightHours: 12,
+};
+const airConditioner = {
+  nameOfItem: "Air conditioner",
+  quantity: 2,
+  wattage: 1000,
+  dayHours: 6,
+  nightHours: 6,
+};
+
+// Price proportional to the connected watts, counting every call
+const pricePerWatt = (rate) => {
+  const priceItems = (items) => {
+    priceItems.calls++;
+    return items.reduce(
+      (sum, item) => sum + item.quantity * item.wattage * rate,
+      0
+    );
+  };
+  priceItems.calls = 0;
+  return priceItems;
+};
+
+test("large quantities are cut to the exact count the budget covers", () => {
+  const priceItems = pricePerWatt(100);
+  const plan = fitLoadToBudget({
+    items: [
+      { ...fridge, nameOfItem: "Fan", wattage: 75, quantity: 1000 },
+      { ...fridge, nameOfItem: "TV", wattage: 50, quantity: 3 },
+    ],
+    budget: 500000,
+    priceItems,
+  });
+
+  // 64 fans and 3 TVs come to 495,000; a 65th fan is over budget
+  assert.deepEqual(
+    plan.items.map((item) => [item.nameOfItem, item.quantity]),
+    [
+      ["Fan", 64],
+      ["TV", 3],
+    ]
+  );
+  assert.equal(plan.excludedLoads[0].removedQuantity, 936);
+  assert.ok(priceItems.calls < 40, `${priceItems.calls} pricing runs`);
+});
+
+test("non-essential loads go first and no priority counts as essential", () => {
+  const plan = fitLoadToBudget({
+    items: [
+      fridge,
+      { ...airConditioner, priority: "non-essential" },
+      { ...airConditioner, nameOfItem: "Pump", quantity: 1 },
+    ],
+    budget: 1200 * 100,
+    priceItems: pricePerWatt(100),
+  });
+
+  assert.deepEqual(
+    plan.items.map((item) => item.nameOfItem),
+    ["Fridge", "Pump"]
+  );
+  assert.deepEqual(plan.excludedLoads, [
+    {
+      nameOfItem: "Air conditioner",
+      applianceId: undefined,
+      priority: "non-essential",
+      wattage: 1000,
+      quantity: 2,
+      removedQuantity: 2,
+      dailyEnergyKWh: 24,
+    },
+  ]);
+
+  const essentialCut = fitLoadToBudget({
+    items: [fridge, { ...airConditioner, quantity: 1 }],
+    budget: 150 * 100,
+    priceItems: pricePerWatt(100),
+  });
+  assert.equal(essentialCut.excludedLoads[0].priority, "essential");
+});
+
+test("smaller loads are added back after a larger one is cut", () => {
+  const plan = fitLoadToBudget({
+    items: [airConditioner, fridge],
+    budget: 1300 * 100,
+    priceItems: pricePerWatt(100),
+  });
+  assert.deepEqual(
+    plan.items.map((item) => [item.nameOfItem, item.quantity]),
+    [
+      ["Air conditioner", 1],
+      ["Fridge", 1],
+    ]
+  );
+});
+
+test("nothing fitting the budget returns null", () => {
+  assert.equal(
+    fitLoadToBudget({
+      items: [fridge, airConditioner],
+      budget: 100,
+      priceItems: pricePerWatt(100),
+    }),
+    null
+  );
+});
+
+test("a budget no tier fits is refused with a 400", async () => {
+  await assert.rejects(
+    generateRecommendation({
+      items: [fridge, airConditioner],
+      location: { city: "Kano" },
+      budget: 1000,
+    }),
+    (error) => {
+      assert.equal(error.statusCode, 400);
+      assert.equal(error.details.budget, 1000);
+      assert.ok(error.details.cheapestFullSystem > 1000);
+      return true;
+    }
+  );
+});
+
+test("too many appliances are refused with a 400", async () => {
+  await assert.rejects(
+    generateRecommendation({
+      items: Array.from({ length: 101 }, () => fridge),
+      location: { city: "Kano" },
+    }),
+    (error) => error.statusCode === 400
+  );
+});
+
+test("a cache hit keeps the budget-trimmed load", async () => {
+  const request = {
+    items: [fridge, airConditioner],
+    location: { city: "Sokoto" },
+    budget: 2500000,
+  };
+  const first = await generateRecommendation(request);
+  assert.equal(first.metadata.cacheHit, false);
+  assert.ok(first.budget.excludedLoads.length > 0);
+
+  const second = await generateRecommendation(request);
+  assert.equal(second.metadata.cacheHit, true);
+  assert.deepEqual(
+    second.powerRequirements.appliances,
+    first.powerRequirements.appliances
+  );
+  assert.deepEqual(second.budget.excludedLoads, first.budget.excludedLoads);
+});
@@ -0,0 +1,93 @@
+// Grid band and hybrid savings checks. Run with `npm test`.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  GRID_BANDS,
+  resolveGridConnection,
+} = require("../services/gridTariffs");
+const { calculateSavings } = require("../services/savingsCalculator");
+const { calculateLoad } = require("../services/solarSizing");
+
+const load = calculateLoad([
+  { nameOfItem: "Fan", quantity: 2, wattage: 75, dayHours: 8, nightHours: 8 },
+]);
+
+const savingsOn = (grid, options = {}) =>
+  calculateSavings({
+    load,
+    systemCost: 1500000,
+    generator: { fuelType: "petrol", fuelPricePerLitre: 1000 },
+    grid: grid && resolveGridConnection(grid),
+    discountRate: 0,
+    fuelPriceEscalation: 0,
+    ...options,
+  });
+
+test("a band fills in its supply hours and tariff", () => {
+  assert.equal(resolveGridConnection(null), null);
+  assert.deepEqual(resolveGridConnection({ band: "b" }), {
+    band: "B",
+    supplyHours: GRID_BANDS.B.minimumSupplyHours,
+    outageHours: 24 - GRID_BANDS.B.minimumSupplyHours,
+    tariffPerKWh: GRID_BANDS.B.tariffPerKWh,
+  });
+
+  const own = resolveGridConnection({
+    band: "A",
+    supplyHours: 22,
+    tariffPerKWh: 225,
+  });
+  assert.equal(own.outageHours, 2);
+  assert.equal(own.tariffPerKWh, 225);
+});
+
+test("GRID_TARIFF_BAND_<band> overrides the default tariff", () => {
+  process.env.GRID_TARIFF_BAND_C = "77";
+  try {
+    assert.equal(resolveGridConnection({ band: "C" }).tariffPerKWh, 77);
+  } finally {
+    delete process.env.GRID_TARIFF_BAND_C;
+  }
+  assert.equal(
+    resolveGridConnection({ band: "C" }).tariffPerKWh,
+    GRID_BANDS.C.tariffPerKWh
+  );
+});
+
+test("the grid bill covers the supply share of the daily load", () => {
+  const { grid } = savingsOn({ band: "A" });
+  const expectedKWh = (load.dailyConsumptionKWh * 20 * 30) / 24;
+  assert.ok(Math.abs(grid.monthlyKWh - expectedKWh) <= 0.05);
+  assert.ok(
+    Math.abs(grid.monthlyCost - expectedKWh * GRID_BANDS.A.tariffPerKWh) <= 1
+  );
+});
+
+test("the generator only runs through the outage hours", () => {
+  const offGrid = savingsOn(null).generator;
+  const bandA = savingsOn({ band: "A" }).generator;
+  const bandE = savingsOn({ band: "E" }).generator;
+  assert.ok(bandA.litresPerDay < bandE.litresPerDay);
+  assert.ok(bandE.litresPerDay < offGrid.litresPerDay);
+});
+
+test("solar saves more on a band with longer outages", () => {
+  // Solar removes the whole grid bill here, so only the generator differs
+  const noGridWithSolar = { gridImportKWhPerYear: 0 };
+  const bandA = savingsOn({ band: "A", tariffPerKWh: 50 }, noGridWithSolar);
+  const bandE = savingsOn({ band: "E", tariffPerKWh: 50 }, noGridWithSolar);
+  assert.ok(bandE.monthlySavings > bandA.monthlySavings);
+  assert.equal(bandA.grid.monthlyCostWithSolar, 0);
+});
+
+test("grid energy still bought with solar is billed at the tariff", () => {
+  const unchanged = savingsOn({ band: "B" });
+  assert.equal(unchanged.grid.monthlyCostWithSolar, unchanged.grid.monthlyCost);
+
+  const reduced = savingsOn({ band: "B" }, { gridImportKWhPerYear: 120 });
+  assert.equal(
+    reduced.grid.monthlyCostWithSolar,
+    Math.round((120 * GRID_BANDS.B.tariffPerKWh) / 12)
+  );
+  assert.ok(reduced.monthlySavings > unchanged.monthlySavings);
+});
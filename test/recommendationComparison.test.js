@@ -0,0 +1,202 @@
+// Recommendation comparison checks. Run with `npm test`.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  summarizeRun,
+  compareRuns,
+} = require("../services/recommendationComparison");
+const {
+  compareSavedRecommendations,
+} = require("../services/recommendationService");
+
+const fridge = {
+  nameOfItem: "Fridge",
+  quantity: 1,
+  wattage: 150,
+  dayHours: 12,
+  nightHours: 12,
+};
+const tv = {
+  nameOfItem: "TV",
+  quantity: 1,
+  wattage: 100,
+  dayHours: 4,
+  nightHours: 4,
+  priority: "non-essential",
+};
+
+const component = (sku, quantity, unitPrice, specifications) => ({
+  sku,
+  name: sku,
+  brand: "Test",
+  quantity,
+  unitPrice,
+  totalPrice: quantity * unitPrice,
+  specifications,
+});
+
+// The package shown in a saved run
+const shownPackage = ({ tier, totalAmount, backupHours, battery }) => ({
+  tier,
+  systemName: `${tier} system`,
+  pricing: { totalAmount },
+  performance: { estimatedBackupHours: backupHours },
+  components: {
+    inverter: component("INV-5", 1, 750000, { ratingKVA: 5 }),
+    battery,
+    solarPanels: component("PNL-450", 6, 90000, { wattage: 450 }),
+    chargeController: null,
+  },
+});
+
+const summarize = (
+  requestId,
+  appliances,
+  recommendation,
+  dailyConsumptionKWh
+) =>
+  summarizeRun(
+    { requestId, requestedAt: new Date("2026-01-01") },
+    {
+      locationProfile: { location: { city: "Kano" } },
+      systemSizing: { load: { dailyConsumptionKWh } },
+      powerRequirements: { appliances },
+    },
+    recommendation
+  );
+
+const first = summarize(
+  "REQ-1",
+  [fridge, tv],
+  shownPackage({
+    tier: "standard",
+    totalAmount: 2000000,
+    backupHours: 8,
+    battery: component("BAT-LA", 4, 180000, { chemistry: "lead-acid" }),
+  }),
+  4.4
+);
+const second = summarize(
+  "REQ-2",
+  [
+    { ...fridge, quantity: 2 },
+    { ...tv, nameOfItem: "Fan" },
+  ],
+  shownPackage({
+    tier: "premium",
+    totalAmount: 2500000,
+    backupHours: 10,
+    battery: component("BAT-LI", 2, 700000, { chemistry: "lithium" }),
+  }),
+  8.0
+);
+
+test("a run is reduced to the package the customer was shown", () => {
+  assert.equal(first.tier, "standard");
+  assert.equal(first.totalAmount, 2000000);
+  assert.equal(first.location.city, "Kano");
+  assert.equal(first.components.chargeController, null);
+  assert.equal(first.components.inverter.totalPrice, 750000);
+  assert.deepEqual(
+    first.appliances.map((item) => item.priority),
+    ["essential", "non-essential"]
+  );
+});
+
+test("every later run is compared against the first", () => {
+  const third = { ...second, requestId: "REQ-3" };
+  const { baseline, comparisons } = compareRuns([first, second, third]);
+  assert.equal(baseline, "REQ-1");
+  assert.deepEqual(
+    comparisons.map(({ from, to }) => [from, to]),
+    [
+      ["REQ-1", "REQ-2"],
+      ["REQ-1", "REQ-3"],
+    ]
+  );
+
+  const reversed = compareRuns([second, first]).comparisons[0];
+  assert.equal(reversed.cost.delta, -500000);
+  assert.equal(reversed.tier.from, "premium");
+});
+
+test("cost, backup and consumption changes carry a percentage", () => {
+  const [comparison] = compareRuns([first, second]).comparisons;
+  assert.deepEqual(comparison.tier, { from: "standard", to: "premium" });
+  assert.deepEqual(comparison.cost, {
+    from: 2000000,
+    to: 2500000,
+    delta: 500000,
+    deltaPercent: 25,
+  });
+  assert.equal(comparison.backupHours.delta, 2);
+  assert.equal(comparison.dailyConsumptionKWh.deltaPercent, 81.8);
+
+  const free = compareRuns([{ ...first, totalAmount: 0 }, second])
+    .comparisons[0];
+  assert.equal(free.cost.deltaPercent, null);
+  const unpriced = compareRuns([{ ...first, totalAmount: undefined }, second])
+    .comparisons[0];
+  assert.equal(unpriced.cost.delta, null);
+});
+
+test("components are diffed field by field", () => {
+  const { components } = compareRuns([first, second]).comparisons[0];
+  assert.equal(components.inverter.status, "unchanged");
+  assert.equal(components.chargeController.status, "unchanged");
+  assert.equal(components.battery.status, "changed");
+  assert.deepEqual(
+    components.battery.changes.map((change) => change.field),
+    ["sku", "name", "quantity", "unitPrice", "specifications.chemistry"]
+  );
+  assert.equal(components.battery.totalPrice.delta, 680000);
+
+  const withController = {
+    ...second,
+    components: {
+      ...second.components,
+      chargeController: component("CC-60", 1, 120000, {}),
+    },
+  };
+  assert.equal(
+    compareRuns([first, withController]).comparisons[0].components
+      .chargeController.status,
+    "added"
+  );
+});
+
+test("appliances are matched by name when they have no library id", () => {
+  const { appliances } = compareRuns([first, second]).comparisons[0];
+  assert.deepEqual(
+    appliances.added.map((item) => item.nameOfItem),
+    ["Fan"]
+  );
+  assert.deepEqual(
+    appliances.removed.map((item) => item.nameOfItem),
+    ["TV"]
+  );
+  assert.deepEqual(appliances.changed, [
+    {
+      nameOfItem: "Fridge",
+      changes: [{ field: "quantity", from: 1, to: 2 }],
+    },
+  ]);
+
+  const renamed = {
+    ...second,
+    appliances: [{ ...first.appliances[0], nameOfItem: " FRIDGE " }],
+  };
+  const matched = compareRuns([first, renamed]).comparisons[0].appliances;
+  assert.deepEqual(matched.added, []);
+  assert.deepEqual(matched.changed, []);
+});
+
+test("comparisons need two to five different requestIds", async () => {
+  const tooMany = ["REQ-1", "REQ-2", "REQ-3", "REQ-4", "REQ-5", "REQ-6"];
+  for (const ids of ["REQ-1", "REQ-1,REQ-1", ["REQ-1", " REQ-1 "], tooMany]) {
+    await assert.rejects(
+      compareSavedRecommendations({ ids }),
+      (error) => error.statusCode === 400
+    );
+  }
+});
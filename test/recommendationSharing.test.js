@@ -0,0 +1,64 @@
+// Share link redaction checks. Run with `npm test`.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { redactResult } = require("../services/recommendationSharing");
+const { getClimateProfile } = require("../services/solarResource");
+
+// A stored result for a customer located by their coordinates
+const result = {
+  customerInfo: {
+    requestId: "REQ-1",
+    username: "ada",
+    email: "ada@example.com",
+    userId: "user-1",
+  },
+  locationProfile: {
+    location: {
+      city: "Lokoja",
+      region: "Kogi",
+      country: "Nigeria",
+      lat: 8.5,
+      lon: 6,
+    },
+    solarConditions: getClimateProfile({ lat: 8.5, lon: 6 }),
+  },
+  budget: { amount: 2500000, setupId: "setup-1", excludedLoads: [] },
+  metadata: {
+    generatedAt: "2026-01-01T00:00:00.000Z",
+    promptVersion: "v3",
+    pricingSource: "catalog",
+    clientIp: "203.0.113.7",
+  },
+};
+
+test("shared results drop the owner's account details", () => {
+  const redacted = redactResult(result);
+  assert.deepEqual(redacted.customerInfo, {
+    requestId: "REQ-1",
+    username: "ada",
+  });
+  assert.equal(redacted.budget.setupId, undefined);
+  assert.equal(redacted.budget.amount, 2500000);
+  assert.equal(redacted.metadata.clientIp, undefined);
+});
+
+test("shared results carry no coordinates or station distances", () => {
+  const redacted = redactResult(result);
+  const { location, solarConditions } = redacted.locationProfile;
+  assert.deepEqual(location, {
+    city: "Lokoja",
+    region: "Kogi",
+    country: "Nigeria",
+  });
+  assert.equal(solarConditions.stations, undefined);
+  assert.doesNotMatch(JSON.stringify(redacted), /distanceKm|"lat"|"lon"/);
+
+  // The climate figures themselves are still shown
+  assert.deepEqual(
+    solarConditions.monthly,
+    result.locationProfile.solarConditions.monthly
+  );
+  assert.equal(solarConditions.source, "interpolated");
+  // and the stored result is left as it was
+  assert.equal(result.locationProfile.solarConditions.stations.length, 4);
+});
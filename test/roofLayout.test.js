@@ -0,0 +1,107 @@
+// Roof orientation and tilt checks. Run with `npm test`.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  ROOF_ORIENTATIONS,
+  calculateOrientationFactor,
+  resolveRoofLayout,
+} = require("../services/roofLayout");
+const { sizeSystem } = require("../services/solarSizing");
+
+const items = [
+  {
+    nameOfItem: "Fridge",
+    quantity: 1,
+    wattage: 150,
+    dayHours: 12,
+    nightHours: 12,
+  },
+  { nameOfItem: "TV", quantity: 2, wattage: 100, dayHours: 4, nightHours: 4 },
+];
+
+test("yield falls as the roof turns away from south", () => {
+  const factors = ["south", "south-east", "east", "north-east", "north"].map(
+    (orientation) => calculateOrientationFactor(orientation, 15, 9)
+  );
+  factors.slice(1).forEach((factor, index) => {
+    assert.ok(factor < factors[index], factors.join(", "));
+  });
+  assert.equal(
+    calculateOrientationFactor("east", 15, 9),
+    calculateOrientationFactor("west", 15, 9)
+  );
+});
+
+test("a south roof at the latitude tilt loses nothing", () => {
+  assert.equal(calculateOrientationFactor("south", 12, 12), 1);
+  assert.equal(calculateOrientationFactor("south", 12, -12), 1);
+  // Away from the best tilt the loss grows with the square of the gap
+  const near = 1 - calculateOrientationFactor("south", 19, 9);
+  const far = 1 - calculateOrientationFactor("south", 29, 9);
+  assert.ok(Math.abs(far - 4 * near) <= 0.002);
+});
+
+test("shallow tilts lose extra yield to dust", () => {
+  // One degree under 10° at a 9° latitude costs the soiling loss
+  assert.equal(calculateOrientationFactor("south", 10, 9), 1);
+  assert.equal(
+    resolveRoofLayout({ tiltDegrees: 9 }, 9).orientationFactor,
+    0.97
+  );
+  // Facing away from south matters less the flatter the panels lie
+  const steepLoss =
+    calculateOrientationFactor("south", 30, 9) -
+    calculateOrientationFactor("north", 30, 9);
+  const shallowLoss =
+    calculateOrientationFactor("south", 12, 9) -
+    calculateOrientationFactor("north", 12, 9);
+  assert.ok(shallowLoss < steepLoss);
+});
+
+test("the factor never drops below half", () => {
+  Object.keys(ROOF_ORIENTATIONS).forEach((orientation) => {
+    const factor = calculateOrientationFactor(orientation, 90, 4);
+    assert.ok(factor >= 0.5 && factor <= 1, orientation);
+  });
+  assert.equal(calculateOrientationFactor("north", 90, 4), 0.5);
+});
+
+test("flat roofs lie flat and missing details fall back", () => {
+  const flat = resolveRoofLayout({ orientation: "flat", tiltDegrees: 30 }, 12);
+  assert.equal(flat.tiltDegrees, 0);
+  assert.equal(
+    flat.orientationFactor,
+    calculateOrientationFactor("south", 0, 12)
+  );
+
+  const areaOnly = resolveRoofLayout({ usableAreaM2: "20" }, 12);
+  assert.equal(areaOnly.usableAreaM2, 20);
+  assert.equal(areaOnly.tiltDegrees, 15);
+  assert.equal(areaOnly.orientationFactor, 1);
+
+  const noLatitude = resolveRoofLayout({ orientation: "east" });
+  assert.equal(noLatitude.optimalTiltDegrees, 9);
+  assert.equal(
+    noLatitude.orientationFactor,
+    calculateOrientationFactor("east", 15, 9)
+  );
+  assert.equal(resolveRoofLayout(null, 9), null);
+});
+
+test("a derated roof needs a bigger array for the same load", () => {
+  const { orientationFactor } = resolveRoofLayout(
+    { orientation: "north", tiltDegrees: 30 },
+    9
+  );
+  const best = sizeSystem(items, { peakSunHours: 5 });
+  const north = sizeSystem(items, { peakSunHours: 5, orientationFactor });
+
+  assert.equal(north.solarArray.orientationFactor, orientationFactor);
+  assert.ok(
+    Math.abs(
+      north.solarArray.requiredWatts -
+        best.solarArray.requiredWatts / orientationFactor
+    ) <= 1
+  );
+  assert.ok(north.solarArray.panelCount >= best.solarArray.panelCount);
+});
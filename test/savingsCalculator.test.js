@@ -0,0 +1,107 @@
+// Savings and payback checks. Run with `npm test`.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  GENERATOR_SIZES_KVA,
+  estimateGeneratorCost,
+  calculateSavings,
+} = require("../services/savingsCalculator");
+const { calculateLoad } = require("../services/solarSizing");
+
+const load = calculateLoad([
+  {
+    nameOfItem: "Fridge",
+    quantity: 1,
+    wattage: 150,
+    dayHours: 12,
+    nightHours: 12,
+  },
+  { nameOfItem: "TV", quantity: 2, wattage: 100, dayHours: 4, nightHours: 4 },
+]);
+
+// No fuel price rises and no discounting, so the cash flows are flat
+const flat = {
+  load,
+  systemCost: 2000000,
+  generator: { fuelType: "petrol", fuelPricePerLitre: 1000 },
+  discountRate: 0,
+  fuelPriceEscalation: 0,
+};
+
+test("the generator is the smallest standard size that carries the load", () => {
+  const generator = estimateGeneratorCost(load);
+  assert.ok(GENERATOR_SIZES_KVA.includes(generator.sizeKVA));
+  assert.equal(generator.sizeKVA, GENERATOR_SIZES_KVA[0]);
+  assert.equal(generator.fuelType, "petrol");
+  assert.equal(estimateGeneratorCost(load, { sizeKVA: 10 }).fuelType, "diesel");
+});
+
+test("fixed running hours spread the same energy", () => {
+  const allDay = estimateGeneratorCost(load, { hoursPerDay: 24 });
+  const evenings = estimateGeneratorCost(load, { hoursPerDay: 6 });
+  assert.equal(evenings.runningHoursPerDay, 6);
+  // Fewer hours at a higher load burn less idle fuel
+  assert.ok(evenings.litresPerDay < allDay.litresPerDay);
+  assert.ok(evenings.monthlyMaintenanceCost < allDay.monthlyMaintenanceCost);
+});
+
+test("payback is the system cost over a year of savings", () => {
+  const savings = calculateSavings(flat);
+  assert.ok(savings.monthlySavings > 0);
+  assert.ok(Math.abs(savings.annualSavings - savings.monthlySavings * 12) <= 6);
+  assert.ok(
+    Math.abs(
+      savings.simplePaybackYears - flat.systemCost / savings.annualSavings
+    ) <= 0.05
+  );
+  assert.equal(
+    savings.paybackMonths,
+    Math.ceil(savings.simplePaybackYears * 12)
+  );
+});
+
+test("undiscounted NPV is the sum of the yearly savings", () => {
+  const savings = calculateSavings(flat);
+  const yearly = savings.cashFlows[0].savings;
+  savings.cashFlows.forEach((flow) => assert.equal(flow.savings, yearly));
+  assert.ok(Math.abs(savings.npv5Years - (5 * yearly - flat.systemCost)) <= 3);
+  assert.ok(
+    Math.abs(savings.npv10Years - (10 * yearly - flat.systemCost)) <= 3
+  );
+  assert.equal(
+    savings.breakEvenYear,
+    savings.cashFlows.find((flow) => flow.cumulativeSavings >= 0).year
+  );
+});
+
+test("discounting lowers the NPV by each year's factor", () => {
+  const savings = calculateSavings({ ...flat, discountRate: 0.2 });
+  const yearly = savings.cashFlows[0].savings;
+  let expected = -flat.systemCost;
+  for (let year = 1; year <= 5; year++) {
+    expected += yearly / Math.pow(1.2, year);
+  }
+  assert.ok(Math.abs(savings.npv5Years - expected) <= 3);
+});
+
+test("lead-acid banks are replaced every three years within the ten", () => {
+  const savings = calculateSavings({ ...flat, batteryCost: 300000 });
+  const replacedIn = savings.cashFlows
+    .filter((flow) => flow.batteryReplacement > 0)
+    .map((flow) => flow.year);
+  assert.deepEqual(replacedIn, [3, 6, 9]);
+
+  const lithium = calculateSavings({
+    ...flat,
+    batteryCost: 300000,
+    batteryChemistry: "lithium",
+  });
+  assert.ok(lithium.cashFlows.every((flow) => flow.batteryReplacement === 0));
+});
+
+test("load the system can't carry is still costed as generator fuel", () => {
+  const full = calculateSavings(flat);
+  const short = calculateSavings({ ...flat, unmetLoadKWhPerYear: 365 });
+  assert.ok(short.solar.monthlyBackupFuelCost > 0);
+  assert.ok(short.monthlySavings < full.monthlySavings);
+});
@@ -0,0 +1,75 @@
+// Climate lookup checks. Run with `npm test`.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { STATE_CLIMATE } = require("../services/climateData");
+const {
+  findStation,
+  getClimateProfile,
+  getLatitude,
+} = require("../services/solarResource");
+
+const kano = findStation("Kano");
+
+test("every state capital has twelve months of every figure", () => {
+  assert.equal(STATE_CLIMATE.length, 37);
+  STATE_CLIMATE.forEach((station) => {
+    ["peakSunHours", "temperature", "humidity", "cloudCover"].forEach((field) =>
+      assert.equal(station[field].length, 12, station.city)
+    );
+  });
+});
+
+test("cities, states and aliases resolve to their capital", () => {
+  assert.equal(findStation(" kano ").city, "Kano");
+  assert.equal(findStation("Lagos State").state, "Lagos");
+  assert.equal(findStation("Onitsha").city, "Awka");
+  assert.equal(findStation("Atlantis"), null);
+
+  const profile = getClimateProfile({ city: "Kano" });
+  assert.equal(profile.source, "station");
+  assert.deepEqual(
+    profile.monthly.map((month) => month.peakSunHours),
+    kano.peakSunHours
+  );
+});
+
+test("systems are sized on the lowest-sun month", () => {
+  const profile = getClimateProfile({ city: "Kano" });
+  const lowest = Math.min(...kano.peakSunHours);
+  assert.equal(profile.designSunHours, lowest);
+  assert.equal(
+    profile.designMonth,
+    profile.monthly[kano.peakSunHours.indexOf(lowest)].month
+  );
+});
+
+test("coordinates near a capital use its figures as they are", () => {
+  const profile = getClimateProfile({ lat: kano.lat + 0.05, lon: kano.lon });
+  assert.equal(profile.source, "station");
+  assert.equal(profile.stations[0].city, "Kano");
+  assert.equal(profile.designSunHours, Math.min(...kano.peakSunHours));
+});
+
+test("coordinates between capitals blend the four nearest", () => {
+  const profile = getClimateProfile({ lat: 8.5, lon: 6 });
+  assert.equal(profile.source, "interpolated");
+  assert.equal(profile.stations.length, 4);
+
+  const neighbours = profile.stations.map(({ city }) => findStation(city));
+  profile.monthly.forEach((month, index) => {
+    const values = neighbours.map((station) => station.peakSunHours[index]);
+    assert.ok(month.peakSunHours >= Math.min(...values) - 0.05);
+    assert.ok(month.peakSunHours <= Math.max(...values) + 0.05);
+  });
+});
+
+test("unknown places fall back to the region, then to Abuja", () => {
+  assert.equal(
+    getClimateProfile({ city: "Atlantis", region: "Kano" }).source,
+    "state"
+  );
+  const fallback = getClimateProfile({ city: "Atlantis" });
+  assert.equal(fallback.source, "default");
+  assert.equal(fallback.stations[0].city, "Abuja");
+  assert.equal(getLatitude({ city: "Kano" }), kano.lat);
+});
@@ -0,0 +1,137 @@
+// Sizing engine checks. Run with `npm test`.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  INVERTER_SIZES_KVA,
+  checkItemValues,
+  buildItemSchedule,
+  calculateLoad,
+  sizeSystem,
+} = require("../services/solarSizing");
+
+const LARGEST_INVERTER_KVA = INVERTER_SIZES_KVA[INVERTER_SIZES_KVA.length - 1];
+
+const fridge = {
+  nameOfItem: "Fridge",
+  quantity: 1,
+  wattage: 150,
+  dayHours: 12,
+  nightHours: 12,
+  surgeMultiplier: 3,
+  dutyCycle: 0.4,
+};
+const bulbs = {
+  nameOfItem: "LED bulb",
+  quantity: 6,
+  wattage: 10,
+  dayHours: 0,
+  nightHours: 6,
+};
+
+test("the same items and options always size the same system", () => {
+  const options = { peakSunHours: 4.8 };
+  assert.deepEqual(
+    sizeSystem([fridge, bulbs], options),
+    sizeSystem([fridge, bulbs], options)
+  );
+});
+
+test("daily energy follows quantity, wattage, hours and duty cycle", () => {
+  const load = calculateLoad([fridge, bulbs]);
+  // 150W x 24h x 0.4 + 6 x 10W x 6h
+  assert.equal(load.dailyEnergyWh, 1440 + 360);
+  assert.equal(load.nightEnergyWh, 720 + 360);
+  assert.equal(load.totalWattage, 210);
+  // The fridge compressor starting while everything else runs
+  assert.equal(load.peakSurgeW, 210 + 150 * 2);
+  assert.equal(load.surgeAppliance, "Fridge");
+});
+
+test("the inverter covers the running load with headroom and the surge", () => {
+  const { inverter, load } = sizeSystem([fridge, bulbs]);
+  assert.equal(inverter.quantity, 1);
+  assert.ok(INVERTER_SIZES_KVA.includes(inverter.ratingKVA));
+  assert.ok(inverter.totalKVA * 1000 >= inverter.requiredVA);
+  assert.ok(inverter.surgeCapacityW >= load.peakSurgeW);
+});
+
+test("loads above the largest inverter are split across parallel units", () => {
+  const { inverter } = sizeSystem([
+    {
+      nameOfItem: "Workshop",
+      quantity: 1,
+      wattage: 25000,
+      dayHours: 8,
+      nightHours: 0,
+    },
+  ]);
+  // 25kW x 1.3 / 0.8 = 40,625 VA
+  assert.equal(inverter.requiredVA, 40625);
+  assert.ok(inverter.quantity > 1);
+  assert.ok(inverter.ratingKVA <= LARGEST_INVERTER_KVA);
+  assert.ok(inverter.totalKVA * 1000 >= inverter.requiredVA);
+  assert.equal(inverter.totalKVA, inverter.ratingKVA * inverter.quantity);
+});
+
+test("the battery carries only essential night-time energy", () => {
+  const essential = sizeSystem([fridge, bulbs]);
+  const shed = sizeSystem([fridge, { ...bulbs, priority: "non-essential" }]);
+  assert.equal(shed.load.sheddableNightEnergyWh, 360);
+  assert.ok(shed.batteryBank.requiredAh < essential.batteryBank.requiredAh);
+});
+
+test("a grid connection shrinks the battery and array to the outage hours", () => {
+  const offGrid = sizeSystem([fridge, bulbs]);
+  const hybrid = sizeSystem([fridge, bulbs], { gridSupplyHours: 20 });
+  assert.ok(hybrid.batteryBank.requiredAh < offGrid.batteryBank.requiredAh);
+  assert.ok(hybrid.solarArray.requiredWatts < offGrid.solarArray.requiredWatts);
+});
+
+test("a small roof caps the panel count and flags the shortfall", () => {
+  const { solarArray } = sizeSystem([{ ...fridge, quantity: 4 }, bulbs], {
+    roofAreaM2: 3,
+  });
+  assert.equal(solarArray.areaLimited, true);
+  assert.ok(solarArray.panelCount < solarArray.requiredPanelCount);
+});
+
+test("time windows wrap past midnight", () => {
+  const schedule = buildItemSchedule({
+    timeWindows: [{ start: "22:30", end: "02:00" }],
+  });
+  assert.equal(schedule[22], 0.5);
+  assert.equal(schedule[23], 1);
+  assert.equal(schedule[1], 1);
+  assert.equal(schedule[2], 0);
+});
+
+test("time windows with minutes past 59 are rejected", () => {
+  ["18:60", "18:75", "24:30"].forEach((start) => {
+    assert.throws(() =>
+      buildItemSchedule({ timeWindows: [{ start, end: "23:00" }] })
+    );
+  });
+  assert.doesNotThrow(() =>
+    buildItemSchedule({ timeWindows: [{ start: "18:59", end: "24:00" }] })
+  );
+});
+
+test("bad quantities, wattages and duty cycles are rejected", () => {
+  [
+    null,
+    [],
+    { ...fridge, quantity: -3 },
+    { ...fridge, quantity: 0 },
+    { ...fridge, quantity: 1001 },
+    { ...fridge, wattage: "abc" },
+    { ...fridge, wattage: Infinity },
+    { ...fridge, dutyCycle: -0.5 },
+    { ...fridge, dutyCycle: 0 },
+    { ...fridge, dutyCycle: 1.5 },
+    { ...fridge, surgeMultiplier: 0.5 },
+  ].forEach((item) => {
+    assert.throws(() => checkItemValues(item));
+    assert.throws(() => calculateLoad([item]));
+  });
+  assert.doesNotThrow(() => checkItemValues({ ...fridge, quantity: "2" }));
+});
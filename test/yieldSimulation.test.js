@@ -0,0 +1,108 @@
+// Yield simulation checks. Run with `npm test`.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  checkSystemValues,
+  simulateYear,
+  estimateHourlyYieldW,
+} = require("../services/yieldSimulation");
+const { getClimateProfile } = require("../services/solarResource");
+
+const { monthly } = getClimateProfile({ city: "Kano" });
+
+// 200 W all day and night
+const flatLoadW = Array(24).fill(200);
+const system = {
+  arrayWatts: 2000,
+  batteryKWh: 10,
+  batteryChemistry: "lithium",
+};
+
+test("a year has twelve months and the summary adds them up", () => {
+  const { months, summary } = simulateYear(system, flatLoadW, monthly);
+  assert.equal(months.length, 12);
+  assert.equal(summary.annualLoadKWh, 4.8 * 365);
+  const yieldKWh = months.reduce((sum, month) => sum + month.pvYieldKWh, 0);
+  assert.ok(Math.abs(summary.annualPvYieldKWh - yieldKWh) < 0.2);
+});
+
+test("a bigger array and battery never do worse", () => {
+  const small = simulateYear(
+    { ...system, arrayWatts: 800, batteryKWh: 2 },
+    flatLoadW,
+    monthly
+  ).summary;
+  const large = simulateYear(system, flatLoadW, monthly).summary;
+  assert.ok(large.autonomyScore >= small.autonomyScore);
+  assert.ok(large.unmetLoadKWh <= small.unmetLoadKWh);
+});
+
+test("without a battery the night load goes unmet", () => {
+  const { summary } = simulateYear(
+    { ...system, batteryKWh: 0 },
+    flatLoadW,
+    monthly
+  );
+  assert.ok(summary.autonomyScore < 60);
+  assert.equal(summary.monthsWithShortfall.length, 12);
+});
+
+test("grid supply covers its share of the shortfall", () => {
+  const grid = { band: "A", supplyHours: 20, tariffPerKWh: 209.5 };
+  const offGrid = simulateYear(
+    { ...system, batteryKWh: 0 },
+    flatLoadW,
+    monthly
+  ).summary;
+  const hybrid = simulateYear(
+    { ...system, batteryKWh: 0 },
+    flatLoadW,
+    monthly,
+    grid
+  ).summary;
+  assert.ok(hybrid.unmetLoadKWh < offGrid.unmetLoadKWh);
+  assert.ok(hybrid.gridImportKWh > 0);
+  assert.equal(offGrid.gridImportKWh, 0);
+});
+
+test("non-essential loads are shed instead of drawn from the battery", () => {
+  const { summary } = simulateYear(
+    { ...system, batteryKWh: 0 },
+    flatLoadW,
+    monthly,
+    null,
+    flatLoadW
+  );
+  assert.equal(summary.unmetLoadKWh, 0);
+  assert.equal(summary.autonomyScore, 100);
+  assert.ok(summary.shedLoadKWh > 0);
+});
+
+test("hourly yield follows the sun", () => {
+  const hourly = estimateHourlyYieldW(1000, monthly[0]);
+  assert.equal(hourly.length, 24);
+  assert.equal(hourly[0], 0);
+  assert.equal(hourly[23], 0);
+  assert.ok(hourly[12] > hourly[8]);
+});
+
+test("bad component values are rejected", () => {
+  [
+    null,
+    { ...system, arrayWatts: 0 },
+    { ...system, arrayWatts: "abc" },
+    { ...system, batteryKWh: -5 },
+    { ...system, batteryKWh: undefined },
+    { ...system, batteryChemistry: "constructor" },
+    { ...system, depthOfDischarge: -0.5 },
+    { ...system, depthOfDischarge: 1.5 },
+    { ...system, roundTripEfficiency: 2 },
+    { ...system, inverterEfficiency: 0 },
+    { ...system, orientationFactor: Infinity },
+  ].forEach((components) => {
+    assert.throws(() => checkSystemValues(components));
+  });
+  assert.doesNotThrow(() =>
+    checkSystemValues({ ...system, batteryKWh: 0, depthOfDischarge: "0.5" })
+  );
+});
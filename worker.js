@@ -0,0 +1,29 @@
+// Standalone recommendation job worker.
+// Run with `npm run worker` alongside an API started with
+// RECOMMENDATION_WORKER=standalone.
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const { startWorker, stopWorker } = require("./services/recommendationJobs");
+
+mongoose
+  .connect(process.env.MONGO_URL)
+  .then(() => {
+    console.log("DB Connection Established");
+    return startWorker();
+  })
+  .catch((err) => {
+    console.log(err);
+    process.exit(1);
+  });
+
+const shutdown = async () => {
+  stopWorker();
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);